@@ -11,27 +11,273 @@ SET time_zone = '+07:00';
 -- CREATE DATABASE IF NOT EXISTS survey_db;
 -- USE survey_db;
 
+-- =====================================================
+-- QUESTIONNAIRES TABLE - Surveys run by this unit
+-- (kiosks pick one with ?survey=<slug>, default otherwise)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS questionnaires (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    is_active TINYINT(1) DEFAULT 1,
+    is_default TINYINT(1) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Default survey
+INSERT INTO questionnaires (id, slug, name, is_default) VALUES
+(1, 'umum', 'Survey Kepuasan Layanan', 1)
+ON DUPLICATE KEY UPDATE id = id;
+
 -- =====================================================
 -- SURVEYS TABLE - Store all survey responses
 -- =====================================================
 CREATE TABLE IF NOT EXISTS surveys (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    q1_kecepatan ENUM('sangat_baik', 'cukup_baik', 'kurang_baik') NULL,
-    q2_keramahan ENUM('sangat_baik', 'cukup_baik', 'kurang_baik') NULL,
-    q3_kejelasan ENUM('sangat_baik', 'cukup_baik', 'kurang_baik') NULL,
-    q4_fasilitas ENUM('sangat_baik', 'cukup_baik', 'kurang_baik') NULL,
-    q5_kepuasan ENUM('sangat_baik', 'cukup_baik', 'kurang_baik') NULL,
+    questionnaire_id INT NULL COMMENT 'questionnaires.id',
     user_agent VARCHAR(500) NULL,
     ip_address VARCHAR(45) NULL,
     queue_id VARCHAR(50) NULL COMMENT 'Nomor Antrian (e.g., A-123)',
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    queue_ticket_key VARCHAR(40) NULL COMMENT 'Visit date and ticket number, one survey per ticket',
+    queue_verified TINYINT(1) NULL COMMENT '1 when the queue system confirmed the ticket, NULL when not checked',
+    queue_counter VARCHAR(50) NULL COMMENT 'Counter that served the ticket (queue system)',
+    queue_officer VARCHAR(100) NULL COMMENT 'Officer who served the ticket (queue system)',
+    counter_id INT NULL COMMENT 'service_counters.id that served the visitor',
+    staff_id INT NULL COMMENT 'staff.id of the officer who served the visitor',
+    language VARCHAR(5) NOT NULL DEFAULT 'id' COMMENT 'Kiosk language chosen by the visitor (id, en)',
+    channel VARCHAR(10) NOT NULL DEFAULT 'kiosk' COMMENT 'Where the visitor answered: kiosk, or mobile (QR code link)',
+    review_status VARCHAR(10) NOT NULL DEFAULT 'clean' COMMENT 'clean, flagged (awaiting review), confirmed (fraud, left out of reports) or dismissed',
+    reviewed_by VARCHAR(50) NULL COMMENT 'Admin username who confirmed or dismissed the flag',
+    reviewed_at TIMESTAMP NULL DEFAULT NULL,
+    duration_seconds INT NULL COMMENT 'Seconds from starting the survey to submitting, when the client sent its start time',
+    answer_hash CHAR(64) NULL COMMENT 'SHA-256 of the answers, to spot identical submissions in a row',
+    accessibility_mode TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1 if answered in the kiosk accessibility mode',
+    questionnaire_version_id INT NULL COMMENT 'questionnaire_versions.id answered under',
+    device_id INT NULL COMMENT 'devices.id of the paired kiosk, NULL for unpaired ones',
+    idempotency_key VARCHAR(64) NULL COMMENT 'Generated by the kiosk so a replayed submission is stored once',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the visitor answered (kept for queued offline submissions)',
+    received_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When the server stored the submission',
     
+    UNIQUE KEY uq_idempotency_key (idempotency_key),
+    UNIQUE KEY uq_queue_ticket (queue_ticket_key),
+
     -- Indexes for reporting
     INDEX idx_created_at (created_at),
-    INDEX idx_q5_kepuasan (q5_kepuasan),
+    INDEX idx_questionnaire (questionnaire_id),
+    INDEX idx_language (language),
+    INDEX idx_channel (channel),
+    INDEX idx_review_status (review_status),
+    INDEX idx_questionnaire_version (questionnaire_version_id),
+    INDEX idx_device (device_id),
+    INDEX idx_counter (counter_id),
+    INDEX idx_staff (staff_id),
     INDEX idx_month_year (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- =====================================================
+-- SURVEY ANSWERS TABLE - One row per answered question
+-- =====================================================
+CREATE TABLE IF NOT EXISTS survey_answers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    survey_id INT NOT NULL,
+    question_id INT NOT NULL COMMENT 'questions.id',
+    answer_value VARCHAR(50) NOT NULL COMMENT 'rating key, scale number, choice value or "text"',
+    answer_text TEXT NULL COMMENT 'Comment answers',
+    reason_value VARCHAR(50) NULL COMMENT 'Follow-up reason picked after a negative answer',
+
+    UNIQUE KEY uniq_survey_question (survey_id, question_id),
+    INDEX idx_question_value (question_id, answer_value),
+    CONSTRAINT fk_answers_survey FOREIGN KEY (survey_id) REFERENCES surveys(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- SURVEY FLAGS - Fraud detection rules that fired on a submission
+-- =====================================================
+CREATE TABLE IF NOT EXISTS survey_flags (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    survey_id INT NOT NULL,
+    rule VARCHAR(20) NOT NULL COMMENT 'burst, identical, fast or off_hours',
+    detail_json JSON NULL COMMENT 'What the rule found, e.g. {"count":4,"minutes":2}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_survey_rule (survey_id, rule),
+    INDEX idx_rule (rule),
+    CONSTRAINT fk_flags_survey FOREIGN KEY (survey_id) REFERENCES surveys(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- SURVEY ABANDONMENTS - Visits that timed out before submitting
+-- (columns match surveys so the same report filters apply)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS survey_abandonments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    questionnaire_id INT NULL COMMENT 'questionnaires.id',
+    last_step SMALLINT NOT NULL COMMENT 'Furthest step reached: 0 = queue number screen, n = question n',
+    last_question_key VARCHAR(50) NULL COMMENT 'Question shown at the furthest step',
+    queue_id VARCHAR(50) NULL,
+    language VARCHAR(5) NOT NULL DEFAULT 'id',
+    channel VARCHAR(10) NOT NULL DEFAULT 'kiosk' COMMENT 'kiosk or mobile; a mobile link keeps only its latest report',
+    ip_address VARCHAR(45) NULL,
+    device_id INT NULL COMMENT 'devices.id',
+    started_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When the visitor touched the welcome screen',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the kiosk timed out',
+
+    INDEX idx_created_at (created_at),
+    INDEX idx_questionnaire (questionnaire_id),
+    INDEX idx_channel (channel),
+    INDEX idx_device (device_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- DEVICES - Registered kiosks, paired with a one-time code
+-- =====================================================
+CREATE TABLE IF NOT EXISTS devices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    location VARCHAR(150) NULL COMMENT 'Building, floor or room',
+    service_counter VARCHAR(50) NULL COMMENT 'Service counter (loket) the kiosk stands at',
+    token_hash CHAR(64) NULL COMMENT 'SHA-256 of the device token; NULL until paired or after revoking',
+    paired_at TIMESTAMP NULL DEFAULT NULL,
+    last_seen_at TIMESTAMP NULL DEFAULT NULL,
+    last_heartbeat_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Last heartbeat sent by the kiosk',
+    heartbeat_json JSON NULL COMMENT 'Last heartbeat: step, app_version, screen, last_submission_at, queued, rejected',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_token_hash (token_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Pairing codes shown on kiosks that are waiting to be paired
+CREATE TABLE IF NOT EXISTS device_pairings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code CHAR(6) NOT NULL COMMENT 'Shown on the kiosk, typed in by the admin',
+    secret_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the secret the kiosk polls with',
+    device_id INT NULL COMMENT 'Set once an admin enters the code for a device',
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- SERVICE COUNTERS AND STAFF - Who served the visitor
+-- Matched with the queue system by name or qms_code
+-- =====================================================
+CREATE TABLE IF NOT EXISTS service_counters (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL COMMENT 'Counter (loket) name, as on devices.service_counter',
+    qms_code VARCHAR(50) NULL COMMENT 'Counter name in the queue system, if different',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS staff (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    employee_number VARCHAR(30) NULL COMMENT 'NIP',
+    qms_code VARCHAR(100) NULL COMMENT 'Officer name in the queue system, if different',
+    counter_id INT NULL COMMENT 'service_counters.id the officer usually serves at',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_counter (counter_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- MOBILE TOKENS - One-time links of the QR codes for the mobile survey
+-- =====================================================
+CREATE TABLE IF NOT EXISTS mobile_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the token in the link',
+    queue_id VARCHAR(50) NOT NULL COMMENT 'Ticket number the link is bound to',
+    questionnaire_id INT NOT NULL COMMENT 'questionnaires.id of the survey to answer',
+    issued_by VARCHAR(50) NULL COMMENT 'Admin username, or queue-system',
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    survey_id INT NULL COMMENT 'surveys.id submitted with the link',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_token_hash (token_hash),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- RATE LIMITS - Request counts per route and IP or paired kiosk
+-- (RATE_LIMIT_STORE=database); ended windows are purged by the application
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rate_limits (
+    bucket VARCHAR(150) NOT NULL PRIMARY KEY COMMENT 'Route and subject, e.g. survey|ip:10.0.0.5 or survey|device:3',
+    hits INT NOT NULL DEFAULT 0 COMMENT 'Requests counted in the window',
+    blocked INT NOT NULL DEFAULT 0 COMMENT 'Requests refused in the window',
+    reset_at TIMESTAMP NOT NULL COMMENT 'End of the window',
+    last_hit_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_reset_at (reset_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- KIOSK CHANGES - Version per scope raised by admin edits; every instance
+-- polls it to push edits made through the others to its own kiosks
+-- =====================================================
+CREATE TABLE IF NOT EXISTS kiosk_changes (
+    scope VARCHAR(20) NOT NULL PRIMARY KEY COMMENT 'questions, config, media or staff',
+    version INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Raised by every admin edit of the scope',
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- KIOSK SETTINGS - Edited on the Konfigurasi page
+-- device_id 0 holds the settings of all kiosks; a kiosk's own row overrides them
+-- =====================================================
+CREATE TABLE IF NOT EXISTS kiosk_settings (
+    device_id INT NOT NULL PRIMARY KEY COMMENT 'devices.id, 0 for the settings of all kiosks',
+    settings_json JSON NOT NULL COMMENT 'Only the settings that are set; unset ones inherit',
+    updated_by VARCHAR(50) NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- MEDIA - Slideshow images/videos and rating emojis uploaded by admins
+-- (files are stored in MEDIA_DIR and served from /media)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS media (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL COMMENT 'slide or emoji',
+    slot VARCHAR(20) NULL COMMENT 'Emoji slot: positive, neutral, negative or thanks',
+    file_name VARCHAR(100) NOT NULL COMMENT 'Stored file in MEDIA_DIR',
+    original_name VARCHAR(255) NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INT NOT NULL,
+    caption VARCHAR(200) NULL,
+    duration_seconds INT NULL COMMENT 'Slide display time; NULL = slideshow interval or video length',
+    sort_order INT NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    uploaded_by VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_file_name (file_name),
+    INDEX idx_kind_order (kind, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- QUESTIONNAIRE VERSIONS - Snapshot of all questions per edit
+-- (the first version is created by the application on startup)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS questionnaire_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    questionnaire_id INT NULL COMMENT 'questionnaires.id',
+    questions_json MEDIUMTEXT NOT NULL,
+    note VARCHAR(255) NULL,
+    created_by VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_questionnaire (questionnaire_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- =====================================================
 -- ADMIN USERS TABLE - For admin dashboard access
 -- =====================================================
@@ -41,6 +287,7 @@ CREATE TABLE IF NOT EXISTS admin_users (
     password_hash VARCHAR(255) NOT NULL,
     name VARCHAR(100) NULL,
     email VARCHAR(100) NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'admin' COMMENT 'admin, or supervisor (also sees per-officer ratings)',
     last_login TIMESTAMP NULL,
     is_active TINYINT(1) DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -54,42 +301,20 @@ CREATE TABLE IF NOT EXISTS admin_users (
 -- DEFAULT ADMIN USER
 -- Note: Admin user is created by the application on startup
 -- using the ADMIN_DEFAULT_PASSWORD environment variable
+-- (and the supervisor user with SUPERVISOR_DEFAULT_PASSWORD)
 -- =====================================================
 -- =====================================================
 CREATE OR REPLACE VIEW v_monthly_stats AS
 SELECT 
-    YEAR(created_at) as year,
-    MONTH(created_at) as month,
-    DATE_FORMAT(created_at, '%Y-%m') as period,
-    COUNT(*) as total_responses,
-    
-    -- Q1: Kecepatan
-    SUM(CASE WHEN q1_kecepatan = 'sangat_baik' THEN 1 ELSE 0 END) as q1_sangat_baik,
-    SUM(CASE WHEN q1_kecepatan = 'cukup_baik' THEN 1 ELSE 0 END) as q1_cukup_baik,
-    SUM(CASE WHEN q1_kecepatan = 'kurang_baik' THEN 1 ELSE 0 END) as q1_kurang_baik,
-    
-    -- Q2: Keramahan
-    SUM(CASE WHEN q2_keramahan = 'sangat_baik' THEN 1 ELSE 0 END) as q2_sangat_baik,
-    SUM(CASE WHEN q2_keramahan = 'cukup_baik' THEN 1 ELSE 0 END) as q2_cukup_baik,
-    SUM(CASE WHEN q2_keramahan = 'kurang_baik' THEN 1 ELSE 0 END) as q2_kurang_baik,
-    
-    -- Q3: Kejelasan
-    SUM(CASE WHEN q3_kejelasan = 'sangat_baik' THEN 1 ELSE 0 END) as q3_sangat_baik,
-    SUM(CASE WHEN q3_kejelasan = 'cukup_baik' THEN 1 ELSE 0 END) as q3_cukup_baik,
-    SUM(CASE WHEN q3_kejelasan = 'kurang_baik' THEN 1 ELSE 0 END) as q3_kurang_baik,
-    
-    -- Q4: Fasilitas
-    SUM(CASE WHEN q4_fasilitas = 'sangat_baik' THEN 1 ELSE 0 END) as q4_sangat_baik,
-    SUM(CASE WHEN q4_fasilitas = 'cukup_baik' THEN 1 ELSE 0 END) as q4_cukup_baik,
-    SUM(CASE WHEN q4_fasilitas = 'kurang_baik' THEN 1 ELSE 0 END) as q4_kurang_baik,
-    
-    -- Q5: Kepuasan Keseluruhan
-    SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as q5_sangat_baik,
-    SUM(CASE WHEN q5_kepuasan = 'cukup_baik' THEN 1 ELSE 0 END) as q5_cukup_baik,
-    SUM(CASE WHEN q5_kepuasan = 'kurang_baik' THEN 1 ELSE 0 END) as q5_kurang_baik
-    
-FROM surveys
-GROUP BY YEAR(created_at), MONTH(created_at), DATE_FORMAT(created_at, '%Y-%m')
+    YEAR(s.created_at) as year,
+    MONTH(s.created_at) as month,
+    DATE_FORMAT(s.created_at, '%Y-%m') as period,
+    a.question_id,
+    a.answer_value,
+    COUNT(*) as total_answers
+FROM survey_answers a
+JOIN surveys s ON s.id = a.survey_id
+GROUP BY YEAR(s.created_at), MONTH(s.created_at), DATE_FORMAT(s.created_at, '%Y-%m'), a.question_id, a.answer_value
 ORDER BY year DESC, month DESC;
 
 -- =====================================================
@@ -98,10 +323,7 @@ ORDER BY year DESC, month DESC;
 CREATE OR REPLACE VIEW v_daily_stats AS
 SELECT 
     DATE(created_at) as date,
-    COUNT(*) as total_responses,
-    SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as satisfied,
-    SUM(CASE WHEN q5_kepuasan = 'cukup_baik' THEN 1 ELSE 0 END) as neutral,
-    SUM(CASE WHEN q5_kepuasan = 'kurang_baik' THEN 1 ELSE 0 END) as unsatisfied
+    COUNT(*) as total_responses
 FROM surveys
 GROUP BY DATE(created_at)
 ORDER BY date DESC;
@@ -111,27 +333,39 @@ ORDER BY date DESC;
 -- =====================================================
 CREATE TABLE IF NOT EXISTS questions (
     id INT AUTO_INCREMENT PRIMARY KEY,
+    questionnaire_id INT NOT NULL COMMENT 'questionnaires.id',
     question_key VARCHAR(20) NOT NULL UNIQUE,
+    question_type VARCHAR(20) NOT NULL DEFAULT 'rating' COMMENT 'rating, likert5, nps, choice, comment',
     question_text VARCHAR(500) NOT NULL,
     question_subtitle VARCHAR(200) DEFAULT 'Pilih salah satu penilaian',
     option_positive VARCHAR(50) DEFAULT 'SANGAT BAIK',
     option_neutral VARCHAR(50) DEFAULT 'CUKUP BAIK',
     option_negative VARCHAR(50) DEFAULT 'KURANG BAIK',
+    options_json JSON NULL COMMENT 'Choice options [{ value, label }]',
+    followup_json JSON NULL COMMENT 'Follow-up on negative answers { question_text, reasons: [{ value, label }] }',
+    translations_json JSON NULL COMMENT 'Per-language texts { en: { question_text, ..., options: { value: label } } }',
+    ikm_element VARCHAR(5) NULL COMMENT 'IKM service element U1-U9 (PermenPAN-RB 14/2017), NULL = not scored',
     display_order INT DEFAULT 0,
     is_active TINYINT(1) DEFAULT 1,
+    active_from DATE NULL COMMENT 'First day shown on the kiosk (inclusive), NULL = no start',
+    active_until DATE NULL COMMENT 'Last day shown on the kiosk (inclusive), NULL = no end',
+    archived_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set when deleted in the editor; kept for historical answers',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
+    INDEX idx_questionnaire (questionnaire_id),
     INDEX idx_display_order (display_order),
-    INDEX idx_is_active (is_active)
+    INDEX idx_is_active (is_active),
+    INDEX idx_archived (archived_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
--- Insert default questions
-INSERT INTO questions (question_key, question_text, option_positive, option_neutral, option_negative, display_order) VALUES
-('q1', 'Bagaimana kecepatan pelayanan kami?', 'SANGAT CEPAT', 'CUKUP CEPAT', 'KURANG CEPAT', 1),
-('q2', 'Bagaimana keramahan petugas kami?', 'SANGAT RAMAH', 'CUKUP RAMAH', 'KURANG RAMAH', 2),
-('q3', 'Bagaimana kejelasan informasi yang diberikan?', 'SANGAT JELAS', 'CUKUP JELAS', 'KURANG JELAS', 3),
-('q4', 'Bagaimana kondisi fasilitas kami?', 'SANGAT BAIK', 'CUKUP BAIK', 'KURANG BAIK', 4)
+-- Insert default questions (default survey)
+-- Same as the "standar" template of the questionnaire library in server.js
+INSERT INTO questions (questionnaire_id, question_key, question_text, option_positive, option_neutral, option_negative, ikm_element, display_order) VALUES
+(1, 'q1', 'Bagaimana kecepatan pelayanan kami?', 'SANGAT CEPAT', 'CUKUP CEPAT', 'KURANG CEPAT', 'U3', 1),
+(1, 'q2', 'Bagaimana keramahan petugas kami?', 'SANGAT RAMAH', 'CUKUP RAMAH', 'KURANG RAMAH', 'U7', 2),
+(1, 'q3', 'Bagaimana kejelasan informasi yang diberikan?', 'SANGAT JELAS', 'CUKUP JELAS', 'KURANG JELAS', 'U2', 3),
+(1, 'q4', 'Bagaimana kondisi fasilitas kami?', 'SANGAT BAIK', 'CUKUP BAIK', 'KURANG BAIK', 'U9', 4)
 ON DUPLICATE KEY UPDATE 
     question_text = VALUES(question_text),
     option_positive = VALUES(option_positive),
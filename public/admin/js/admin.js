@@ -10,6 +10,14 @@ function checkAuth() {
     return !!token;
 }
 
+/**
+ * Whether the signed-in account is a supervisor (sees ratings per counter and officer)
+ */
+function isSupervisor() {
+    const user = JSON.parse(localStorage.getItem('adminUser') || '{}');
+    return user.role === 'supervisor';
+}
+
 /**
  * Get auth token
  */
@@ -63,3 +71,165 @@ function formatDate(date) {
         year: 'numeric'
     });
 }
+
+/**
+ * Escape user-supplied text (e.g. visitor comments) before inserting as HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Headline figure of a non-rating question (likert average, NPS score)
+ */
+function questionHeadline(question) {
+    const stats = question.stats || {};
+    if (question.type === 'likert5') {
+        return `Rata-rata <strong>${stats.average}</strong> / 5 dari ${stats.total} jawaban`;
+    }
+    if (question.type === 'nps') {
+        return `NPS <strong>${stats.score}</strong> &middot; Promoter ${stats.promoters} &middot; Pasif ${stats.passives} &middot; Detraktor ${stats.detractors}`;
+    }
+    if (question.type === 'comment') {
+        return `<strong>${stats.total}</strong> komentar`;
+    }
+    return '';
+}
+
+/**
+ * Breakdown of follow-up reasons given after negative answers
+ */
+function renderFollowupBreakdown(question) {
+    const followup = question.followup;
+    if (!followup) return '';
+
+    const getWidth = (count) => followup.total > 0 ? Math.round((count / followup.total) * 100) : 0;
+    const rows = followup.total === 0
+        ? '<p class="no-data">Belum ada alasan</p>'
+        : followup.reasons.map(r => `
+            <div class="reason-row">
+                <span class="reason-label">${escapeHtml(r.label)}</span>
+                <div class="qbar-track">
+                    <div class="qbar-fill red" style="width: ${getWidth(r.count)}%"></div>
+                </div>
+                <span class="reason-count">${r.count}</span>
+            </div>
+        `).join('');
+
+    return `
+        <div class="followup-breakdown">
+            <h5><i class="fas fa-code-branch"></i> ${escapeHtml(followup.text)}</h5>
+            ${rows}
+        </div>
+    `;
+}
+
+/**
+ * IKM (PermenPAN-RB 14/2017): converted value, service quality grade and
+ * the average (NRR, 1-4) of each service element
+ */
+function renderIkmPanel(ikm) {
+    if (!ikm) {
+        return '<p class="no-data">Belum ada jawaban pada pertanyaan yang dipetakan ke unsur IKM</p>';
+    }
+
+    // Element colour by the same thresholds as the grade (C below 2.60, B from 3.0644)
+    const barColor = (nrr) => nrr >= 3.0644 ? 'green' : nrr >= 2.6 ? 'orange' : 'red';
+
+    return `
+        <div class="ikm-summary">
+            <span class="ikm-value grade-${ikm.grade}">${ikm.value.toFixed(2)}</span>
+            <div>
+                <span class="ikm-grade grade-${ikm.grade}">Mutu ${ikm.grade} &middot; ${escapeHtml(ikm.grade_label)}</span>
+                <p class="ikm-meta">
+                    Nilai interval ${ikm.index.toFixed(3)} &middot; ${ikm.respondents.toLocaleString()} responden &middot;
+                    ${ikm.element_count} unsur
+                </p>
+            </div>
+        </div>
+        <div class="ikm-elements">
+            ${ikm.elements.map(e => `
+                <div class="reason-row">
+                    <span class="reason-label"><strong>${e.code}</strong> ${escapeHtml(e.name)}</span>
+                    <div class="qbar-track">
+                        <div class="qbar-fill ${barColor(e.nrr)}" style="width: ${Math.round((e.nrr / 4) * 100)}%"></div>
+                    </div>
+                    <span class="reason-count">${e.nrr.toFixed(2)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Fraud detection rules (survey_flags.rule) as shown to admins
+ */
+const FRAUD_RULE_LABELS = {
+    burst: 'Beruntun',
+    identical: 'Jawaban identik',
+    fast: 'Terlalu cepat',
+    off_hours: 'Di luar jam layanan'
+};
+
+/**
+ * Note under a figure that confirmed fraud was left out of it (empty when none was)
+ */
+function renderExcludedNote(count) {
+    if (!count) return '';
+    return `<p class="excluded-note"><i class="fas fa-shield-halved"></i> ${formatNumber(count)} submission terkonfirmasi kecurangan tidak dihitung</p>`;
+}
+
+/**
+ * Fill a survey filter <select> with the unit's surveys ("Semua Survey" first)
+ */
+async function loadSurveyOptions(select) {
+    try {
+        const response = await fetchWithAuth('/admin/api/questionnaires');
+        const result = await response.json();
+
+        if (result.success) {
+            select.innerHTML = '<option value="">Semua Survey</option>' + result.questionnaires.map(qn => `
+                <option value="${qn.id}">${escapeHtml(qn.name)}${qn.is_active ? '' : ' (nonaktif)'}</option>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading surveys:', error);
+    }
+}
+
+/**
+ * Query string fragment for the selected survey filter ("" for all surveys)
+ */
+function surveyParam(select, prefix = '&') {
+    return select && select.value ? `${prefix}survey=${select.value}` : '';
+}
+
+/**
+ * Fill a device filter <select> with the registered kiosks ("Semua Kiosk" first)
+ */
+async function loadDeviceOptions(select) {
+    try {
+        const response = await fetchWithAuth('/admin/api/devices');
+        const result = await response.json();
+
+        if (result.success) {
+            select.innerHTML = '<option value="">Semua Kiosk</option>' + result.devices.map(d => `
+                <option value="${d.id}">${escapeHtml(d.name)}${d.location ? ` - ${escapeHtml(d.location)}` : ''}${d.is_active ? '' : ' (nonaktif)'}</option>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Error loading devices:', error);
+    }
+}
+
+/**
+ * Query string fragment for the selected device filter ("" for all kiosks)
+ */
+function deviceParam(select, prefix = '&') {
+    return select && select.value ? `${prefix}device=${select.value}` : '';
+}
@@ -8,25 +8,383 @@
 
     // Configuration
     let TOTAL_QUESTIONS = 5;
-    const COUNTDOWN_SECONDS = 5;
-    const SLIDESHOW_INTERVAL = 5000; // 5 seconds per slide
+    const QUESTIONS_REFRESH_INTERVAL = 60000; // Re-check questions while idle, when live updates are down
+    const QUEUE_RETRY_INTERVAL = 30000; // Retry queued offline submissions while idle on the welcome screen
+    const QUEUE_DB_NAME = 'kiosk-survey';
+    const QUEUE_STORE = 'submissions';
+    const REJECTED_STORE = 'rejected'; // Submissions the server refused, kept for an admin to recover
+    const DEVICE_TOKEN_KEY = 'kioskDeviceToken'; // Set once an admin paired this kiosk
+    const PAIRING_REQUEST_KEY = 'kioskPairing'; // Pairing asked for with /?pair=1, kept across reloads
+    const PAIRING_POLL_INTERVAL = 5000;
+    const HEARTBEAT_INTERVAL = 60000; // Paired kiosks report their state to the fleet monitor every minute
+    const LAST_SUBMISSION_KEY = 'kioskLastSubmission'; // When the server last accepted a submission from this kiosk
+    const APP_VERSION = '2.0.0';
+    const BUILD_KEY = 'kioskBuild'; // Build of the kiosk files this page was loaded with (/api/kiosk/events)
+    const LIVE_UPDATE_SCOPES = ['questions', 'config', 'media', 'staff'];
     const API_BASE = window.location.origin;
 
     // State
     let currentStep = 'welcome';
     let answers = {};
+    let followups = {}; // question_key -> reason picked on the "why?" screen
     let queueId = ''; // Store Queue ID
     let countdownTimer = null;
     let slideshowTimer = null;
+    let slideshowRunning = false;
     let currentSlide = 1;
+    let builtInSlidesHtml = ''; // Slides of index.html, shown while the media library has none
+    let mediaSignature = ''; // Last media list applied, to re-render only on changes
     let isTransitioning = false;
     let questionsData = [];
+    let questionnaireVersion = null; // Version of the questions shown, sent with the answers
+    let commentDrafts = {}; // question_key -> text typed on the on-screen keyboard
+    let keyboardShift = true;
+    let surveySlug = ''; // Survey this kiosk runs (?survey=<slug>), default survey when empty
+    let currentLanguage = 'id'; // Language picked on the welcome screen, reset for every visitor
+    let queueDbPromise = null; // IndexedDB holding submissions made while the server was unreachable
+    let isFlushingQueue = false;
+    let idleTimeout = 60000; // No touch this long on a survey step abandons the visit (server config)
+    let countdownSeconds = 5; // Thank-you screen before the next visitor (server config)
+    let slideshowInterval = 5000; // Per welcome slide (server config)
+    let queueLetters = 'ABCDE'; // Letter keys of the queue keypad (server config)
+    let queueMaxLength = 5; // Characters of a queue number, hyphen included (server config)
+    let customTexts = { id: {}, en: {} }; // Texts set on the Konfigurasi page, as HTML, over the built-in ones
+    let idleTimer = null;
+    let visitStartedAt = null;
+    let furthestStep = 0; // Furthest question reached this visit, 0 on the queue screen
+    let accessibilityMode = false; // High contrast, large text and spoken prompts, reset for every visitor
+    let isCheckingQueue = false; // Queue ticket being checked with the server
+    let servedByStep = 'off'; // Ask who served the visitor: off, counter or staff (server config)
+    let staffDirectory = null; // Active counters and officers for that question
+    let servedBy = {}; // { counterId, staffId } picked by the visitor
+    let focusSpeechMuted = false; // Moving focus to a new step: the step is read as a whole instead
+    let liveEvents = null; // Server-Sent Events stream of admin edits
+    let liveConnected = false; // Whether the stream has connected at least once
+    let pendingUpdates = new Set(); // Scopes to reload, or 'reload' for a new build, at the next idle moment
+
+    const COMMENT_MAX_LENGTH = 500;
+
+    // On-screen keyboard layout for comment questions
+    const KEYBOARD_ROWS = [
+        ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+        ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+        ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+        ['Z', 'X', 'C', 'V', 'B', 'N', 'M', ',', '.', '?']
+    ];
+
+    const DEFAULT_LANGUAGE = 'id';
+
+    // Kiosk text shown for each reason the server rejects a queue ticket
+    const QUEUE_ERROR_TEXTS = {
+        invalid: 'queueInvalid',
+        not_found: 'queueNotFound',
+        not_today: 'queueNotToday',
+        not_served: 'queueNotServed',
+        already_rated: 'queueAlreadyRated'
+    };
+
+    // Voices used for spoken prompts in accessibility mode
+    const SPEECH_LANGUAGES = { id: 'id-ID', en: 'en-US' };
+
+    // Static kiosk texts per language; elements carry data-i18n="<key>"
+    const I18N = {
+        id: {
+            slide1Title: 'KEMENTERIAN INVESTASI<br>DAN HILIRISASI/BKPM',
+            slide1Subtitle: 'Badan Koordinasi Penanaman Modal Republik Indonesia',
+            slide2Title: 'Melayani Dengan Sepenuh Hati',
+            slide2Subtitle: 'Komitmen kami untuk memberikan pelayanan terbaik',
+            slide3Title: 'Pelayanan Perizinan Berusaha Terintegrasi Secara Elektronik',
+            slide3Subtitle: 'Sentuh layar untuk memulai survey',
+            touchToStart: 'Sentuh untuk memulai',
+            queueTitle: 'Masukkan Nomor Antrian Untuk Melanjutkan',
+            queueInvalid: 'Nomor antrian tidak valid.',
+            queueNotFound: 'Nomor antrian tidak ditemukan. Periksa kembali tiket Anda.',
+            queueNotToday: 'Nomor antrian ini bukan tiket hari ini.',
+            queueNotServed: 'Nomor antrian ini belum dilayani. Silakan isi survey setelah dilayani.',
+            queueAlreadyRated: 'Survey untuk nomor antrian ini sudah diisi. Terima kasih!',
+            servedByStaff: 'Siapa yang melayani Anda?',
+            servedByCounter: 'Di loket mana Anda dilayani?',
+            servedBySubtitle: 'Pilih salah satu, atau lewati',
+            institutionName: 'KEMENTERIAN INVESTASI DAN HILIRISASI/BKPM',
+            institutionSubtitle: 'Pelayanan Perizinan Berusaha Terintegrasi Secara Elektronik',
+            loading: 'Memuat pertanyaan...',
+            thankYouTitle: 'Terima Kasih!',
+            thankYouText: 'Penilaian Anda telah berhasil disimpan.<br>Masukan Anda sangat berarti bagi kami.',
+            countdownBefore: 'Kembali ke halaman awal dalam',
+            countdownAfter: 'detik',
+            footer: 'Kementerian Investasi dan Hilirisasi/BKPM.<br>Badan Koordinasi Penanaman Modal Republik Indonesia',
+            back: 'Kembali',
+            next: 'Lanjut',
+            skip: 'Lewati',
+            space: 'SPASI',
+            commentPlaceholder: 'Tulis komentar atau saran Anda...',
+            followupSubtitle: 'Pilih alasan yang paling sesuai',
+            progress: 'Pertanyaan {current} dari {total}',
+            accessibility: 'Aksesibilitas',
+            accessibilityOn: 'Mode aksesibilitas aktif. Sentuh layar atau tekan Enter untuk memulai.',
+            deleteKey: 'Hapus',
+            shiftKey: 'Huruf besar',
+            queueSpoken: 'Ketik nomor antrian dengan tombol huruf dan angka, lalu pilih Lanjut.',
+            optionsSpoken: 'Pilihan: {options}.',
+            scaleSpoken: 'Pilih angka {min} sampai {max}. {min}: {low}. {max}: {high}.',
+            commentSpoken: 'Ketik dengan keyboard di layar, lalu pilih Lanjut atau Lewati.'
+        },
+        en: {
+            slide1Title: 'MINISTRY OF INVESTMENT<br>AND DOWNSTREAMING/BKPM',
+            slide1Subtitle: 'Investment Coordinating Board of the Republic of Indonesia',
+            slide2Title: 'Serving Wholeheartedly',
+            slide2Subtitle: 'Our commitment to providing the best service',
+            slide3Title: 'Electronically Integrated Business Licensing Services',
+            slide3Subtitle: 'Touch the screen to start the survey',
+            touchToStart: 'Touch to start',
+            queueTitle: 'Enter Your Queue Number To Continue',
+            queueInvalid: 'This queue number is not valid.',
+            queueNotFound: 'Queue number not found. Please check your ticket.',
+            queueNotToday: 'This queue number is not a ticket from today.',
+            queueNotServed: 'This queue number has not been served yet. Please rate after your service.',
+            queueAlreadyRated: 'This queue number has already been rated. Thank you!',
+            servedByStaff: 'Who served you?',
+            servedByCounter: 'At which counter were you served?',
+            servedBySubtitle: 'Choose one, or skip',
+            institutionName: 'MINISTRY OF INVESTMENT AND DOWNSTREAMING/BKPM',
+            institutionSubtitle: 'Electronically Integrated Business Licensing Services',
+            loading: 'Loading questions...',
+            thankYouTitle: 'Thank You!',
+            thankYouText: 'Your feedback has been saved.<br>Your input means a lot to us.',
+            countdownBefore: 'Returning to the start page in',
+            countdownAfter: 'seconds',
+            footer: 'Ministry of Investment and Downstreaming/BKPM.<br>Investment Coordinating Board of the Republic of Indonesia',
+            back: 'Back',
+            next: 'Next',
+            skip: 'Skip',
+            space: 'SPACE',
+            commentPlaceholder: 'Write your comments or suggestions...',
+            followupSubtitle: 'Choose the reason that fits best',
+            progress: 'Question {current} of {total}',
+            accessibility: 'Accessibility',
+            accessibilityOn: 'Accessibility mode on. Touch the screen or press Enter to start.',
+            deleteKey: 'Delete',
+            shiftKey: 'Capital letters',
+            queueSpoken: 'Type your queue number with the letter and number keys, then choose Next.',
+            optionsSpoken: 'Options: {options}.',
+            scaleSpoken: 'Choose a number from {min} to {max}. {min}: {low}. {max}: {high}.',
+            commentSpoken: 'Type with the on-screen keyboard, then choose Next or Skip.'
+        }
+    };
+
+    /**
+     * Static text in the current language
+     */
+    function t(key, params = {}) {
+        const text = (customTexts[currentLanguage] || {})[key]
+            || (I18N[currentLanguage] || I18N[DEFAULT_LANGUAGE])[key] || I18N[DEFAULT_LANGUAGE][key] || key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Question texts in the current language, falling back to the original wording
+     */
+    function localizeQuestion(q) {
+        const translation = (q.translations || {})[currentLanguage];
+        if (currentLanguage === DEFAULT_LANGUAGE || !translation) return q;
+
+        const pick = field => translation[field] || q[field];
+        const followupTranslation = translation.followup || {};
+
+        return {
+            ...q,
+            question_text: pick('question_text'),
+            question_subtitle: pick('question_subtitle'),
+            option_positive: pick('option_positive'),
+            option_neutral: pick('option_neutral'),
+            option_negative: pick('option_negative'),
+            options: (q.options || []).map(option => ({
+                ...option,
+                label: (translation.options || {})[option.value] || option.label
+            })),
+            followup: q.followup ? {
+                question_text: followupTranslation.question_text || q.followup.question_text,
+                reasons: q.followup.reasons.map(reason => ({
+                    ...reason,
+                    label: (followupTranslation.reasons || {})[reason.value] || reason.label
+                }))
+            } : null
+        };
+    }
+
+    /**
+     * Switch the kiosk language: static texts and questions
+     */
+    function setLanguage(language) {
+        currentLanguage = I18N[language] ? language : DEFAULT_LANGUAGE;
+        document.documentElement.lang = currentLanguage;
+
+        applyStaticTexts();
+        document.querySelectorAll('.lang-option').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.lang === currentLanguage);
+        });
+
+        if (questionsData.length > 0) renderQuestions();
+    }
+
+    function applyStaticTexts() {
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.innerHTML = t(el.dataset.i18n);
+        });
+        // Icon-only buttons get their spoken name from aria-label
+        document.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+        });
+    }
+
+    /* =====================================================
+       ACCESSIBILITY MODE
+       ===================================================== */
+
+    /**
+     * High contrast and large text (CSS), spoken prompts (speak)
+     */
+    function setAccessibilityMode(enabled) {
+        accessibilityMode = enabled;
+        document.documentElement.classList.toggle('accessibility-mode', enabled);
+
+        const toggle = document.getElementById('accessibilityToggle');
+        if (toggle) {
+            toggle.classList.toggle('active', enabled);
+            toggle.setAttribute('aria-pressed', String(enabled));
+        }
+
+        if (!enabled && window.speechSynthesis) window.speechSynthesis.cancel();
+    }
+
+    /**
+     * Read a text aloud in the kiosk language, cutting off the previous one
+     */
+    function speak(text) {
+        if (!accessibilityMode || !text || !window.speechSynthesis) return;
+
+        window.speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = SPEECH_LANGUAGES[currentLanguage] || SPEECH_LANGUAGES[DEFAULT_LANGUAGE];
+        utterance.rate = 0.9;
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Kiosk HTML (texts with <br>, option buttons) as a sentence to speak
+     */
+    function spokenText(html) {
+        const div = document.createElement('div');
+        div.innerHTML = String(html || '').replace(/<br\s*\/?>/gi, '. ');
+        return div.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Everything a visitor needs to hear on a step: question, subtitle and how to answer
+     */
+    function describeStep(stepEl) {
+        const parts = [];
+        const title = stepEl.querySelector('.question-title, .step-title');
+        const subtitle = stepEl.querySelector('.question-subtitle, .step-description');
+        if (title) parts.push(spokenText(title.innerHTML));
+        if (subtitle) parts.push(spokenText(subtitle.innerHTML));
+
+        const scaleOptions = stepEl.querySelectorAll('.scale-option');
+        const answerOptions = stepEl.querySelectorAll('.rating-option, .choice-option');
+        if (stepEl.id === 'step-queue') {
+            parts.push(t('queueSpoken'));
+        } else if (scaleOptions.length > 0) {
+            const legend = stepEl.querySelectorAll('.scale-legend span');
+            parts.push(t('scaleSpoken', {
+                min: scaleOptions[0].dataset.value,
+                max: scaleOptions[scaleOptions.length - 1].dataset.value,
+                low: legend[0] ? legend[0].textContent : '',
+                high: legend[1] ? legend[1].textContent : ''
+            }));
+        } else if (answerOptions.length > 0) {
+            parts.push(t('optionsSpoken', {
+                options: Array.from(answerOptions, option => spokenText(option.innerHTML)).join(', ')
+            }));
+        } else if (stepEl.querySelector('.comment-input')) {
+            parts.push(t('commentSpoken'));
+        }
+
+        return parts.filter(Boolean).join('. ');
+    }
+
+    /**
+     * Put keyboard and switch users on the first answer of a new step
+     */
+    function focusStep(stepEl) {
+        const first = stepEl.querySelector('.rating-option, .scale-option, .choice-option, .virtual-keypad .key:not(.letter), .kb-key');
+        if (!first) {
+            // Keep Enter and Space off the buttons of the step just left
+            if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+            return;
+        }
+
+        // The step only becomes visible, and focusable, once its transition has started
+        setTimeout(() => {
+            focusSpeechMuted = true;
+            first.focus({ preventScroll: true });
+            focusSpeechMuted = false;
+        }, 50);
+    }
+
+    /**
+     * Name of the focused button, read while moving through a step with Tab or a switch
+     */
+    function handleFocusSpeech(e) {
+        if (!accessibilityMode || focusSpeechMuted) return;
+        const button = e.target.closest && e.target.closest('button, [role="button"]');
+        if (!button) return;
+        speak(button.getAttribute('aria-label') || spokenText(button.innerHTML));
+    }
+
+    /**
+     * Physical keyboard: Enter or Space starts the survey from the welcome screen,
+     * typed characters press the matching on-screen key (queue keypad, comment keyboard)
+     * and Enter outside a button continues. Tab, Enter and Space on buttons work as usual.
+     */
+    function handleKeyboardInput(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+        const onButton = Boolean(e.target.closest && e.target.closest('button'));
+
+        if (currentStep === 'welcome') {
+            if ((e.key === 'Enter' || e.key === ' ') && !onButton) {
+                e.preventDefault();
+                startSurvey();
+            }
+            return;
+        }
+
+        const stepEl = document.getElementById(`step-${currentStep}`);
+        if (!stepEl) return;
+
+        let key = null;
+        if (e.key === 'Backspace') {
+            key = stepEl.querySelector('[data-action="backspace"]');
+        } else if (e.key === 'Enter' && !onButton) {
+            key = stepEl.querySelector('[data-action="submit"], [data-action="next"]');
+        } else if (e.key === ' ' && !onButton) {
+            key = stepEl.querySelector('[data-action="space"]');
+        } else if (e.key.length === 1 && e.key !== ' ') {
+            key = stepEl.querySelector(`[data-key="${CSS.escape(e.key.toUpperCase())}"]`);
+        }
+
+        if (key && !key.disabled) {
+            e.preventDefault();
+            key.click();
+        }
+    }
 
-    // Emoji URLs for different question types
+    // Emoji URLs for the rating options and the thank-you screen: bundled ones,
+    // replaced by uploads from the admin media library (/api/media)
     const emojiMap = {
-        positive: 'https://raw.githubusercontent.com/Tarikul-Islam-Anik/Animated-Fluent-Emojis/master/Emojis/Smilies/Star-Struck.png',
-        neutral: 'https://raw.githubusercontent.com/Tarikul-Islam-Anik/Animated-Fluent-Emojis/master/Emojis/Smilies/Slightly%20Smiling%20Face.png',
-        negative: 'https://raw.githubusercontent.com/Tarikul-Islam-Anik/Animated-Fluent-Emojis/master/Emojis/Smilies/Worried%20Face.png'
+        positive: '/img/emoji/positive.svg',
+        neutral: '/img/emoji/neutral.svg',
+        negative: '/img/emoji/negative.svg',
+        thanks: '/img/emoji/thanks.svg'
     };
 
     // DOM Elements
@@ -51,14 +409,42 @@
         surveyFooter = document.getElementById('surveyFooter');
         touchOverlay = document.getElementById('touchToStart');
 
-        // Load questions from API
+        builtInSlidesHtml = Array.from(document.querySelectorAll('#slideshow .slide')).map(slide => slide.outerHTML).join('');
+
+        // Load slideshow media and questions from API
+        await loadMedia();
         await loadQuestions();
+        loadKioskConfig();
+        initDevice();
 
         bindEvents();
 
         startSlideshow();
         startClock(); // Start queue clock
         preloadImages();
+
+        // Edits made in the admin are pushed by the server; poll only while the stream is down
+        connectLiveUpdates();
+        setInterval(() => {
+            if (currentStep !== 'welcome') return;
+            if (liveEvents && liveEvents.readyState === EventSource.OPEN) return;
+            loadMedia();
+            loadQuestions();
+            loadKioskConfig();
+        }, QUESTIONS_REFRESH_INTERVAL);
+
+        // Keep working offline: cached page and questions, queued submissions
+        registerServiceWorker();
+        flushSubmissionQueue();
+        setInterval(() => {
+            if (currentStep === 'welcome') flushSubmissionQueue();
+        }, QUEUE_RETRY_INTERVAL);
+        window.addEventListener('online', () => {
+            if (currentStep === 'welcome') flushSubmissionQueue();
+        });
+
+        sendHeartbeat();
+        setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
         console.log('Kiosk Survey with Slideshow initialized');
     }
 
@@ -86,18 +472,307 @@
         setInterval(update, 10000); // Update every 10s is enough
     }
 
+    /**
+     * Listen for admin edits and deploys. Changes are applied at the next idle
+     * moment (the welcome screen), never while a visitor is answering.
+     */
+    function connectLiveUpdates() {
+        if (!('EventSource' in window)) return;
+
+        liveEvents = new EventSource(`${API_BASE}/api/kiosk/events`);
+
+        liveEvents.addEventListener('hello', (e) => {
+            const { build } = JSON.parse(e.data);
+            const loadedBuild = localStorage.getItem(BUILD_KEY);
+            if (!loadedBuild) {
+                localStorage.setItem(BUILD_KEY, build);
+            } else if (build !== loadedBuild) {
+                pendingUpdates.add('reload');
+            }
+
+            // Reconnected: edits made while the stream was down were missed
+            if (liveConnected) LIVE_UPDATE_SCOPES.forEach(scope => pendingUpdates.add(scope));
+            liveConnected = true;
+            applyPendingUpdates();
+        });
+
+        liveEvents.addEventListener('change', (e) => {
+            const { scope } = JSON.parse(e.data);
+            if (!LIVE_UPDATE_SCOPES.includes(scope)) return;
+            pendingUpdates.add(scope);
+            applyPendingUpdates();
+        });
+
+        // EventSource reconnects by itself; the refresh interval covers the gap
+        liveEvents.addEventListener('error', () => {
+            console.warn('Live updates disconnected, retrying');
+        });
+    }
+
+    /**
+     * Apply pushed changes, only while the kiosk is idle on the welcome screen
+     */
+    function applyPendingUpdates() {
+        if (currentStep !== 'welcome' || pendingUpdates.size === 0) return;
+
+        const updates = pendingUpdates;
+        pendingUpdates = new Set();
+
+        // New kiosk files: reload the whole page (the service worker fetches them fresh)
+        if (updates.has('reload')) {
+            localStorage.removeItem(BUILD_KEY);
+            window.location.reload();
+            return;
+        }
+
+        if (updates.has('media')) loadMedia();
+        if (updates.has('questions')) loadQuestions();
+        if (updates.has('config')) loadKioskConfig();
+        if (updates.has('staff') && servedByStep !== 'off') loadStaffDirectory();
+    }
+
+    /**
+     * Kiosk settings from the server (Konfigurasi page), this kiosk's own when paired
+     */
+    async function loadKioskConfig() {
+        try {
+            const response = await fetch(`${API_BASE}/api/kiosk-config`, { headers: deviceHeaders() });
+            const config = await response.json();
+            if (config.success) applyKioskConfig(config);
+        } catch (error) {
+            console.error('Error loading kiosk config:', error);
+        }
+    }
+
+    function applyKioskConfig(config) {
+        if (config.idleTimeout > 0) idleTimeout = config.idleTimeout * 1000;
+        if (config.countdownSeconds > 0) countdownSeconds = config.countdownSeconds;
+        if (config.queueMaxLength > 0) queueMaxLength = config.queueMaxLength;
+
+        if (config.slideshowInterval > 0 && config.slideshowInterval !== slideshowInterval) {
+            slideshowInterval = config.slideshowInterval;
+            if (slideshowRunning) {
+                stopSlideshow();
+                startSlideshow();
+            }
+        }
+
+        if (config.queueLetters) {
+            queueLetters = config.queueLetters;
+            renderQueueLetters();
+        }
+
+        if (config.theme) {
+            const root = document.documentElement.style;
+            root.setProperty('--color-primary-dark', config.theme.primaryColor);
+            root.setProperty('--color-primary-light', config.theme.secondaryColor);
+            root.setProperty('--color-primary-gradient',
+                `linear-gradient(135deg, ${config.theme.primaryColor} 0%, ${config.theme.secondaryColor} 100%)`);
+        }
+
+        if (config.servedByStep) {
+            servedByStep = config.servedByStep;
+            if (servedByStep !== 'off') loadStaffDirectory();
+        }
+
+        if (config.thankYou) {
+            customTexts = { id: {}, en: {} };
+            Object.entries(config.thankYou).forEach(([language, texts]) => {
+                if (!customTexts[language]) return;
+                if (texts.title) customTexts[language].thankYouTitle = textToHtml(texts.title);
+                if (texts.text) customTexts[language].thankYouText = textToHtml(texts.text);
+            });
+            applyStaticTexts();
+        }
+    }
+
+    /**
+     * Counters and officers the visitor can pick after the queue number
+     */
+    async function loadStaffDirectory() {
+        try {
+            const response = await fetch(`${API_BASE}/api/staff`, { headers: deviceHeaders() });
+            const result = await response.json();
+            if (result.success) staffDirectory = result;
+        } catch (error) {
+            console.error('Error loading staff directory:', error);
+        }
+    }
+
+    /**
+     * Plain text typed by an admin as HTML, line breaks kept
+     */
+    function textToHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Letter keys of the queue keypad; unused slots stay empty to keep the grid
+     */
+    function renderQueueLetters() {
+        document.querySelectorAll('.virtual-keypad .key.letter').forEach((btn, index) => {
+            const letter = queueLetters[index] || '';
+            btn.dataset.key = letter;
+            btn.textContent = letter;
+            btn.style.visibility = letter ? '' : 'hidden';
+        });
+    }
+
+    /**
+     * Headers identifying this kiosk, once it is paired
+     */
+    function deviceHeaders(headers = {}) {
+        const token = localStorage.getItem(DEVICE_TOKEN_KEY);
+        return token ? { ...headers, 'X-Device-Token': token } : headers;
+    }
+
+    /**
+     * Drop a revoked device token and start pairing when asked to (/?pair=1)
+     */
+    async function initDevice() {
+        if (new URLSearchParams(window.location.search).get('pair') === '1') {
+            localStorage.setItem(PAIRING_REQUEST_KEY, '1');
+        }
+
+        if (localStorage.getItem(DEVICE_TOKEN_KEY)) {
+            try {
+                const response = await fetch(`${API_BASE}/api/device`, { headers: deviceHeaders() });
+                if (response.status === 401) {
+                    console.warn('Device token no longer valid, kiosk is unpaired');
+                    localStorage.removeItem(DEVICE_TOKEN_KEY);
+                }
+            } catch (error) {
+                // Offline: keep the token
+                console.warn('Device check skipped:', error.message);
+            }
+        }
+
+        if (localStorage.getItem(PAIRING_REQUEST_KEY)) startPairing();
+    }
+
+    /**
+     * Tell the fleet monitor this kiosk is alive and what it is doing (paired kiosks only)
+     */
+    async function sendHeartbeat() {
+        if (!localStorage.getItem(DEVICE_TOKEN_KEY)) return;
+
+        let queued = 0;
+        let rejected = 0;
+        try {
+            queued = await queueStoreRequest('readonly', store => store.count());
+            rejected = await queueStoreRequest('readonly', store => store.count(), REJECTED_STORE);
+        } catch (error) {
+            // No IndexedDB: nothing can be queued either
+        }
+
+        try {
+            await fetch(`${API_BASE}/api/device/heartbeat`, {
+                method: 'POST',
+                headers: deviceHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    step: String(currentStep),
+                    app_version: APP_VERSION,
+                    screen: `${window.screen.width}x${window.screen.height}`,
+                    last_submission_at: localStorage.getItem(LAST_SUBMISSION_KEY),
+                    queued,
+                    rejected
+                })
+            });
+        } catch (error) {
+            console.warn('Heartbeat not sent:', error.message);
+        }
+    }
+
+    /**
+     * Show a fresh pairing code and wait for an admin to enter it
+     */
+    async function startPairing() {
+        try {
+            const response = await fetch(`${API_BASE}/api/device/pairing`, { method: 'POST' });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error);
+
+            document.getElementById('pairingCode').textContent = result.code;
+            document.getElementById('pairingOverlay').classList.remove('hidden');
+            pollPairing(result.code, result.secret);
+        } catch (error) {
+            console.error('Pairing failed:', error);
+            setTimeout(startPairing, PAIRING_POLL_INTERVAL * 6);
+        }
+    }
+
+    function pollPairing(code, secret) {
+        setTimeout(async () => {
+            try {
+                const response = await fetch(`${API_BASE}/api/device/pairing/status`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code, secret })
+                });
+
+                // Code expired before an admin entered it: show a new one
+                if (response.status === 404) {
+                    startPairing();
+                    return;
+                }
+
+                const result = await response.json();
+                if (result.paired) {
+                    localStorage.setItem(DEVICE_TOKEN_KEY, result.token);
+                    localStorage.removeItem(PAIRING_REQUEST_KEY);
+                    document.getElementById('pairingOverlay').classList.add('hidden');
+                    console.log(`Kiosk paired as "${result.device.name}"`);
+                    return;
+                }
+            } catch (error) {
+                console.warn('Pairing status unavailable:', error.message);
+            }
+            pollPairing(code, secret);
+        }, PAIRING_POLL_INTERVAL);
+    }
+
+    /**
+     * Survey slug from the kiosk URL (?survey=<slug>), remembered so the
+     * kiosk keeps running the same survey after a plain reload
+     */
+    function getSurveySlug() {
+        const fromUrl = new URLSearchParams(window.location.search).get('survey');
+        if (fromUrl) {
+            localStorage.setItem('kioskSurvey', fromUrl);
+            return fromUrl;
+        }
+        return localStorage.getItem('kioskSurvey') || '';
+    }
+
     /**
      * Load questions from API
      */
     async function loadQuestions() {
+        surveySlug = getSurveySlug();
+
         try {
-            const response = await fetch(`${API_BASE}/api/questions`);
+            let response = await fetch(`${API_BASE}/api/questions${surveySlug ? `?survey=${encodeURIComponent(surveySlug)}` : ''}`);
+
+            // Unknown or deactivated survey: fall back to the default one
+            if (response.status === 404 && surveySlug) {
+                console.warn(`Survey "${surveySlug}" not found, using default survey`);
+                localStorage.removeItem('kioskSurvey');
+                surveySlug = '';
+                response = await fetch(`${API_BASE}/api/questions`);
+            }
+
             const result = await response.json();
 
             if (result.success && result.questions.length > 0) {
-                questionsData = result.questions;
-                TOTAL_QUESTIONS = questionsData.length;
-                renderQuestions();
+                // Re-render only when something changed, so a refresh never disturbs the screen
+                if (JSON.stringify(result.questions) !== JSON.stringify(questionsData)) {
+                    questionsData = result.questions;
+                    questionnaireVersion = result.questionnaireVersion || null;
+                    TOTAL_QUESTIONS = questionsData.length;
+                    renderQuestions();
+                }
             } else {
                 console.error('No questions found');
             }
@@ -113,46 +788,174 @@
         const container = document.getElementById('questionsContainer');
         if (!container) return;
 
-        container.innerHTML = questionsData.map((q, index) => `
+        container.innerHTML = questionsData.map(localizeQuestion).map((q, index) => `
             <section class="survey-step" id="step-${index + 1}">
                 ${index === 0 ? `
                 <button class="btn-back-home" type="button">
                     <i class="fas fa-arrow-left"></i>
-                    <span>Kembali</span>
+                    <span>${t('back')}</span>
                 </button>
                 ` : ''}
                 <div class="step-content">
                     <h2 class="question-title">${q.question_text}</h2>
-                    <p class="question-subtitle">${q.question_subtitle}</p>
+                    <p class="question-subtitle">${q.question_subtitle || ''}</p>
+
+                    ${renderAnswerInput(q, index + 1)}
+                </div>
+            </section>
+            ${q.followup ? renderFollowupStep(q, index + 1) : ''}
+        `).join('');
+
+        bindQuestionEvents(container);
+
+        // Attach event listener for back button
+        const backBtn = container.querySelector('.btn-back-home');
+        if (backBtn) {
+            addTapEvent(backBtn, function(e) {
+                // Prevent bubbling
+                e.stopPropagation();
+                // Reset to home
+                resetSurvey();
+            });
+        }
+    }
 
+    /**
+     * Answer controls for one question, depending on its type
+     */
+    function renderAnswerInput(q, step) {
+        const attrs = `data-question="${q.question_key}" data-step="${step}"`;
+
+        switch (q.question_type) {
+            case 'likert5':
+            case 'nps': {
+                const values = q.question_type === 'nps'
+                    ? [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+                    : [1, 2, 3, 4, 5];
+                const tone = value => q.question_type === 'nps'
+                    ? (value >= 9 ? 'green' : value >= 7 ? 'orange' : 'red')
+                    : (value >= 4 ? 'green' : value === 3 ? 'orange' : 'red');
+
+                return `
+                    <div class="scale-grid ${q.question_type}">
+                        ${values.map(value => `
+                        <button class="scale-option ${tone(value)}" ${attrs} data-value="${value}">${value}</button>
+                        `).join('')}
+                    </div>
+                    <div class="scale-legend ${q.question_type}">
+                        <span class="red">${q.option_negative || ''}</span>
+                        <span class="green">${q.option_positive || ''}</span>
+                    </div>
+                `;
+            }
+            case 'choice':
+                return `
+                    <div class="choice-grid">
+                        ${(q.options || []).map(option => `
+                        <button class="choice-option" ${attrs} data-value="${option.value}">${option.label}</button>
+                        `).join('')}
+                    </div>
+                `;
+            case 'comment':
+                return `
+                    <div class="comment-input" data-question="${q.question_key}" data-step="${step}">
+                        <div class="comment-display" data-placeholder="${t('commentPlaceholder')}"></div>
+                        <div class="comment-counter">0 / ${COMMENT_MAX_LENGTH}</div>
+                        <div class="onscreen-keyboard">
+                            ${KEYBOARD_ROWS.map(row => `
+                            <div class="kb-row">
+                                ${row.map(key => `<button class="kb-key" type="button" data-key="${key}">${key}</button>`).join('')}
+                            </div>
+                            `).join('')}
+                            <div class="kb-row">
+                                <button class="kb-key kb-wide active" type="button" data-action="shift" aria-label="${t('shiftKey')}"><i class="fas fa-arrow-up"></i></button>
+                                <button class="kb-key kb-space" type="button" data-action="space">${t('space')}</button>
+                                <button class="kb-key kb-wide" type="button" data-action="backspace" aria-label="${t('deleteKey')}"><i class="fas fa-backspace"></i></button>
+                            </div>
+                        </div>
+                        <div class="comment-actions">
+                            <button class="btn-comment-skip" type="button" data-action="skip">${t('skip')}</button>
+                            <button class="btn-comment-next" type="button" data-action="next" disabled>
+                                ${t('next')} <i class="fas fa-chevron-right"></i>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            default:
+                return `
                     <div class="rating-grid">
-                        <button class="rating-option" data-question="${q.question_key}" data-value="sangat_baik">
+                        <button class="rating-option" ${attrs} data-value="sangat_baik">
                             <img src="${emojiMap.positive}" alt="${q.option_positive}" class="option-emoji">
                             <span class="option-label green">${q.option_positive}</span>
                         </button>
-                        <button class="rating-option" data-question="${q.question_key}" data-value="cukup_baik">
+                        <button class="rating-option" ${attrs} data-value="cukup_baik">
                             <img src="${emojiMap.neutral}" alt="${q.option_neutral}" class="option-emoji">
                             <span class="option-label orange">${q.option_neutral}</span>
                         </button>
-                        <button class="rating-option" data-question="${q.question_key}" data-value="kurang_baik">
+                        <button class="rating-option" ${attrs} data-value="kurang_baik">
                             <img src="${emojiMap.negative}" alt="${q.option_negative}" class="option-emoji">
                             <span class="option-label red">${q.option_negative}</span>
                         </button>
                     </div>
+                `;
+        }
+    }
+
+    /**
+     * Follow-up screen asking why, shown after a negative answer
+     */
+    function renderFollowupStep(q, step) {
+        const attrs = `data-question="${q.question_key}" data-step="${step}"`;
+
+        return `
+            <section class="survey-step followup-step" id="step-${step}-why">
+                <div class="step-content">
+                    <h2 class="question-title">${q.followup.question_text}</h2>
+                    <p class="question-subtitle">${t('followupSubtitle')}</p>
+
+                    <div class="choice-grid">
+                        ${q.followup.reasons.map(reason => `
+                        <button class="choice-option reason-option" ${attrs} data-reason="${reason.value}">${reason.label}</button>
+                        `).join('')}
+                    </div>
+                    <div class="followup-actions">
+                        <button class="btn-followup-skip" type="button" ${attrs}>${t('skip')}</button>
+                    </div>
                 </div>
             </section>
-        `).join('');
+        `;
+    }
 
-        // Attach event listener for back button
-        const backBtn = container.querySelector('.btn-back-home');
-        if (backBtn) {
-            addTapEvent(backBtn, function(e) {
-                // Prevent bubbling
-                e.stopPropagation();
-                // Reset to home
-                resetSurvey();
+    /**
+     * Same rule as the server: which answers count as negative
+     */
+    function isNegativeAnswer(q, value) {
+        if (q.question_type === 'likert5') return Number(value) <= 2;
+        if (q.question_type === 'nps') return Number(value) <= 6;
+        if (q.question_type === 'rating' || !q.question_type) return value === 'kurang_baik';
+        return false;
+    }
+
+    /**
+     * Bind answer controls of the rendered questions
+     */
+    function bindQuestionEvents(container) {
+        container.querySelectorAll('.rating-option, .scale-option, .choice-option[data-value]').forEach(option => {
+            addTapEvent(option, handleRatingClick);
+        });
+
+        container.querySelectorAll('.reason-option, .btn-followup-skip').forEach(option => {
+            addTapEvent(option, handleReasonClick);
+        });
+
+        container.querySelectorAll('.comment-input').forEach(input => {
+            input.querySelectorAll('.kb-key').forEach(key => {
+                addTapEvent(key, handleCommentKey);
             });
-        }
+            input.querySelectorAll('.comment-actions button').forEach(btn => {
+                addTapEvent(btn, handleCommentAction);
+            });
+        });
     }
 
     /**
@@ -216,19 +1019,31 @@
             });
         }
 
-        // Rating options
-        const ratingOptions = document.querySelectorAll('.rating-option');
-        ratingOptions.forEach(option => {
-            addTapEvent(option, handleRatingClick);
+        // Language toggle on the welcome screen (does not start the survey)
+        document.querySelectorAll('.lang-option').forEach(btn => {
+            addTapEvent(btn, function (e) {
+                e.stopPropagation();
+                setLanguage(this.dataset.lang);
+                speak(spokenText(t('touchToStart')));
+            });
         });
 
-        // Slide indicators
-        const indicators = document.querySelectorAll('.indicator');
-        indicators.forEach(indicator => {
-            addTapEvent(indicator, function () {
-                const slideNum = parseInt(this.dataset.slide);
-                goToSlide(slideNum);
-            });
+        // Accessibility mode toggle on the welcome screen (does not start the survey)
+        addTapEvent(document.getElementById('accessibilityToggle'), function (e) {
+            e.stopPropagation();
+            setAccessibilityMode(!accessibilityMode);
+            speak(t('accessibilityOn'));
+        });
+
+        // Keyboard and switch access
+        document.addEventListener('keydown', handleKeyboardInput);
+        document.addEventListener('focusin', handleFocusSpeech);
+
+        bindIndicators();
+
+        // Any touch on a survey step keeps the visit alive
+        ['touchstart', 'mousedown', 'keydown'].forEach(type => {
+            document.addEventListener(type, scheduleIdleTimeout, { capture: true, passive: true });
         });
 
         // Prevent zoom on double tap
@@ -251,36 +1066,136 @@
         keys.forEach(key => {
             addTapEvent(key, handleKeypadInput);
         });
+
+        // "Who served you?" can be skipped
+        addTapEvent(document.getElementById('servedBySkip'), function () {
+            if (isTransitioning) return;
+            servedBy = {};
+            goToStep(1);
+        });
     }
 
     /* =====================================================
        SLIDESHOW FUNCTIONS
        ===================================================== */
 
+    /**
+     * Slideshow images, videos and emojis from the admin media library
+     */
+    async function loadMedia() {
+        try {
+            const response = await fetch(`${API_BASE}/api/media`);
+            const media = await response.json();
+            if (!media.success) return;
+
+            const signature = JSON.stringify({ slides: media.slides, emojis: media.emojis });
+            if (signature === mediaSignature) return;
+            mediaSignature = signature;
+
+            const emojisChanged = Object.keys(media.emojis).some(slot => emojiMap[slot] !== media.emojis[slot]);
+            Object.assign(emojiMap, media.emojis);
+            const thanksEmoji = document.getElementById('thanksEmoji');
+            if (thanksEmoji) thanksEmoji.src = emojiMap.thanks;
+            if (emojisChanged && questionsData.length > 0) renderQuestions();
+
+            renderSlides(media.slides);
+        } catch (error) {
+            console.error('Error loading media:', error);
+        }
+    }
+
+    /**
+     * Replace the slides with the media library's (the built-in slides when it has none)
+     */
+    function renderSlides(slides) {
+        const container = document.getElementById('slideshow');
+        const wasRunning = slideshowRunning;
+        stopSlideshow();
+        container.querySelectorAll('.slide').forEach(slide => slide.remove());
+
+        const html = slides.length === 0 ? builtInSlidesHtml : slides.map(slide => `
+            <div class="slide media-slide" data-duration="${slide.duration || ''}">
+                ${slide.type === 'video'
+                    ? `<video class="slide-video" src="${slide.url}" muted playsinline preload="auto"></video>`
+                    : `<div class="slide-background" style="background-image: url('${slide.url}')"></div>`}
+                ${slide.caption ? `<div class="slide-caption">${textToHtml(slide.caption)}</div>` : ''}
+            </div>
+        `).join('');
+        container.querySelector('.slide-indicators').insertAdjacentHTML('beforebegin', html);
+
+        container.querySelectorAll('.slide-video').forEach(video => {
+            video.addEventListener('ended', () => {
+                if (slideshowRunning) nextSlide();
+            });
+            // A full download lets the service worker keep the video for offline use
+            fetch(video.src).catch(() => {});
+        });
+
+        const count = container.querySelectorAll('.slide').length;
+        container.querySelector('.slide-indicators').innerHTML = Array.from({ length: count }, (_, index) =>
+            `<span class="indicator" data-slide="${index + 1}"></span>`).join('');
+        bindIndicators();
+
+        goToSlide(1);
+        if (wasRunning) startSlideshow();
+    }
+
+    function bindIndicators() {
+        document.querySelectorAll('.indicator').forEach(indicator => {
+            addTapEvent(indicator, function () {
+                const slideNum = parseInt(this.dataset.slide);
+                goToSlide(slideNum);
+            });
+        });
+    }
+
     /**
      * Start the slideshow auto-rotation
      */
     function startSlideshow() {
-        slideshowTimer = setInterval(() => {
-            nextSlide();
-        }, SLIDESHOW_INTERVAL);
+        slideshowRunning = true;
+        scheduleNextSlide();
     }
 
     /**
      * Stop the slideshow
      */
     function stopSlideshow() {
+        slideshowRunning = false;
         if (slideshowTimer) {
-            clearInterval(slideshowTimer);
+            clearTimeout(slideshowTimer);
             slideshowTimer = null;
         }
+        document.querySelectorAll('.slide-video').forEach(video => video.pause());
+    }
+
+    /**
+     * Show the current slide for its duration: its own, the slideshow
+     * interval, or for a video without one, until the video ends
+     */
+    function scheduleNextSlide() {
+        if (slideshowTimer) clearTimeout(slideshowTimer);
+        slideshowTimer = null;
+
+        const slide = document.querySelectorAll('.slide')[currentSlide - 1];
+        if (!slide) return;
+
+        const video = slide.querySelector('.slide-video');
+        if (video) {
+            video.currentTime = 0;
+            video.play().catch(() => {});
+        }
+
+        const duration = parseInt(slide.dataset.duration) * 1000;
+        if (video && !duration) return;
+        slideshowTimer = setTimeout(nextSlide, duration || slideshowInterval);
     }
 
     /**
      * Go to next slide
      */
     function nextSlide() {
-        const totalSlides = 3;
+        const totalSlides = document.querySelectorAll('.slide').length;
         const nextSlideNum = currentSlide >= totalSlides ? 1 : currentSlide + 1;
         goToSlide(nextSlideNum);
     }
@@ -293,6 +1208,8 @@
         const slides = document.querySelectorAll('.slide');
         slides.forEach((slide, index) => {
             slide.classList.toggle('active', index + 1 === slideNum);
+            const video = slide.querySelector('.slide-video');
+            if (video && index + 1 !== slideNum) video.pause();
         });
 
         // Update indicators
@@ -302,6 +1219,7 @@
         });
 
         currentSlide = slideNum;
+        if (slideshowRunning) scheduleNextSlide();
     }
 
     /* =====================================================
@@ -317,6 +1235,10 @@
         console.log('Starting survey...');
         stopSlideshow();
         answers = {};
+        followups = {};
+        servedBy = {};
+        visitStartedAt = new Date().toISOString();
+        furthestStep = 0;
 
         // Start session - server sets HttpOnly cookie automatically
         try {
@@ -352,6 +1274,11 @@
         const previousStep = currentStep;
         currentStep = stepNumber;
 
+        // Follow-up screens ("3-why") count as their question
+        const questionNumber = parseInt(stepNumber);
+        if (questionNumber > furthestStep) furthestStep = questionNumber;
+        scheduleIdleTimeout();
+
         // Update progress
         updateProgress(stepNumber);
 
@@ -375,27 +1302,72 @@
             setTimeout(() => {
                 nextStepEl.classList.add('active');
                 isTransitioning = false;
+                focusStep(nextStepEl);
+                if (stepNumber !== 'welcome') speak(describeStep(nextStepEl));
             }, 150);
         } else {
             isTransitioning = false;
         }
     }
 
+    /**
+     * (Re)start the inactivity timer while a visitor is on the queue or a question step
+     */
+    function scheduleIdleTimeout() {
+        if (idleTimer) clearTimeout(idleTimer);
+        idleTimer = null;
+
+        if (currentStep === 'welcome' || currentStep === 'complete') return;
+        idleTimer = setTimeout(abandonVisit, idleTimeout);
+    }
+
+    /**
+     * The visitor walked away: record how far they got and free the kiosk for the next one
+     */
+    function abandonVisit() {
+        idleTimer = null;
+        console.log(`No activity for ${idleTimeout / 1000}s, visit abandoned at step ${furthestStep}`);
+
+        const lastQuestion = furthestStep > 0 && questionsData[furthestStep - 1]
+            ? questionsData[furthestStep - 1].question_key
+            : null;
+
+        fetch(`${API_BASE}/api/survey/abandon`, {
+            method: 'POST',
+            credentials: 'include',  // Include cookies (HttpOnly session)
+            headers: deviceHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({
+                survey: surveySlug,
+                language: currentLanguage,
+                lastStep: furthestStep,
+                lastQuestion: lastQuestion,
+                queueId: queueId,
+                startedAt: visitStartedAt
+            })
+        }).catch(error => console.warn('Abandoned visit not recorded:', error.message));
+
+        resetSurvey();
+    }
+
     /**
      * Update progress bar and text
      */
     function updateProgress(step) {
         if (!progressFill || !progressText) return;
 
-        if (step === 'welcome' || step === 'complete' || step === 'queue') {
+        if (step === 'welcome' || step === 'complete' || step === 'queue' || step === 'served') {
             progressFill.style.width = step === 'complete' ? '100%' : '0%';
             // Hide progress bar and text on welcome/complete/queue
             if (progressBar) progressBar.classList.add('hidden');
             if (progressText) progressText.classList.add('hidden');
         } else {
-            const progress = (step / TOTAL_QUESTIONS) * 100;
+            // Follow-up screens ("3-why") count as their question
+            const questionNumber = parseInt(step);
+            const progress = (questionNumber / TOTAL_QUESTIONS) * 100;
             progressFill.style.width = `${progress}%`;
-            progressText.textContent = `Pertanyaan ${step} dari ${TOTAL_QUESTIONS}`;
+            progressText.textContent = t('progress', { current: questionNumber, total: TOTAL_QUESTIONS });
             // Show progress bar and text during survey
             if (progressBar) progressBar.classList.remove('hidden');
             if (progressText) progressText.classList.remove('hidden');
@@ -403,70 +1375,319 @@
     }
 
     /**
-     * Handle rating option click
+     * Handle rating, scale or choice option click
      */
     function handleRatingClick(e) {
         if (isTransitioning) return;
 
-        const option = e.currentTarget || e.target.closest('.rating-option');
+        const option = e.currentTarget || e.target.closest('[data-value]');
         if (!option) return;
 
         const question = option.dataset.question;
         const value = option.dataset.value;
+        const step = parseInt(option.dataset.step);
 
         console.log(`Rating clicked: ${question} = ${value}`);
 
         if (!question || !value) return;
 
         // Visual feedback
-        const siblings = option.parentElement.querySelectorAll('.rating-option');
+        const siblings = option.parentElement.querySelectorAll('[data-value]');
         siblings.forEach(sib => sib.classList.remove('selected'));
         option.classList.add('selected');
 
         // Store answer
         answers[question] = value;
+        delete followups[question];
+
+        // A negative answer on a question with a follow-up asks why first
+        const questionData = questionsData.find(q => q.question_key === question);
+        const askWhy = questionData && questionData.followup && isNegativeAnswer(questionData, value);
 
         // Wait for animation then go to next step
         setTimeout(() => {
-            const currentQuestionNum = parseInt(question.replace('q', ''));
-
-            if (currentQuestionNum < TOTAL_QUESTIONS) {
-                goToStep(currentQuestionNum + 1);
+            if (askWhy) {
+                goToStep(`${step}-why`);
             } else {
-                submitSurvey();
+                advanceFromStep(step);
             }
         }, 300);
     }
 
     /**
-     * Submit survey to server
+     * Handle a reason (or skip) on the follow-up screen
      */
-    async function submitSurvey() {
-        goToStep('complete');
+    function handleReasonClick(e) {
+        if (isTransitioning) return;
+
+        const option = e.currentTarget;
+        const question = option.dataset.question;
+        const step = parseInt(option.dataset.step);
+
+        if (option.dataset.reason) {
+            option.parentElement.querySelectorAll('.reason-option').forEach(sib => sib.classList.remove('selected'));
+            option.classList.add('selected');
+            followups[question] = option.dataset.reason;
+        } else {
+            delete followups[question];
+        }
+
+        setTimeout(() => advanceFromStep(step), 300);
+    }
+
+    /**
+     * Go to the question after the given step, or submit after the last one
+     */
+    function advanceFromStep(step) {
+        // Steps follow display order, not the question key number
+        if (step < TOTAL_QUESTIONS) {
+            goToStep(step + 1);
+        } else {
+            submitSurvey();
+        }
+    }
+
+    /**
+     * Handle on-screen keyboard key of a comment question
+     */
+    function handleCommentKey(e) {
+        const btn = e.currentTarget;
+        const input = btn.closest('.comment-input');
+        const question = input.dataset.question;
+        let text = commentDrafts[question] || '';
+
+        if (btn.dataset.action === 'shift') {
+            keyboardShift = !keyboardShift;
+        } else if (btn.dataset.action === 'backspace') {
+            text = text.slice(0, -1);
+        } else if (btn.dataset.action === 'space') {
+            if (text.length > 0 && !text.endsWith(' ')) text += ' ';
+        } else if (btn.dataset.key && text.length < COMMENT_MAX_LENGTH) {
+            const key = btn.dataset.key;
+            text += keyboardShift ? key : key.toLowerCase();
+            // Shift only applies to the next letter
+            if (/[A-Z]/.test(key)) keyboardShift = false;
+        }
+
+        commentDrafts[question] = text;
+        updateCommentDisplay(input);
+
+        btn.classList.add('clicked');
+        setTimeout(() => btn.classList.remove('clicked'), 200);
+    }
+
+    /**
+     * Handle skip / continue on a comment question
+     */
+    function handleCommentAction(e) {
+        if (isTransitioning) return;
+
+        const btn = e.currentTarget;
+        const input = btn.closest('.comment-input');
+        const question = input.dataset.question;
+        const step = parseInt(input.dataset.step);
+        const text = (commentDrafts[question] || '').trim();
+
+        if (btn.dataset.action === 'next' && text) {
+            answers[question] = text;
+        } else {
+            delete answers[question];
+        }
+
+        advanceFromStep(step);
+    }
+
+    /**
+     * Refresh comment text, counter, shift state and continue button
+     */
+    function updateCommentDisplay(input) {
+        const text = commentDrafts[input.dataset.question] || '';
+
+        input.querySelector('.comment-display').textContent = text;
+        input.querySelector('.comment-counter').textContent = `${text.length} / ${COMMENT_MAX_LENGTH}`;
+        input.querySelector('[data-action="shift"]').classList.toggle('active', keyboardShift);
+        input.querySelector('.btn-comment-next').disabled = text.trim().length === 0;
+        input.querySelectorAll('.kb-key[data-key]').forEach(key => {
+            key.textContent = keyboardShift ? key.dataset.key : key.dataset.key.toLowerCase();
+        });
+    }
+
+    /**
+     * Register the service worker that caches the kiosk for offline use
+     * (browsers only allow it on HTTPS or localhost)
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('/sw.js')
+            .catch(error => console.error('Service worker registration failed:', error));
+    }
+
+    /**
+     * Key the server uses to store a submission only once, however often it is replayed
+     */
+    function generateIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        // randomUUID needs a secure context; plain-HTTP kiosks get a random key as well
+        const random = new Uint32Array(4);
+        window.crypto.getRandomValues(random);
+        return `${Date.now().toString(36)}-${Array.from(random, n => n.toString(36)).join('-')}`;
+    }
+
+    /**
+     * Open (once) the IndexedDB store for submissions waiting to be sent
+     */
+    function openQueueDb() {
+        if (!queueDbPromise) {
+            queueDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+                const request = indexedDB.open(QUEUE_DB_NAME, 2);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    [QUEUE_STORE, REJECTED_STORE].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'idempotencyKey' });
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later attempt after a failure
+            queueDbPromise.catch(() => { queueDbPromise = null; });
+        }
+        return queueDbPromise;
+    }
+
+    /**
+     * Run one request on the queue store (or another store of its database) and resolve with its result
+     */
+    async function queueStoreRequest(mode, operation, storeName = QUEUE_STORE) {
+        const db = await openQueueDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
 
+    /**
+     * Send one submission. Returns 'saved' (stored now or before), 'rejected'
+     * (the server will never accept it) or 'retry' (server unreachable or busy).
+     */
+    async function sendSubmission(payload) {
         try {
             const response = await fetch(`${API_BASE}/api/survey`, {
                 method: 'POST',
                 credentials: 'include',  // Include cookies (HttpOnly session)
-                headers: {
+                headers: deviceHeaders({
                     'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    questions: answers,
-                    queueId: queueId, // Send Queue ID
-                    timestamp: new Date().toISOString()
                 }),
+                body: JSON.stringify(payload),
             });
 
-            const result = await response.json();
+            // 409: an earlier attempt already reached the server
+            if (response.ok || response.status === 409) {
+                localStorage.setItem(LAST_SUBMISSION_KEY, new Date().toISOString());
+                return 'saved';
+            }
 
-            if (result.success) {
-                console.log('Survey submitted successfully');
-            } else {
-                console.error('Survey submission failed:', result.error);
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 400) {
+                console.error('Survey submission rejected:', result.error);
+                await keepRejectedSubmission(payload, result.error);
+                return 'rejected';
+            }
+            console.warn('Survey submission failed, will retry:', response.status, result.error);
+            return 'retry';
+        } catch (error) {
+            console.warn('Server unreachable, will retry:', error.message);
+            return 'retry';
+        }
+    }
+
+    /**
+     * Keep a submission the server refused (e.g. its questions were archived
+     * meanwhile) instead of losing the visitor's answers; the heartbeat reports
+     * how many are kept
+     */
+    async function keepRejectedSubmission(payload, error) {
+        try {
+            await queueStoreRequest('readwrite', store => store.put({
+                ...payload,
+                rejectedAt: new Date().toISOString(),
+                rejectedError: error || null
+            }), REJECTED_STORE);
+        } catch (storeError) {
+            console.error('Rejected survey could not be kept:', storeError);
+        }
+    }
+
+    /**
+     * Replay submissions queued while the server was unreachable, oldest first.
+     * Stops at the first one that still cannot be delivered.
+     */
+    async function flushSubmissionQueue() {
+        if (isFlushingQueue) return;
+        isFlushingQueue = true;
+
+        try {
+            const queued = await queueStoreRequest('readonly', store => store.getAll());
+            queued.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+            for (const payload of queued) {
+                // The session cookie of the original visit has long expired
+                await fetch(`${API_BASE}/api/session`, { credentials: 'include' });
+
+                const outcome = await sendSubmission(payload);
+                if (outcome === 'retry') break;
+
+                await queueStoreRequest('readwrite', store => store.delete(payload.idempotencyKey));
+                console.log(`Queued survey ${outcome === 'saved' ? 'delivered' : 'set aside as rejected'}:`, payload.idempotencyKey);
             }
         } catch (error) {
-            console.error('Error submitting survey:', error);
+            // Offline (session request failed) or no IndexedDB: try again later
+            console.warn('Submission queue not flushed:', error.message);
+        } finally {
+            isFlushingQueue = false;
+        }
+    }
+
+    /**
+     * Submit survey to server, queueing it when the server cannot be reached
+     */
+    async function submitSurvey() {
+        goToStep('complete');
+
+        const payload = {
+            idempotencyKey: generateIdempotencyKey(),
+            survey: surveySlug,
+            questionnaireVersion: questionnaireVersion,
+            language: currentLanguage,
+            accessibilityMode: accessibilityMode,
+            questions: answers,
+            followups: followups,
+            queueId: queueId, // Send Queue ID
+            counterId: servedBy.counterId || null,
+            staffId: servedBy.staffId || null,
+            startedAt: visitStartedAt, // With timestamp, how long the visitor took (fraud checks)
+            timestamp: new Date().toISOString() // When answered, kept when sent later
+        };
+
+        const outcome = await sendSubmission(payload);
+        if (outcome === 'saved') {
+            console.log('Survey submitted successfully');
+        } else if (outcome === 'retry') {
+            try {
+                await queueStoreRequest('readwrite', store => store.put(payload));
+                console.log('Survey queued until the server is reachable:', payload.idempotencyKey);
+            } catch (error) {
+                console.error('Survey could not be queued:', error);
+            }
         }
 
         // Reset queueId
@@ -480,7 +1701,7 @@
      * Start countdown timer
      */
     function startCountdown() {
-        let seconds = COUNTDOWN_SECONDS;
+        let seconds = countdownSeconds;
         if (countdownEl) {
             countdownEl.textContent = seconds;
         }
@@ -508,20 +1729,31 @@
 
         // Reset answers
         answers = {};
+        followups = {};
+        servedBy = {};
         queueId = '';
         updateQueueDisplay();
         isTransitioning = false;
 
         // Reset all selected states
-        document.querySelectorAll('.rating-option.selected').forEach(el => {
+        document.querySelectorAll('#questionsContainer .selected').forEach(el => {
             el.classList.remove('selected');
         });
 
+        // Clear typed comments
+        commentDrafts = {};
+        keyboardShift = true;
+        document.querySelectorAll('.comment-input').forEach(updateCommentDisplay);
+
         // Hide header, footer, progress bar
         if (surveyHeader) surveyHeader.classList.add('hidden');
         if (surveyFooter) surveyFooter.classList.add('hidden');
         if (progressBar) progressBar.classList.add('hidden');
 
+        // Next visitor starts in the default language, without accessibility mode
+        if (currentLanguage !== DEFAULT_LANGUAGE) setLanguage(DEFAULT_LANGUAGE);
+        setAccessibilityMode(false);
+
         // Go back to welcome
         currentSlide = 1;
         goToSlide(1);
@@ -529,6 +1761,10 @@
 
         // Restart slideshow
         startSlideshow();
+
+        // Next visitor gets the current questions, and whatever was pushed during the visit
+        pendingUpdates.add('questions');
+        applyPendingUpdates();
     }
 
     // Initialize when DOM is ready
@@ -549,11 +1785,8 @@
         const submitBtn = document.getElementById('submitQueueBtn');
 
         if (action === 'submit') {
-            if (!queueId) return;
-            // Go to first question
-            if (progressBar) progressBar.classList.remove('hidden');
-            if (progressText) progressText.classList.remove('hidden');
-            goToStep(1);
+            if (!queueId || isCheckingQueue) return;
+            submitQueueTicket();
             return;
         }
 
@@ -563,9 +1796,9 @@
             queueId = queueId.slice(0, -1);
         } else if (key) {
             // Limit length
-            if (queueId.length < 5) {
+            if (queueId.length < queueMaxLength) {
                 // Auto-append hyphen if it's a letter and first character
-                const isLetter = /^[A-E]$/.test(key);
+                const isLetter = /^[A-Z]$/.test(key);
                 if (queueId.length === 0 && isLetter) {
                     queueId += key + '-';
                 } else {
@@ -581,10 +1814,110 @@
         setTimeout(() => btn.classList.remove('clicked'), 200);
     }
 
+    /**
+     * Check with the server that the ticket may be rated (issued today, served,
+     * not rated yet), then go to the first question. Offline or on a server
+     * error the visitor continues; the submission is checked again anyway.
+     */
+    async function submitQueueTicket() {
+        isCheckingQueue = true;
+        let result = null;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/queue/validate`, {
+                method: 'POST',
+                credentials: 'include',  // Include cookies (HttpOnly session)
+                headers: deviceHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({ queueId: queueId })
+            });
+            if (response.ok) result = await response.json();
+        } catch (error) {
+            console.warn('Queue ticket not checked:', error.message);
+        } finally {
+            isCheckingQueue = false;
+        }
+
+        // The visit timed out while waiting for the server
+        if (currentStep !== 'queue') return;
+
+        if (result && result.success && !result.valid) {
+            showQueueError(t(QUEUE_ERROR_TEXTS[result.reason] || 'queueInvalid'));
+            return;
+        }
+
+        // Ask who served the visitor, unless the queue system told already
+        const servedKnown = result && result.success && (result.counter || result.officer);
+        if (!servedKnown && renderServedByStep()) {
+            goToStep('served');
+            return;
+        }
+
+        // Go to first question
+        if (progressBar) progressBar.classList.remove('hidden');
+        if (progressText) progressText.classList.remove('hidden');
+        goToStep(1);
+    }
+
+    /**
+     * Fill the "who served you?" step with officers or counters; false when
+     * there is nothing to ask (turned off, empty directory, or a counter
+     * question on a kiosk that stands at a counter of the directory)
+     */
+    function renderServedByStep() {
+        if (servedByStep === 'off' || !staffDirectory) return false;
+
+        let options;
+        if (servedByStep === 'staff') {
+            // Officers of this kiosk's counter, or everyone when none work there
+            const own = staffDirectory.staff.filter(s => s.counterId && s.counterId === staffDirectory.counterId);
+            options = (own.length > 0 ? own : staffDirectory.staff).map(s => ({ staffId: s.id, name: s.name }));
+        } else {
+            if (staffDirectory.counterId) return false;
+            options = staffDirectory.counters.map(c => ({ counterId: c.id, name: c.name }));
+        }
+        if (options.length === 0) return false;
+
+        document.getElementById('servedByTitle').textContent = t(servedByStep === 'staff' ? 'servedByStaff' : 'servedByCounter');
+
+        const container = document.getElementById('servedByOptions');
+        container.innerHTML = '';
+        options.forEach(option => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'choice-option';
+            btn.textContent = option.name;
+            addTapEvent(btn, function () {
+                if (isTransitioning) return;
+                container.querySelectorAll('.choice-option').forEach(sib => sib.classList.remove('selected'));
+                btn.classList.add('selected');
+                servedBy = { counterId: option.counterId || null, staffId: option.staffId || null };
+                setTimeout(() => goToStep(1), 300);
+            });
+            container.appendChild(btn);
+        });
+        return true;
+    }
+
+    /**
+     * Message under the queue number, read aloud in accessibility mode; empty hides it
+     */
+    function showQueueError(text) {
+        const errorEl = document.getElementById('queueError');
+        if (!errorEl) return;
+
+        errorEl.textContent = text;
+        errorEl.classList.toggle('hidden', !text);
+        if (text) speak(text);
+    }
+
     function updateQueueDisplay() {
         const display = document.getElementById('queueInput');
         const submitBtn = document.getElementById('submitQueueBtn');
 
+        showQueueError('');
+
         if (display) {
             display.textContent = queueId;
         }
@@ -0,0 +1,568 @@
+/**
+ * Mobile Survey - Frontend JavaScript
+ * The survey on the visitor's own phone, opened from the QR code of a
+ * one-time link (/m/<token>). All questions on one scrolling page.
+ */
+
+(function () {
+    'use strict';
+
+    const API_BASE = window.location.origin;
+    const TOKEN = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || '');
+    const COMMENT_MAX_LENGTH = 500;
+    const DEFAULT_LANGUAGE = 'id';
+
+    // State
+    let questionsData = [];
+    let questionnaireVersion = null; // Version of the questions shown, sent with the answers
+    let answers = {};
+    let followups = {}; // question_key -> reason picked under a negative answer
+    let queueId = '';
+    let currentLanguage = DEFAULT_LANGUAGE;
+    let customTexts = { id: {}, en: {} }; // Thank-you texts set on the Konfigurasi page
+    let isSubmitting = false;
+    let idempotencyKey = null; // Kept across retries of the same submission
+    let startedAt = null; // When the questions were shown, for the server's fraud checks
+    let isSubmitted = false;
+
+    const emojiMap = {
+        positive: '/img/emoji/positive.svg',
+        neutral: '/img/emoji/neutral.svg',
+        negative: '/img/emoji/negative.svg',
+        thanks: '/img/emoji/thanks.svg'
+    };
+
+    // Text shown for each reason the server refuses a link
+    const LINK_ERROR_TEXTS = {
+        not_found: 'linkNotFound',
+        used: 'linkUsed',
+        expired: 'linkExpired'
+    };
+
+    // Static texts per language; elements carry data-i18n="<key>"
+    const I18N = {
+        id: {
+            institutionName: 'KEMENTERIAN INVESTASI DAN HILIRISASI/BKPM',
+            institutionSubtitle: 'Survey Kepuasan Layanan',
+            loading: 'Memuat survey...',
+            queueLabel: 'Nomor antrian',
+            intro: 'Bagaimana pelayanan yang Anda terima hari ini? Penilaian Anda membantu kami menjadi lebih baik.',
+            followupSubtitle: 'Pilih alasan yang paling sesuai (opsional)',
+            commentPlaceholder: 'Tulis komentar atau saran Anda...',
+            optional: 'Opsional',
+            submit: 'Kirim Penilaian',
+            submitting: 'Mengirim...',
+            required: 'Mohon jawab semua pertanyaan yang ditandai.',
+            submitFailed: 'Penilaian belum terkirim. Periksa koneksi Anda lalu coba lagi.',
+            thankYouTitle: 'Terima Kasih!',
+            thankYouText: 'Penilaian Anda telah berhasil disimpan.<br>Masukan Anda sangat berarti bagi kami.',
+            errorTitle: 'Survey tidak dapat dibuka',
+            linkNotFound: 'Link survey tidak valid. Pindai kembali kode QR pada tiket Anda.',
+            linkUsed: 'Survey dari link ini sudah diisi. Terima kasih!',
+            linkExpired: 'Link survey sudah kedaluwarsa.',
+            loadFailed: 'Survey tidak dapat dimuat. Periksa koneksi Anda lalu muat ulang halaman.',
+            queueAlreadyRated: 'Survey untuk nomor antrian ini sudah diisi. Terima kasih!',
+            footer: 'Kementerian Investasi dan Hilirisasi/BKPM'
+        },
+        en: {
+            institutionName: 'MINISTRY OF INVESTMENT AND DOWNSTREAMING/BKPM',
+            institutionSubtitle: 'Service Satisfaction Survey',
+            loading: 'Loading survey...',
+            queueLabel: 'Queue number',
+            intro: 'How was the service you received today? Your feedback helps us improve.',
+            followupSubtitle: 'Choose the reason that fits best (optional)',
+            commentPlaceholder: 'Write your comments or suggestions...',
+            optional: 'Optional',
+            submit: 'Send Feedback',
+            submitting: 'Sending...',
+            required: 'Please answer all highlighted questions.',
+            submitFailed: 'Your feedback was not sent. Check your connection and try again.',
+            thankYouTitle: 'Thank You!',
+            thankYouText: 'Your feedback has been saved.<br>Your input means a lot to us.',
+            errorTitle: 'The survey cannot be opened',
+            linkNotFound: 'This survey link is not valid. Please scan the QR code on your ticket again.',
+            linkUsed: 'This survey link has already been used. Thank you!',
+            linkExpired: 'This survey link has expired.',
+            loadFailed: 'The survey could not be loaded. Check your connection and reload the page.',
+            queueAlreadyRated: 'This queue number has already been rated. Thank you!',
+            footer: 'Ministry of Investment and Downstreaming/BKPM'
+        }
+    };
+
+    // DOM Elements
+    const loadingScreen = document.getElementById('loadingScreen');
+    const surveyScreen = document.getElementById('surveyScreen');
+    const thankYouScreen = document.getElementById('thankYouScreen');
+    const errorScreen = document.getElementById('errorScreen');
+    const errorText = document.getElementById('errorText');
+    const questionsList = document.getElementById('questionsList');
+    const submitBtn = document.getElementById('submitBtn');
+    const formError = document.getElementById('formError');
+
+    /**
+     * Static text in the current language
+     */
+    function t(key) {
+        return (customTexts[currentLanguage] || {})[key]
+            || (I18N[currentLanguage] || I18N[DEFAULT_LANGUAGE])[key] || I18N[DEFAULT_LANGUAGE][key] || key;
+    }
+
+    /**
+     * Question texts in the current language, falling back to the original wording
+     */
+    function localizeQuestion(q) {
+        const translation = (q.translations || {})[currentLanguage];
+        if (currentLanguage === DEFAULT_LANGUAGE || !translation) return q;
+
+        const pick = field => translation[field] || q[field];
+        const followupTranslation = translation.followup || {};
+
+        return {
+            ...q,
+            question_text: pick('question_text'),
+            question_subtitle: pick('question_subtitle'),
+            option_positive: pick('option_positive'),
+            option_neutral: pick('option_neutral'),
+            option_negative: pick('option_negative'),
+            options: (q.options || []).map(option => ({
+                ...option,
+                label: (translation.options || {})[option.value] || option.label
+            })),
+            followup: q.followup ? {
+                question_text: followupTranslation.question_text || q.followup.question_text,
+                reasons: q.followup.reasons.map(reason => ({
+                    ...reason,
+                    label: (followupTranslation.reasons || {})[reason.value] || reason.label
+                }))
+            } : null
+        };
+    }
+
+    function setLanguage(language) {
+        currentLanguage = I18N[language] ? language : DEFAULT_LANGUAGE;
+        document.documentElement.lang = currentLanguage;
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.innerHTML = t(el.dataset.i18n);
+        });
+        document.querySelectorAll('.lang-option').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.lang === currentLanguage);
+        });
+
+        if (questionsData.length > 0) renderQuestions();
+    }
+
+    /**
+     * Plain text typed by an admin as HTML, line breaks kept
+     */
+    function textToHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/\n/g, '<br>');
+    }
+
+    function showScreen(screen) {
+        [loadingScreen, surveyScreen, thankYouScreen, errorScreen].forEach(el => {
+            el.classList.toggle('hidden', el !== screen);
+        });
+        window.scrollTo(0, 0);
+    }
+
+    function showError(text) {
+        errorText.innerHTML = text;
+        showScreen(errorScreen);
+    }
+
+    /**
+     * Initialize: check the link, then load the survey it was issued for
+     */
+    async function init() {
+        document.querySelectorAll('.lang-option').forEach(btn => {
+            btn.addEventListener('click', () => setLanguage(btn.dataset.lang));
+        });
+        submitBtn.addEventListener('click', submitSurvey);
+        // Phones rarely close a page: leaving it shows up as the page being hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') reportAbandonment();
+        });
+
+        const browserLanguage = (navigator.language || '').slice(0, 2);
+        setLanguage(browserLanguage === 'en' ? 'en' : DEFAULT_LANGUAGE);
+
+        try {
+            const response = await fetch(`${API_BASE}/api/mobile/${encodeURIComponent(TOKEN)}`);
+            const link = await response.json();
+            if (!link.success) {
+                showError(t(LINK_ERROR_TEXTS[link.reason] || 'linkNotFound'));
+                return;
+            }
+            queueId = link.data.queueId;
+            document.getElementById('queueNumber').textContent = queueId;
+
+            const [questions] = await Promise.all([
+                fetch(`${API_BASE}/api/questions?survey=${encodeURIComponent(link.data.survey)}`).then(r => r.json()),
+                loadConfig(),
+                loadMedia()
+            ]);
+            if (!questions.success || questions.questions.length === 0) {
+                showError(t('loadFailed'));
+                return;
+            }
+
+            questionsData = questions.questions;
+            questionnaireVersion = questions.questionnaireVersion || null;
+            renderQuestions();
+            showScreen(surveyScreen);
+            startedAt = new Date().toISOString();
+        } catch (error) {
+            console.error('Error loading survey:', error);
+            showError(t('loadFailed'));
+        }
+    }
+
+    /**
+     * Theme colours and thank-you texts of the Konfigurasi page
+     */
+    async function loadConfig() {
+        try {
+            const response = await fetch(`${API_BASE}/api/kiosk-config`);
+            const config = await response.json();
+            if (!config.success) return;
+
+            if (config.theme) {
+                const root = document.documentElement.style;
+                root.setProperty('--color-primary-dark', config.theme.primaryColor);
+                root.setProperty('--color-primary-light', config.theme.secondaryColor);
+                root.setProperty('--color-primary-gradient',
+                    `linear-gradient(135deg, ${config.theme.primaryColor} 0%, ${config.theme.secondaryColor} 100%)`);
+            }
+
+            if (config.thankYou) {
+                Object.entries(config.thankYou).forEach(([language, texts]) => {
+                    if (!customTexts[language]) return;
+                    if (texts.title) customTexts[language].thankYouTitle = textToHtml(texts.title);
+                    if (texts.text) customTexts[language].thankYouText = textToHtml(texts.text);
+                });
+                setLanguage(currentLanguage);
+            }
+        } catch (error) {
+            console.error('Error loading config:', error);
+        }
+    }
+
+    /**
+     * Rating emojis of the admin media library
+     */
+    async function loadMedia() {
+        try {
+            const response = await fetch(`${API_BASE}/api/media`);
+            const media = await response.json();
+            if (!media.success) return;
+
+            Object.assign(emojiMap, media.emojis);
+            document.getElementById('thanksEmoji').src = emojiMap.thanks;
+        } catch (error) {
+            console.error('Error loading media:', error);
+        }
+    }
+
+    /**
+     * All questions as cards; answers given so far stay selected
+     */
+    function renderQuestions() {
+        questionsList.innerHTML = questionsData.map(localizeQuestion).map((q, index) => `
+            <section class="question-card" data-question="${q.question_key}">
+                <div class="question-number">${index + 1}</div>
+                <h2 class="question-title">${q.question_text}</h2>
+                ${q.question_subtitle ? `<p class="question-subtitle">${q.question_subtitle}</p>` : ''}
+                ${q.question_type === 'comment' ? `<span class="question-optional">${t('optional')}</span>` : ''}
+                ${renderAnswerInput(q)}
+                ${q.followup ? renderFollowup(q) : ''}
+            </section>
+        `).join('');
+
+        questionsList.querySelectorAll('[data-value]').forEach(option => {
+            option.addEventListener('click', handleAnswerClick);
+        });
+        questionsList.querySelectorAll('[data-reason]').forEach(option => {
+            option.addEventListener('click', handleReasonClick);
+        });
+        questionsList.querySelectorAll('textarea').forEach(input => {
+            input.addEventListener('input', handleCommentInput);
+        });
+
+        // Restore the answers after a language switch
+        Object.entries(answers).forEach(([key, value]) => {
+            const card = questionsList.querySelector(`.question-card[data-question="${key}"]`);
+            if (!card) return;
+            const textarea = card.querySelector('textarea');
+            if (textarea) {
+                textarea.value = value;
+                updateCommentCounter(textarea);
+                return;
+            }
+            const option = card.querySelector(`[data-value="${value}"]`);
+            if (option) option.classList.add('selected');
+            updateFollowup(card, key);
+        });
+    }
+
+    /**
+     * Answer controls for one question, depending on its type
+     */
+    function renderAnswerInput(q) {
+        switch (q.question_type) {
+            case 'likert5':
+            case 'nps': {
+                const values = q.question_type === 'nps'
+                    ? [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+                    : [1, 2, 3, 4, 5];
+                const tone = value => q.question_type === 'nps'
+                    ? (value >= 9 ? 'green' : value >= 7 ? 'orange' : 'red')
+                    : (value >= 4 ? 'green' : value === 3 ? 'orange' : 'red');
+
+                return `
+                    <div class="scale-grid ${q.question_type}">
+                        ${values.map(value => `
+                        <button class="scale-option ${tone(value)}" type="button" data-value="${value}">${value}</button>
+                        `).join('')}
+                    </div>
+                    <div class="scale-legend">
+                        <span class="red">${q.option_negative || ''}</span>
+                        <span class="green">${q.option_positive || ''}</span>
+                    </div>
+                `;
+            }
+            case 'choice':
+                return `
+                    <div class="choice-list">
+                        ${(q.options || []).map(option => `
+                        <button class="choice-option" type="button" data-value="${option.value}">${option.label}</button>
+                        `).join('')}
+                    </div>
+                `;
+            case 'comment':
+                return `
+                    <textarea class="comment-input" rows="4" maxlength="${COMMENT_MAX_LENGTH}"
+                        placeholder="${t('commentPlaceholder')}"></textarea>
+                    <div class="comment-counter">0 / ${COMMENT_MAX_LENGTH}</div>
+                `;
+            default:
+                return `
+                    <div class="rating-grid">
+                        <button class="rating-option" type="button" data-value="sangat_baik">
+                            <img src="${emojiMap.positive}" alt="" class="option-emoji">
+                            <span class="option-label green">${q.option_positive}</span>
+                        </button>
+                        <button class="rating-option" type="button" data-value="cukup_baik">
+                            <img src="${emojiMap.neutral}" alt="" class="option-emoji">
+                            <span class="option-label orange">${q.option_neutral}</span>
+                        </button>
+                        <button class="rating-option" type="button" data-value="kurang_baik">
+                            <img src="${emojiMap.negative}" alt="" class="option-emoji">
+                            <span class="option-label red">${q.option_negative}</span>
+                        </button>
+                    </div>
+                `;
+        }
+    }
+
+    /**
+     * "Why?" reasons under the question, shown after a negative answer
+     */
+    function renderFollowup(q) {
+        return `
+            <div class="followup hidden">
+                <p class="followup-title">${q.followup.question_text}</p>
+                <p class="followup-subtitle">${t('followupSubtitle')}</p>
+                <div class="reason-list">
+                    ${q.followup.reasons.map(reason => `
+                    <button class="reason-option" type="button" data-reason="${reason.value}">${reason.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Same rule as the server: which answers count as negative
+     */
+    function isNegativeAnswer(q, value) {
+        if (q.question_type === 'likert5') return Number(value) <= 2;
+        if (q.question_type === 'nps') return Number(value) <= 6;
+        if (q.question_type === 'rating' || !q.question_type) return value === 'kurang_baik';
+        return false;
+    }
+
+    function handleAnswerClick(e) {
+        const option = e.currentTarget;
+        const card = option.closest('.question-card');
+        const key = card.dataset.question;
+
+        card.querySelectorAll('[data-value]').forEach(sib => sib.classList.remove('selected'));
+        option.classList.add('selected');
+        card.classList.remove('missing');
+
+        answers[key] = option.dataset.value;
+        updateFollowup(card, key);
+    }
+
+    /**
+     * Show the reasons for a negative answer; other answers drop the reason
+     */
+    function updateFollowup(card, key) {
+        const followup = card.querySelector('.followup');
+        if (!followup) return;
+
+        const question = questionsData.find(q => q.question_key === key);
+        const negative = isNegativeAnswer(question, answers[key]);
+        followup.classList.toggle('hidden', !negative);
+        if (!negative) delete followups[key];
+
+        followup.querySelectorAll('[data-reason]').forEach(option => {
+            option.classList.toggle('selected', option.dataset.reason === followups[key]);
+        });
+    }
+
+    /**
+     * Pick a reason; tapping the picked one again clears it
+     */
+    function handleReasonClick(e) {
+        const option = e.currentTarget;
+        const key = option.closest('.question-card').dataset.question;
+
+        if (followups[key] === option.dataset.reason) {
+            delete followups[key];
+        } else {
+            followups[key] = option.dataset.reason;
+        }
+        option.parentElement.querySelectorAll('[data-reason]').forEach(sib => {
+            sib.classList.toggle('selected', sib.dataset.reason === followups[key]);
+        });
+    }
+
+    function handleCommentInput(e) {
+        const key = e.target.closest('.question-card').dataset.question;
+        const text = e.target.value.trim();
+        if (text) {
+            answers[key] = e.target.value;
+        } else {
+            delete answers[key];
+        }
+        updateCommentCounter(e.target);
+    }
+
+    function updateCommentCounter(textarea) {
+        textarea.nextElementSibling.textContent = `${textarea.value.length} / ${COMMENT_MAX_LENGTH}`;
+    }
+
+    /**
+     * Tell the server the visitor left the survey unsent. Sent on every hide;
+     * the server keeps the latest report and drops it once the survey is sent.
+     */
+    function reportAbandonment() {
+        if (isSubmitted || !startedAt || surveyScreen.classList.contains('hidden')) return;
+
+        // Step as on the kiosk: 1 after the queue number, n + 1 once question n is answered
+        let furthest = -1;
+        questionsData.forEach((q, index) => {
+            if (answers[q.question_key]) furthest = index;
+        });
+        const next = questionsData[furthest + 1];
+
+        // keepalive lets the request outlive the page; sendBeacon cannot send the token header
+        fetch(`${API_BASE}/api/survey/abandon`, {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Mobile-Token': TOKEN
+            },
+            body: JSON.stringify({
+                language: currentLanguage,
+                lastStep: furthest + 2,
+                lastQuestion: next ? next.question_key : null,
+                startedAt
+            })
+        }).catch(error => console.warn('Abandoned visit not recorded:', error.message));
+    }
+
+    function generateIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Send the answers with the link's token; every question except comments is required
+     */
+    async function submitSurvey() {
+        if (isSubmitting) return;
+
+        const missing = questionsData.filter(q => q.question_type !== 'comment' && !answers[q.question_key]);
+        questionsList.querySelectorAll('.question-card').forEach(card => {
+            card.classList.toggle('missing', missing.some(q => q.question_key === card.dataset.question));
+        });
+        if (missing.length > 0) {
+            formError.textContent = t('required');
+            formError.classList.remove('hidden');
+            questionsList.querySelector('.question-card.missing').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+
+        isSubmitting = true;
+        submitBtn.disabled = true;
+        submitBtn.textContent = t('submitting');
+        formError.classList.add('hidden');
+        if (!idempotencyKey) idempotencyKey = generateIdempotencyKey();
+
+        try {
+            const response = await fetch(`${API_BASE}/api/survey`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Mobile-Token': TOKEN
+                },
+                body: JSON.stringify({
+                    idempotencyKey,
+                    questionnaireVersion,
+                    language: currentLanguage,
+                    questions: answers,
+                    followups: followups,
+                    startedAt,
+                    timestamp: new Date().toISOString()
+                })
+            });
+
+            // 409: an earlier attempt already reached the server
+            if (response.ok || response.status === 409) {
+                isSubmitted = true;
+                showScreen(thankYouScreen);
+                return;
+            }
+
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 410 || response.status === 404) {
+                showError(t(LINK_ERROR_TEXTS[result.reason] || 'linkNotFound'));
+                return;
+            }
+            if (result.reason === 'already_rated') {
+                showError(t('queueAlreadyRated'));
+                return;
+            }
+            formError.textContent = result.error || t('submitFailed');
+            formError.classList.remove('hidden');
+        } catch (error) {
+            console.error('Survey submission failed:', error);
+            formError.textContent = t('submitFailed');
+            formError.classList.remove('hidden');
+        } finally {
+            isSubmitting = false;
+            submitBtn.disabled = false;
+            submitBtn.textContent = t('submit');
+        }
+    }
+
+    init();
+})();
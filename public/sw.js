@@ -0,0 +1,100 @@
+/**
+ * Kiosk Survey Service Worker
+ * Keeps the kiosk page, its assets and the last question set available
+ * while the server is unreachable. Submissions are queued by js/app.js.
+ */
+
+const CACHE_NAME = 'kiosk-survey-v2';
+
+// Kiosk shell, cached on install so the first offline reload already works
+const PRECACHE_URLS = [
+    '/',
+    '/css/style.css',
+    '/js/app.js',
+    '/img/logo.webp',
+    '/img/emoji/positive.svg',
+    '/img/emoji/neutral.svg',
+    '/img/emoji/negative.svg',
+    '/img/emoji/thanks.svg'
+];
+
+// API responses the kiosk can run on when offline
+const CACHED_API_PATHS = ['/api/questions', '/api/kiosk-config', '/api/media', '/api/staff'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Fonts, icons and images from CDNs rarely change: cache first
+    if (url.origin !== self.location.origin) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // Uploaded slides and emojis get a new name for every upload: cache first
+    if (url.pathname.startsWith('/media/')) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // The admin panel, mobile survey links and the other API calls always go to the server
+    if (url.pathname.startsWith('/admin') || url.pathname.startsWith('/m/')) return;
+    if (url.pathname.startsWith('/api/') && !CACHED_API_PATHS.includes(url.pathname)) return;
+
+    // Everything else of the kiosk: fresh when online, cached copy when not
+    event.respondWith(networkFirst(request));
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque responses (status 0) of no-cors images are cached as well. Partial
+    // responses (a video fetched in ranges) cannot be; the kiosk fetches
+    // each video once in full, and that copy answers range requests too.
+    if ((response.ok && response.status !== 206) || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+
+        // A kiosk URL like /?survey=<slug> falls back to the cached kiosk page
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('/');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
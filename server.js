@@ -4,9 +4,11 @@ const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,10 +16,8 @@ const PORT = process.env.PORT || 3000;
 // JWT Secret
 const JWT_SECRET = process.env.ADMIN_SECRET || 'bkpm-survey-secret-key-2024';
 
-// Rate limiting storage (in-memory)
-const rateLimitStore = new Map();
-const RATE_LIMIT_WINDOW = 10 * 60 * 1000; // 10 minutes
-const RATE_LIMIT_MAX = 5; // Max 5 submissions per window
+// Uploaded slideshow and emoji files (media library)
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'data', 'media');
 
 // MySQL Connection Pool
 let pool;
@@ -59,44 +59,561 @@ async function initDatabase() {
     process.exit(1);
 }
 
-// Ensure admin user exists with correct password
-async function ensureAdminUser() {
-    const adminUsername = 'admin';
-    const adminPassword = process.env.ADMIN_DEFAULT_PASSWORD;
+// =====================================================
+// SCHEMA MIGRATIONS
+// init.sql only runs on a fresh MySQL volume, so existing
+// installs are brought up to date here on startup.
+// Each migration runs once and must be safe to re-run.
+// =====================================================
 
-    // Skip if no password configured
-    if (!adminPassword) {
-        console.log('ℹ️  No ADMIN_DEFAULT_PASSWORD set, skipping admin user setup');
-        return;
+// Legacy fixed answer columns on the surveys table (pre survey_answers)
+const LEGACY_ANSWER_COLUMNS = {
+    q1: 'q1_kecepatan',
+    q2: 'q2_keramahan',
+    q3: 'q3_kejelasan',
+    q4: 'q4_fasilitas',
+    q5: 'q5_kepuasan'
+};
+
+async function columnExists(conn, table, column) {
+    const [rows] = await conn.query(`
+        SELECT COUNT(*) as count FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [table, column]);
+    return rows[0].count > 0;
+}
+
+async function addColumnIfMissing(conn, table, column, definition) {
+    if (await columnExists(conn, table, column)) return;
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+const migrations = [
+    {
+        name: '001_survey_answers',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS survey_answers (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    survey_id INT NOT NULL,
+                    question_id INT NOT NULL,
+                    answer_value VARCHAR(50) NOT NULL,
+                    UNIQUE KEY uniq_survey_question (survey_id, question_id),
+                    INDEX idx_question_value (question_id, answer_value),
+                    CONSTRAINT fk_answers_survey FOREIGN KEY (survey_id) REFERENCES surveys(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Copy answers out of the old q1_kecepatan..q5_kepuasan columns
+            for (const [key, column] of Object.entries(LEGACY_ANSWER_COLUMNS)) {
+                if (!(await columnExists(conn, 'surveys', column))) continue;
+
+                const [legacyRows] = await conn.query(
+                    `SELECT COUNT(*) as count FROM surveys WHERE ${column} IS NOT NULL`
+                );
+                if (legacyRows[0].count === 0) continue;
+
+                // q5 was never seeded as a question; keep its history under an inactive one
+                const [existing] = await conn.query('SELECT id FROM questions WHERE question_key = ?', [key]);
+                if (existing.length === 0) {
+                    const [maxOrder] = await conn.query('SELECT MAX(display_order) as max_order FROM questions');
+                    await conn.query(`
+                        INSERT INTO questions (question_key, question_text, option_positive, option_neutral, option_negative, display_order, is_active)
+                        VALUES (?, ?, 'SANGAT PUAS', 'CUKUP PUAS', 'KURANG PUAS', ?, 0)
+                    `, [key, 'Secara keseluruhan, bagaimana kepuasan Anda terhadap pelayanan kami?', (maxOrder[0].max_order || 0) + 1]);
+                }
+
+                await conn.query(`
+                    INSERT IGNORE INTO survey_answers (survey_id, question_id, answer_value)
+                    SELECT s.id, q.id, s.${column}
+                    FROM surveys s
+                    JOIN questions q ON q.question_key = ?
+                    WHERE s.${column} IS NOT NULL
+                `, [key]);
+            }
+
+            // Reporting views read from survey_answers instead of the legacy columns
+            await conn.query(`
+                CREATE OR REPLACE VIEW v_monthly_stats AS
+                SELECT
+                    YEAR(s.created_at) as year,
+                    MONTH(s.created_at) as month,
+                    DATE_FORMAT(s.created_at, '%Y-%m') as period,
+                    a.question_id,
+                    a.answer_value,
+                    COUNT(*) as total_answers
+                FROM survey_answers a
+                JOIN surveys s ON s.id = a.survey_id
+                GROUP BY YEAR(s.created_at), MONTH(s.created_at), DATE_FORMAT(s.created_at, '%Y-%m'), a.question_id, a.answer_value
+            `);
+            await conn.query(`
+                CREATE OR REPLACE VIEW v_daily_stats AS
+                SELECT DATE(created_at) as date, COUNT(*) as total_responses
+                FROM surveys
+                GROUP BY DATE(created_at)
+            `);
+        }
+    },
+    {
+        name: '002_question_types',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'questions', 'question_type',
+                "VARCHAR(20) NOT NULL DEFAULT 'rating' AFTER question_key");
+            await addColumnIfMissing(conn, 'questions', 'options_json',
+                'JSON NULL AFTER option_negative');
+            await addColumnIfMissing(conn, 'survey_answers', 'answer_text',
+                'TEXT NULL AFTER answer_value');
+        }
+    },
+    {
+        name: '003_followup_reasons',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'questions', 'followup_json',
+                'JSON NULL AFTER options_json');
+            await addColumnIfMissing(conn, 'survey_answers', 'reason_value',
+                'VARCHAR(50) NULL AFTER answer_text');
+        }
+    },
+    {
+        name: '004_questionnaire_versions',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS questionnaire_versions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    questions_json MEDIUMTEXT NOT NULL,
+                    note VARCHAR(255) NULL,
+                    created_by VARCHAR(50) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            if (!(await columnExists(conn, 'surveys', 'questionnaire_version_id'))) {
+                await conn.query(`
+                    ALTER TABLE surveys
+                    ADD COLUMN questionnaire_version_id INT NULL AFTER queue_id,
+                    ADD INDEX idx_questionnaire_version (questionnaire_version_id)
+                `);
+            }
+
+            // Existing answers are attributed to the wording in place today
+            const [versions] = await conn.query('SELECT COUNT(*) as count FROM questionnaire_versions');
+            if (versions[0].count === 0) {
+                const [questions] = await conn.query(`
+                    SELECT id, question_key, question_type, question_text, question_subtitle,
+                           option_positive, option_neutral, option_negative, options_json, followup_json,
+                           display_order, is_active
+                    FROM questions
+                    ORDER BY display_order ASC
+                `);
+                const [result] = await conn.query(
+                    'INSERT INTO questionnaire_versions (questions_json, note) VALUES (?, ?)',
+                    [JSON.stringify(questions), 'Versi awal']
+                );
+                await conn.query(
+                    'UPDATE surveys SET questionnaire_version_id = ? WHERE questionnaire_version_id IS NULL',
+                    [result.insertId]
+                );
+            }
+        }
+    },
+    {
+        name: '005_questionnaires',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS questionnaires (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    slug VARCHAR(50) NOT NULL UNIQUE,
+                    name VARCHAR(100) NOT NULL,
+                    description VARCHAR(255) NULL,
+                    is_active TINYINT(1) DEFAULT 1,
+                    is_default TINYINT(1) DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // The existing global question list becomes the default survey
+            const [defaults] = await conn.query('SELECT id FROM questionnaires WHERE is_default = 1 LIMIT 1');
+            let defaultId = defaults.length > 0 ? defaults[0].id : null;
+            if (!defaultId) {
+                const [result] = await conn.query(
+                    "INSERT INTO questionnaires (slug, name, is_default) VALUES ('umum', 'Survey Kepuasan Layanan', 1)"
+                );
+                defaultId = result.insertId;
+            }
+
+            for (const table of ['questions', 'surveys', 'questionnaire_versions']) {
+                if (!(await columnExists(conn, table, 'questionnaire_id'))) {
+                    await conn.query(`ALTER TABLE ${table} ADD COLUMN questionnaire_id INT NULL AFTER id, ADD INDEX idx_questionnaire (questionnaire_id)`);
+                }
+                await conn.query(`UPDATE ${table} SET questionnaire_id = ? WHERE questionnaire_id IS NULL`, [defaultId]);
+            }
+
+            await conn.query('ALTER TABLE questions MODIFY questionnaire_id INT NOT NULL');
+        }
+    },
+    {
+        name: '006_languages',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'questions', 'translations_json', 'JSON NULL AFTER followup_json');
+            if (!(await columnExists(conn, 'surveys', 'language'))) {
+                await conn.query("ALTER TABLE surveys ADD COLUMN language VARCHAR(5) NOT NULL DEFAULT 'id' AFTER queue_id, ADD INDEX idx_language (language)");
+            }
+        }
+    },
+    {
+        name: '007_question_schedule',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'questions', 'active_from', 'DATE NULL AFTER is_active');
+            await addColumnIfMissing(conn, 'questions', 'active_until', 'DATE NULL AFTER active_from');
+        }
+    },
+    {
+        name: '008_question_archive',
+        up: async (conn) => {
+            if (!(await columnExists(conn, 'questions', 'archived_at'))) {
+                await conn.query('ALTER TABLE questions ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL AFTER active_until, ADD INDEX idx_archived (archived_at)');
+            }
+        }
+    },
+    {
+        name: '009_ikm_elements',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'questions', 'ikm_element', 'VARCHAR(5) NULL AFTER translations_json');
+        }
+    },
+    {
+        name: '010_offline_submissions',
+        up: async (conn) => {
+            if (!(await columnExists(conn, 'surveys', 'idempotency_key'))) {
+                await conn.query('ALTER TABLE surveys ADD COLUMN idempotency_key VARCHAR(64) NULL AFTER questionnaire_version_id, ADD UNIQUE KEY uq_idempotency_key (idempotency_key)');
+            }
+            await addColumnIfMissing(conn, 'surveys', 'received_at', 'TIMESTAMP NULL DEFAULT NULL AFTER created_at');
+        }
+    },
+    {
+        name: '011_survey_abandonments',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS survey_abandonments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    questionnaire_id INT NULL COMMENT 'questionnaires.id',
+                    last_step SMALLINT NOT NULL COMMENT 'Furthest step reached: 0 = queue number screen, n = question n',
+                    last_question_key VARCHAR(50) NULL COMMENT 'Question shown at the furthest step',
+                    queue_id VARCHAR(50) NULL,
+                    language VARCHAR(5) NOT NULL DEFAULT 'id',
+                    ip_address VARCHAR(45) NULL,
+                    started_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When the visitor touched the welcome screen',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the kiosk timed out',
+
+                    INDEX idx_created_at (created_at),
+                    INDEX idx_questionnaire (questionnaire_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
+    },
+    {
+        name: '012_devices',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS devices (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    location VARCHAR(150) NULL COMMENT 'Building, floor or room',
+                    service_counter VARCHAR(50) NULL COMMENT 'Service counter (loket) the kiosk stands at',
+                    token_hash CHAR(64) NULL COMMENT 'SHA-256 of the device token; NULL until paired or after revoking',
+                    paired_at TIMESTAMP NULL DEFAULT NULL,
+                    last_seen_at TIMESTAMP NULL DEFAULT NULL,
+                    is_active TINYINT(1) NOT NULL DEFAULT 1,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    UNIQUE KEY uq_token_hash (token_hash)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS device_pairings (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    code CHAR(6) NOT NULL COMMENT 'Shown on the kiosk, typed in by the admin',
+                    secret_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the secret the kiosk polls with',
+                    device_id INT NULL COMMENT 'Set once an admin enters the code for a device',
+                    expires_at TIMESTAMP NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    UNIQUE KEY uq_code (code)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            for (const table of ['surveys', 'survey_abandonments']) {
+                if (!(await columnExists(conn, table, 'device_id'))) {
+                    await conn.query(`ALTER TABLE ${table} ADD COLUMN device_id INT NULL AFTER ${table === 'surveys' ? 'questionnaire_version_id' : 'ip_address'}, ADD INDEX idx_device (device_id)`);
+                }
+            }
+        }
+    },
+    {
+        name: '013_device_heartbeats',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'devices', 'last_heartbeat_at',
+                "TIMESTAMP NULL DEFAULT NULL COMMENT 'Last heartbeat sent by the kiosk' AFTER last_seen_at");
+            await addColumnIfMissing(conn, 'devices', 'heartbeat_json',
+                "JSON NULL COMMENT 'Last heartbeat: step, app_version, screen, last_submission_at, queued' AFTER last_heartbeat_at");
+        }
+    },
+    {
+        name: '014_kiosk_settings',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS kiosk_settings (
+                    device_id INT NOT NULL PRIMARY KEY COMMENT 'devices.id, 0 for the settings of all kiosks',
+                    settings_json JSON NOT NULL COMMENT 'Only the settings that are set; unset ones inherit',
+                    updated_by VARCHAR(50) NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
+    },
+    {
+        name: '015_media',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS media (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    kind VARCHAR(20) NOT NULL COMMENT 'slide or emoji',
+                    slot VARCHAR(20) NULL COMMENT 'Emoji slot: positive, neutral, negative or thanks',
+                    file_name VARCHAR(100) NOT NULL COMMENT 'Stored file in MEDIA_DIR',
+                    original_name VARCHAR(255) NULL,
+                    mime_type VARCHAR(50) NOT NULL,
+                    size_bytes INT NOT NULL,
+                    caption VARCHAR(200) NULL,
+                    duration_seconds INT NULL COMMENT 'Slide display time; NULL = slideshow interval or video length',
+                    sort_order INT NOT NULL DEFAULT 0,
+                    is_active TINYINT(1) NOT NULL DEFAULT 1,
+                    uploaded_by VARCHAR(50) NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    UNIQUE KEY uq_file_name (file_name),
+                    INDEX idx_kind_order (kind, sort_order)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
+    },
+    {
+        name: '016_accessibility_mode',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'surveys', 'accessibility_mode', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER language');
+        }
+    },
+    {
+        name: '017_queue_tickets',
+        up: async (conn) => {
+            // Earlier surveys keep a NULL key: tickets were not checked then
+            if (!(await columnExists(conn, 'surveys', 'queue_ticket_key'))) {
+                await conn.query('ALTER TABLE surveys ADD COLUMN queue_ticket_key VARCHAR(40) NULL AFTER queue_id, ADD UNIQUE KEY uq_queue_ticket (queue_ticket_key)');
+            }
+            await addColumnIfMissing(conn, 'surveys', 'queue_verified', 'TINYINT(1) NULL AFTER queue_ticket_key');
+            await addColumnIfMissing(conn, 'surveys', 'queue_counter', 'VARCHAR(50) NULL AFTER queue_verified');
+            await addColumnIfMissing(conn, 'surveys', 'queue_officer', 'VARCHAR(100) NULL AFTER queue_counter');
+        }
+    },
+    {
+        name: '018_mobile_channel',
+        up: async (conn) => {
+            if (!(await columnExists(conn, 'surveys', 'channel'))) {
+                await conn.query("ALTER TABLE surveys ADD COLUMN channel VARCHAR(10) NOT NULL DEFAULT 'kiosk' AFTER language, ADD INDEX idx_channel (channel)");
+            }
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS mobile_tokens (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the token in the link',
+                    queue_id VARCHAR(50) NOT NULL COMMENT 'Ticket number the link is bound to',
+                    questionnaire_id INT NOT NULL COMMENT 'questionnaires.id of the survey to answer',
+                    issued_by VARCHAR(50) NULL COMMENT 'Admin username, or queue-system',
+                    expires_at TIMESTAMP NOT NULL,
+                    used_at TIMESTAMP NULL DEFAULT NULL,
+                    survey_id INT NULL COMMENT 'surveys.id submitted with the link',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    UNIQUE KEY uq_token_hash (token_hash),
+                    INDEX idx_created_at (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
+    },
+    {
+        name: '019_service_staff',
+        up: async (conn) => {
+            await addColumnIfMissing(conn, 'admin_users', 'role', "VARCHAR(20) NOT NULL DEFAULT 'admin' AFTER email");
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS service_counters (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(50) NOT NULL COMMENT 'Shown on the kiosk and in reports, e.g. Loket 3',
+                    qms_code VARCHAR(50) NULL COMMENT 'Counter as the queue system reports it, when not the name',
+                    is_active TINYINT(1) NOT NULL DEFAULT 1,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    UNIQUE KEY uq_name (name)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS staff (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    employee_number VARCHAR(30) NULL COMMENT 'NIP',
+                    qms_code VARCHAR(100) NULL COMMENT 'Officer as the queue system reports them, when not the name',
+                    counter_id INT NULL COMMENT 'service_counters.id the officer usually serves at',
+                    is_active TINYINT(1) NOT NULL DEFAULT 1,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    INDEX idx_counter (counter_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+            if (!(await columnExists(conn, 'surveys', 'counter_id'))) {
+                await conn.query('ALTER TABLE surveys ADD COLUMN counter_id INT NULL AFTER queue_officer, ADD INDEX idx_counter (counter_id)');
+            }
+            if (!(await columnExists(conn, 'surveys', 'staff_id'))) {
+                await conn.query('ALTER TABLE surveys ADD COLUMN staff_id INT NULL AFTER counter_id, ADD INDEX idx_staff (staff_id)');
+            }
+        }
+    },
+    {
+        name: '020_rate_limits',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS rate_limits (
+                    bucket VARCHAR(150) NOT NULL PRIMARY KEY COMMENT 'Route and subject, e.g. survey|ip:10.0.0.5 or survey|device:3',
+                    hits INT NOT NULL DEFAULT 0 COMMENT 'Requests counted in the window',
+                    blocked INT NOT NULL DEFAULT 0 COMMENT 'Requests refused in the window',
+                    reset_at TIMESTAMP NOT NULL COMMENT 'End of the window',
+                    last_hit_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+                    INDEX idx_reset_at (reset_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
+    },
+    {
+        name: '021_fraud_review',
+        up: async (conn) => {
+            if (!(await columnExists(conn, 'surveys', 'review_status'))) {
+                await conn.query("ALTER TABLE surveys ADD COLUMN review_status VARCHAR(10) NOT NULL DEFAULT 'clean' AFTER channel, ADD INDEX idx_review_status (review_status)");
+            }
+            await addColumnIfMissing(conn, 'surveys', 'reviewed_by', 'VARCHAR(50) NULL AFTER review_status');
+            await addColumnIfMissing(conn, 'surveys', 'reviewed_at', 'TIMESTAMP NULL DEFAULT NULL AFTER reviewed_by');
+            await addColumnIfMissing(conn, 'surveys', 'duration_seconds', 'INT NULL AFTER reviewed_at');
+            await addColumnIfMissing(conn, 'surveys', 'answer_hash', 'CHAR(64) NULL AFTER duration_seconds');
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS survey_flags (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    survey_id INT NOT NULL,
+                    rule VARCHAR(20) NOT NULL COMMENT 'burst, identical, fast or off_hours',
+                    detail_json JSON NULL COMMENT 'What the rule found, e.g. {"count":4,"minutes":2}',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+                    UNIQUE KEY uq_survey_rule (survey_id, rule),
+                    INDEX idx_rule (rule),
+                    CONSTRAINT fk_flags_survey FOREIGN KEY (survey_id) REFERENCES surveys(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
+    },
+    {
+        // The funnel filters abandonments with the surveys' report filters, ?channel= included
+        name: '022_abandonment_channel',
+        up: async (conn) => {
+            if (!(await columnExists(conn, 'survey_abandonments', 'channel'))) {
+                await conn.query("ALTER TABLE survey_abandonments ADD COLUMN channel VARCHAR(10) NOT NULL DEFAULT 'kiosk' AFTER language, ADD INDEX idx_channel (channel)");
+            }
+        }
+    },
+    {
+        name: '023_kiosk_changes',
+        up: async (conn) => {
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS kiosk_changes (
+                    scope VARCHAR(20) NOT NULL PRIMARY KEY COMMENT 'questions, config, media or staff',
+                    version INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Raised by every admin edit of the scope',
+                    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+        }
     }
+];
 
-    try {
-        // Hash password with cost factor 12 for production security
-        const passwordHash = await bcrypt.hash(adminPassword, 12);
+async function runMigrations() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name VARCHAR(100) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
 
-        // Check if admin exists
-        const [existing] = await pool.query(
-            'SELECT id FROM admin_users WHERE username = ?',
-            [adminUsername]
-        );
+    const [applied] = await pool.query('SELECT name FROM schema_migrations');
+    const appliedNames = new Set(applied.map(row => row.name));
 
-        if (existing.length === 0) {
-            // Create admin user
-            await pool.query(
-                'INSERT INTO admin_users (username, password_hash, name, email) VALUES (?, ?, ?, ?)',
-                [adminUsername, passwordHash, 'Administrator', 'admin@bkpm.go.id']
-            );
-            console.log('✅ Admin user created');
-        } else {
-            // Update password
-            await pool.query(
-                'UPDATE admin_users SET password_hash = ? WHERE username = ?',
-                [passwordHash, adminUsername]
+    for (const migration of migrations) {
+        if (appliedNames.has(migration.name)) continue;
+
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            await migration.up(conn);
+            await conn.query('INSERT INTO schema_migrations (name) VALUES (?)', [migration.name]);
+            await conn.commit();
+            console.log(`✅ Migration applied: ${migration.name}`);
+        } catch (error) {
+            await conn.rollback();
+            throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+        } finally {
+            conn.release();
+        }
+    }
+}
+
+// Admin accounts whose password comes from the environment. Supervisors can
+// do everything admins can, and see ratings per counter and officer.
+const ADMIN_ROLES = ['admin', 'supervisor'];
+const DEFAULT_ACCOUNTS = [
+    { username: 'admin', passwordEnv: 'ADMIN_DEFAULT_PASSWORD', name: 'Administrator', email: 'admin@bkpm.go.id', role: 'admin' },
+    { username: 'supervisor', passwordEnv: 'SUPERVISOR_DEFAULT_PASSWORD', name: 'Supervisor', email: 'supervisor@bkpm.go.id', role: 'supervisor' }
+];
+
+// Ensure the default accounts exist with correct password and role
+async function ensureAdminUser() {
+    for (const account of DEFAULT_ACCOUNTS) {
+        const password = process.env[account.passwordEnv];
+
+        // Skip if no password configured
+        if (!password) {
+            console.log(`ℹ️  No ${account.passwordEnv} set, skipping ${account.username} user setup`);
+            continue;
+        }
+
+        try {
+            // Hash password with cost factor 12 for production security
+            const passwordHash = await bcrypt.hash(password, 12);
+
+            // Check if the account exists
+            const [existing] = await pool.query(
+                'SELECT id FROM admin_users WHERE username = ?',
+                [account.username]
             );
-            console.log('✅ Admin password updated');
+
+            if (existing.length === 0) {
+                await pool.query(
+                    'INSERT INTO admin_users (username, password_hash, name, email, role) VALUES (?, ?, ?, ?, ?)',
+                    [account.username, passwordHash, account.name, account.email, account.role]
+                );
+                console.log(`✅ ${account.name} user created`);
+            } else {
+                // Update password
+                await pool.query(
+                    'UPDATE admin_users SET password_hash = ?, role = ? WHERE username = ?',
+                    [passwordHash, account.role, account.username]
+                );
+                console.log(`✅ ${account.name} password updated`);
+            }
+        } catch (error) {
+            console.error(`⚠️ Could not ensure ${account.username} user:`, error.message);
         }
-    } catch (error) {
-        console.error('⚠️ Could not ensure admin user:', error.message);
     }
 }
 
@@ -108,7 +625,10 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(cookieParser());
+app.use(notifyKioskChanges); // Push admin edits to running kiosks (KIOSK LIVE UPDATES)
 app.use(express.static(path.join(__dirname, 'public')));
+// Uploaded files get a new random name, so they never change once served
+app.use('/media', express.static(MEDIA_DIR, { maxAge: '30d', immutable: true }));
 
 // Helper function to get real client IP behind proxy
 function getClientIp(req) {
@@ -144,30 +664,58 @@ function authMiddleware(req, res, next) {
     }
 }
 
-// Session token middleware for survey protection (Full Protection)
-function sessionMiddleware(req, res, next) {
-    const clientIp = getClientIp(req);
+// Ratings per counter and officer are for supervisors only (after authMiddleware).
+// Tokens issued before roles existed carry none and count as admin.
+function supervisorMiddleware(req, res, next) {
+    if (req.user.role !== 'supervisor') {
+        return res.status(403).json({ success: false, error: 'Supervisor access required' });
+    }
+    next();
+}
 
-    // 1. RATE LIMITING - Check if IP exceeded limit
-    const now = Date.now();
-    const ipData = rateLimitStore.get(clientIp) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
+// Session token middleware for survey protection (Full Protection)
+async function sessionMiddleware(req, res, next) {
+    // 1. RATE LIMITING - Count the request on the IP (or paired kiosk) and check its limit
+    let limit = null;
+    try {
+        limit = await checkRateLimit(req, res, 'survey');
+        if (!limit) return;
+    } catch (error) {
+        console.error('Rate limit error:', error);
+    }
 
-    // Reset if window expired
-    if (now > ipData.resetTime) {
-        ipData.count = 0;
-        ipData.resetTime = now + RATE_LIMIT_WINDOW;
+    const session = await checkSurveySession(req, res);
+    if (!session) {
+        // Only submissions that pass all checks count against the limit
+        if (limit) await releaseRateLimit(limit);
+        return;
     }
 
-    if (ipData.count >= RATE_LIMIT_MAX) {
-        const retryAfter = Math.ceil((ipData.resetTime - now) / 1000);
-        console.log('[RATE_LIMIT] Blocked:', clientIp, 'Retry after:', retryAfter, 'seconds');
-        return res.status(429).json({
-            success: false,
-            error: `Terlalu banyak request. Coba lagi dalam ${Math.ceil(retryAfter / 60)} menit.`,
-            retryAfter
-        });
+    req.sessionData = session;
+    req.rateLimit = limit; // Released again for a duplicate submission
+    next();
+}
+
+// Same browser and session checks without counting against the submission
+// rate limit, for kiosk events that are not submissions (abandoned visits)
+async function sessionEventMiddleware(req, res, next) {
+    const session = await checkSurveySession(req, res);
+    if (!session) return;
+
+    req.sessionData = session;
+    next();
+}
+
+// Origin/Referer and session cookie checks of the kiosk endpoints, or the
+// one-time token of a mobile survey link (X-Mobile-Token) instead.
+// Returns the decoded session, or null after sending the error response.
+async function checkSurveySession(req, res) {
+    if (req.headers['x-mobile-token'] !== undefined) {
+        return checkMobileSession(req, res);
     }
 
+    const clientIp = getClientIp(req);
+
     // 2. ORIGIN/REFERER CHECK - Must come from browser with valid origin
     const origin = req.headers.origin;
     const referer = req.headers.referer;
@@ -187,20 +735,22 @@ function sessionMiddleware(req, res, next) {
 
     if (!validOrigin && !validReferer) {
         console.log('[SECURITY] Blocked - No valid Origin/Referer:', { origin, referer, host, ip: clientIp });
-        return res.status(403).json({
+        res.status(403).json({
             success: false,
             error: 'Request harus dari browser. Akses API langsung tidak diizinkan.'
         });
+        return null;
     }
 
     // 3. SESSION TOKEN - Check HttpOnly cookie
     const token = req.cookies.survey_session;
 
     if (!token) {
-        return res.status(401).json({
+        res.status(401).json({
             success: false,
             error: 'Session tidak valid. Silakan mulai survey dari awal.'
         });
+        return null;
     }
 
     try {
@@ -208,643 +758,4892 @@ function sessionMiddleware(req, res, next) {
         if (decoded.type !== 'survey_session') {
             throw new Error('Invalid token type');
         }
-
-        // Update rate limit count (only after all checks pass)
-        ipData.count++;
-        rateLimitStore.set(clientIp, ipData);
-
-        req.sessionData = decoded;
-        next();
+        return decoded;
     } catch (error) {
         console.log('[SESSION] Invalid token:', error.message);
         res.clearCookie('survey_session');
-        return res.status(401).json({
+        res.status(401).json({
             success: false,
             error: 'Session expired. Silakan mulai survey dari awal.'
         });
+        return null;
     }
 }
 
 // =====================================================
-// HEALTH CHECK
+// ANSWER HELPERS
+// Answers live in survey_answers, one row per (survey, question)
 // =====================================================
-app.get('/health', async (req, res) => {
-    try {
-        await pool.query('SELECT 1');
-        res.status(200).json({
-            status: 'healthy',
-            database: 'connected',
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        res.status(503).json({
-            status: 'unhealthy',
-            database: 'disconnected',
-            error: error.message
+
+const RATING_VALUES = ['sangat_baik', 'cukup_baik', 'kurang_baik'];
+const LIKERT_VALUES = ['1', '2', '3', '4', '5'];
+const NPS_VALUES = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+const COMMENT_MAX_LENGTH = 500;
+
+// rating  - 3 emoji options (option_positive/neutral/negative)
+// likert5 - 1..5 scale, option_negative/option_positive label the ends
+// nps     - 0..10 "would you recommend", same end labels
+// choice  - one of options_json [{ value, label }]
+// comment - optional free text, stored in answer_text
+const QUESTION_TYPES = ['rating', 'likert5', 'nps', 'choice', 'comment'];
+
+// Question types that can ask "why?" after a negative answer
+const FOLLOWUP_TYPES = ['rating', 'likert5', 'nps'];
+const FOLLOWUP_DEFAULT_TEXT = 'Apa yang membuat Anda kurang puas?';
+
+// Defaults applied when a question of a given type is created without them
+const QUESTION_TYPE_DEFAULTS = {
+    rating: { subtitle: 'Pilih salah satu penilaian', positive: 'SANGAT BAIK', neutral: 'CUKUP BAIK', negative: 'KURANG BAIK' },
+    likert5: { subtitle: 'Pilih nilai 1 sampai 5', positive: 'SANGAT PUAS', neutral: '', negative: 'SANGAT TIDAK PUAS' },
+    nps: { subtitle: 'Pilih nilai 0 sampai 10', positive: 'SANGAT MUNGKIN', neutral: '', negative: 'TIDAK MUNGKIN' },
+    choice: { subtitle: 'Pilih salah satu', positive: '', neutral: '', negative: '' },
+    comment: { subtitle: 'Opsional - boleh dilewati', positive: '', neutral: '', negative: '' }
+};
+
+// Choice options of a question (options_json comes back parsed from mysql2)
+function getChoiceOptions(question) {
+    const options = typeof question.options_json === 'string'
+        ? JSON.parse(question.options_json)
+        : question.options_json;
+    return Array.isArray(options) ? options : [];
+}
+
+// Turn a list of labels into choice options, keeping the stored value
+// of labels that already exist so old answers stay attached.
+function buildChoiceOptions(labels, existing = []) {
+    const usedValues = new Set(existing.map(o => o.value));
+    let next = 1;
+
+    return labels
+        .map(label => String(label).trim())
+        .filter(Boolean)
+        .map(label => {
+            const match = existing.find(o => o.label === label);
+            if (match) return match;
+            while (usedValues.has(`c${next}`)) next++;
+            usedValues.add(`c${next}`);
+            return { value: `c${next}`, label };
         });
+}
+
+// Follow-up ("why?") rule of a question: { question_text, reasons: [{ value, label }] } or null
+function getFollowup(question) {
+    const followup = typeof question.followup_json === 'string'
+        ? JSON.parse(question.followup_json)
+        : question.followup_json;
+    if (!followup || !Array.isArray(followup.reasons) || followup.reasons.length === 0) return null;
+    return followup;
+}
+
+// Build a follow-up rule from the editor input { question_text, reasons: [labels] }.
+// Returns { followup } (null when the rule is removed) or { error }.
+function buildFollowup(question, input) {
+    if (!input) return { followup: null };
+    if (!FOLLOWUP_TYPES.includes(question.question_type)) {
+        return { error: 'Follow-up questions are only available for rating, likert5 and nps questions' };
     }
-});
 
-// =====================================================
-// SURVEY ENDPOINTS (Protected with Session Token)
-// =====================================================
+    const existing = getFollowup(question);
+    const reasons = buildChoiceOptions(Array.isArray(input.reasons) ? input.reasons : [], existing ? existing.reasons : []);
+    if (reasons.length === 0) {
+        return { error: 'Follow-up questions need at least 1 reason' };
+    }
 
-// Get session token for survey (called when user starts survey)
-// Sets HttpOnly cookie - token is NOT visible to JavaScript, preventing theft
-app.get('/api/session', (req, res) => {
-    const ipAddress = getClientIp(req);
+    return {
+        followup: {
+            question_text: String(input.question_text || '').trim() || FOLLOWUP_DEFAULT_TEXT,
+            reasons
+        }
+    };
+}
 
-    const token = jwt.sign(
-        {
-            type: 'survey_session',
-            ip: ipAddress,
-            createdAt: new Date().toISOString()
-        },
-        JWT_SECRET,
-        { expiresIn: '10m' }
-    );
+// Kiosk languages. Questions are written in the default language and
+// translated per language in translations_json.
+const LANGUAGES = ['id', 'en'];
+const DEFAULT_LANGUAGE = 'id';
+const LANGUAGE_LABELS = { id: 'Bahasa Indonesia', en: 'English' };
+const TRANSLATABLE_FIELDS = ['question_text', 'question_subtitle', 'option_positive', 'option_neutral', 'option_negative'];
+
+// Translations of a question:
+// { en: { question_text, ..., options: { value: label }, followup: { question_text, reasons: { value: label } } } }
+function getTranslations(question) {
+    const translations = typeof question.translations_json === 'string'
+        ? JSON.parse(question.translations_json)
+        : question.translations_json;
+    return translations && typeof translations === 'object' ? translations : {};
+}
 
-    // Set HttpOnly cookie - secure, not accessible via JS
-    res.cookie('survey_session', token, {
-        httpOnly: true,         // Not accessible via JavaScript
-        secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-        sameSite: 'strict',     // Prevent CSRF
-        maxAge: 10 * 60 * 1000  // 10 minutes
-    });
+// Build translations from the editor input
+// { en: { question_text, ..., options: [labels], followup: { question_text, reasons: [labels] } } }.
+// Option and reason labels are given in the order of the question's own options and reasons.
+// Returns null when nothing is translated.
+function buildTranslations(input, choiceOptions = [], followup = null) {
+    if (!input || typeof input !== 'object') return null;
+
+    const labelMap = (items, labels) => {
+        const map = {};
+        (Array.isArray(labels) ? labels : []).forEach((label, index) => {
+            const text = String(label || '').trim();
+            if (text && items[index]) map[items[index].value] = text;
+        });
+        return map;
+    };
+
+    const translations = {};
+    LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE).forEach(language => {
+        const source = input[language];
+        if (!source || typeof source !== 'object') return;
+
+        const entry = {};
+        TRANSLATABLE_FIELDS.forEach(field => {
+            const text = String(source[field] || '').trim();
+            if (text) entry[field] = text;
+        });
 
-    console.log('[SESSION] New survey session created:', {
-        ip: ipAddress,
-        timestamp: new Date().toISOString()
-    });
+        const options = labelMap(choiceOptions || [], source.options);
+        if (Object.keys(options).length > 0) entry.options = options;
 
-    res.json({
-        success: true,
-        message: 'Session started',
-        expiresIn: '10 minutes'
+        if (followup && source.followup) {
+            const questionText = String(source.followup.question_text || '').trim();
+            const reasons = labelMap(followup.reasons, source.followup.reasons);
+            if (questionText || Object.keys(reasons).length > 0) {
+                entry.followup = { question_text: questionText || null, reasons };
+            }
+        }
+
+        if (Object.keys(entry).length > 0) translations[language] = entry;
     });
-});
 
-// Submit survey (from kiosk) - PROTECTED with session token
-app.post('/api/survey', sessionMiddleware, async (req, res) => {
-    const { questions, queueId } = req.body; // Extract queueId
+    return Object.keys(translations).length > 0 ? translations : null;
+}
 
-    if (!questions || typeof questions !== 'object') {
-        return res.status(400).json({
-            success: false,
-            error: 'Invalid survey data'
-        });
+// Whether an answer is on the negative end of its question and can trigger a follow-up
+function isNegativeAnswer(question, value) {
+    switch (question.question_type) {
+        case 'likert5':
+            return Number(value) <= 2;
+        case 'nps':
+            return Number(value) <= 6;
+        case 'rating':
+            return value === 'kurang_baik';
+        default:
+            return false;
     }
+}
 
-    const timestamp = new Date().toISOString();
-    const ipAddress = getClientIp(req);
-    const userAgent = req.headers['user-agent'] || 'unknown';
+// Validate a submitted answer for a question; null means "not answered"
+function normalizeAnswer(question, raw) {
+    if (raw === undefined || raw === null) return null;
+
+    switch (question.question_type) {
+        case 'likert5':
+            return LIKERT_VALUES.includes(String(raw)) ? { value: String(raw), text: null } : null;
+        case 'nps':
+            return NPS_VALUES.includes(String(raw)) ? { value: String(raw), text: null } : null;
+        case 'choice':
+            return getChoiceOptions(question).some(o => o.value === raw) ? { value: raw, text: null } : null;
+        case 'comment': {
+            const text = typeof raw === 'string' ? raw.trim().slice(0, COMMENT_MAX_LENGTH) : '';
+            return text ? { value: 'text', text } : null;
+        }
+        default:
+            return RATING_VALUES.includes(raw) ? { value: raw, text: null } : null;
+    }
+}
 
-    try {
-        const [result] = await pool.query(
-            `INSERT INTO surveys (q1_kecepatan, q2_keramahan, q3_kejelasan, q4_fasilitas, q5_kepuasan, user_agent, ip_address, queue_id)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                questions.q1 || null,
-                questions.q2 || null,
-                questions.q3 || null,
-                questions.q4 || null,
-                questions.q5 || null,
-                userAgent,
-                ipAddress,
-                queueId || null // Save queueId
-            ]
-        );
+// Human readable label of an answer from getAnswersBySurvey(), used by exports
+function answerLabel(question, value) {
+    if (value === undefined || value === null) return '-';
+
+    switch (question.question_type) {
+        case 'likert5':
+        case 'nps':
+            return value;
+        case 'choice': {
+            const option = getChoiceOptions(question).find(o => o.value === value);
+            return option ? option.label : value;
+        }
+        case 'comment':
+            return value;
+        default:
+            if (value === 'sangat_baik') return question.option_positive;
+            if (value === 'cukup_baik') return question.option_neutral;
+            if (value === 'kurang_baik') return question.option_negative;
+            return '-';
+    }
+}
 
-        // ========== AUDIT LOG ==========
-        const auditLog = {
-            event: 'SURVEY_SUBMITTED',
-            timestamp: timestamp,
-            surveyId: result.insertId,
-            ip: ipAddress,
-            userAgent: userAgent,
-            answers: {
-                q1_kecepatan: questions.q1,
-                q2_keramahan: questions.q2,
-                q3_kejelasan: questions.q3,
-                q4_fasilitas: questions.q4,
-                q5_kepuasan: questions.q5
-            }
-        };
-        console.log('[AUDIT]', JSON.stringify(auditLog));
-        // ================================
+// Question schedule: an optional activation window (active_from / active_until,
+// both inclusive). Outside it a question is not shown on the kiosk and not listed
+// in reports, without touching is_active. Days are compared with the database's
+// CURDATE() (TZ, WIB by default).
+
+// Schedule columns of questions aliased "q", as YYYY-MM-DD strings
+// (mysql2 would return DATE columns as Date objects at local midnight)
+const SCHEDULE_COLUMNS_SQL = "DATE_FORMAT(q.active_from, '%Y-%m-%d') as active_from, DATE_FORMAT(q.active_until, '%Y-%m-%d') as active_until";
+
+const SCHEDULE_STARTED_SQL = '(q.active_from IS NULL OR q.active_from <= CURDATE())';
+const SCHEDULE_NOT_EXPIRED_SQL = '(q.active_until IS NULL OR q.active_until >= CURDATE())';
+
+// 'scheduled', 'live' or 'expired' for questions with a window, NULL otherwise
+const SCHEDULE_STATUS_SQL = `
+    CASE
+        WHEN q.active_from IS NULL AND q.active_until IS NULL THEN NULL
+        WHEN NOT ${SCHEDULE_STARTED_SQL} THEN 'scheduled'
+        WHEN NOT ${SCHEDULE_NOT_EXPIRED_SQL} THEN 'expired'
+        ELSE 'live'
+    END`;
+
+// YYYY-MM-DD of an existing day (rejects e.g. 2026-02-30)
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
 
-        res.status(201).json({
-            success: true,
-            message: 'Terima kasih atas penilaian Anda!',
-            id: result.insertId
-        });
-    } catch (error) {
-        console.error('[ERROR] Survey submission failed:', {
-            timestamp: timestamp,
-            ip: ipAddress,
-            error: error.message
-        });
-        res.status(500).json({
-            success: false,
-            error: 'Failed to save survey'
-        });
+// Activation window sent by the editor: { schedule: { active_from, active_until } } or { error }.
+// Empty values mean no limit on that side.
+function buildSchedule(input) {
+    const schedule = {};
+    for (const field of ['active_from', 'active_until']) {
+        const value = input[field] ? String(input[field]).trim() : '';
+        if (value && !isCalendarDate(value)) {
+            return { error: `Invalid ${field} date (YYYY-MM-DD)` };
+        }
+        schedule[field] = value || null;
     }
-});
-
-// Get survey statistics (public - for real-time counter)
-app.get('/api/survey/stats', async (req, res) => {
-    try {
-        const [rows] = await pool.query(`
-            SELECT 
-                COUNT(*) as total,
-                SUM(CASE WHEN DATE(created_at) = CURDATE() THEN 1 ELSE 0 END) as today,
-                SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as satisfied,
-                SUM(CASE WHEN q5_kepuasan = 'cukup_baik' THEN 1 ELSE 0 END) as neutral,
-                SUM(CASE WHEN q5_kepuasan = 'kurang_baik' THEN 1 ELSE 0 END) as unsatisfied
-            FROM surveys
-        `);
 
-        res.json({
-            success: true,
-            stats: {
-                total: rows[0].total || 0,
-                today: rows[0].today || 0,
-                satisfied: rows[0].satisfied || 0,
-                neutral: rows[0].neutral || 0,
-                unsatisfied: rows[0].unsatisfied || 0
-            },
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error('Error getting stats:', error);
-        res.status(500).json({ success: false, error: 'Database error' });
+    if (schedule.active_from && schedule.active_until && schedule.active_until < schedule.active_from) {
+        return { error: 'active_until must not be before active_from' };
     }
-});
+    return { schedule };
+}
 
-// =====================================================
-// ADMIN ENDPOINTS
-// =====================================================
+// Whether a question's window overlaps the days from..until (YYYY-MM-DD).
+// Snapshots taken before schedules existed have no window.
+function scheduleOverlaps(question, from, until) {
+    return (!question.active_from || question.active_from <= until) &&
+        (!question.active_until || question.active_until >= from);
+}
 
-// Admin login
-app.post('/admin/login', async (req, res) => {
-    const { username, password } = req.body;
+// Active questions in kiosk order, of one survey (questionnaire) or of all active surveys.
+// Only questions live today are returned; with includeExpired, questions whose window
+// has ended are kept too (for views over all answers collected so far).
+async function getActiveQuestions(questionnaireId = null, { includeExpired = false } = {}) {
+    const [questions] = await pool.query(`
+        SELECT q.*, ${SCHEDULE_COLUMNS_SQL} FROM questions q
+        JOIN questionnaires qn ON qn.id = q.questionnaire_id
+        WHERE q.is_active = 1 AND q.archived_at IS NULL AND ${SCHEDULE_STARTED_SQL}
+            ${includeExpired ? '' : `AND ${SCHEDULE_NOT_EXPIRED_SQL}`}
+            AND ${questionnaireId ? 'q.questionnaire_id = ?' : 'qn.is_active = 1'}
+        ORDER BY qn.is_default DESC, qn.id ASC, q.display_order ASC
+    `, questionnaireId ? [questionnaireId] : []);
+    return questions;
+}
 
-    if (!username || !password) {
-        return res.status(400).json({
-            success: false,
-            error: 'Username and password required'
-        });
+// Survey (questionnaire) a kiosk asks for by slug, or the default one.
+// Only active surveys are returned.
+async function resolveQuestionnaire(slug) {
+    const [rows] = await pool.query(
+        `SELECT * FROM questionnaires WHERE is_active = 1 AND ${slug ? 'slug = ?' : 'is_default = 1'} LIMIT 1`,
+        slug ? [String(slug)] : []
+    );
+    return rows[0] || null;
+}
+
+async function getDefaultQuestionnaireId() {
+    const [rows] = await pool.query('SELECT id FROM questionnaires WHERE is_default = 1 LIMIT 1');
+    return rows.length > 0 ? rows[0].id : null;
+}
+
+// Filters shared by the admin reporting endpoints, as SQL conditions on
+// the surveys table aliased "s".  ?survey=<questionnaire id>
+// Confirmed fraud is left out unless includeFraud is set.
+function reportFilters(query, { includeFraud = false } = {}) {
+    const conditions = includeFraud ? [] : [FRAUD_EXCLUSION];
+    const params = [];
+
+    const questionnaireId = parseInt(query.survey);
+    if (questionnaireId) {
+        conditions.push('s.questionnaire_id = ?');
+        params.push(questionnaireId);
     }
 
-    try {
-        const [users] = await pool.query(
-            'SELECT * FROM admin_users WHERE username = ? AND is_active = 1',
+    if (LANGUAGES.includes(query.language)) {
+        conditions.push('s.language = ?');
+        params.push(query.language);
+    }
+
+    // ?channel=kiosk|mobile
+    if (CHANNELS.includes(query.channel)) {
+        conditions.push('s.channel = ?');
+        params.push(query.channel);
+    }
+
+    // ?device=<devices.id>
+    const deviceId = parseInt(query.device);
+    if (deviceId) {
+        conditions.push('s.device_id = ?');
+        params.push(deviceId);
+    }
+
+    return { conditions, params, questionnaireId: questionnaireId || null, deviceId: deviceId || null };
+}
+
+function whereSql(conditions) {
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Submissions per kiosk language: [{ language, label, count }]
+// whereClause filters on the surveys table, aliased as "s".
+async function getLanguageCounts(whereClause = '', params = []) {
+    const [rows] = await pool.query(`
+        SELECT s.language, COUNT(*) as count
+        FROM surveys s
+        ${whereClause}
+        GROUP BY s.language
+        ORDER BY count DESC
+    `, params);
+
+    return rows.map(row => ({
+        language: row.language,
+        label: LANGUAGE_LABELS[row.language] || row.language,
+        count: parseInt(row.count) || 0
+    }));
+}
+
+// Submissions per channel (kiosk, mobile): [{ channel, label, count }]
+// whereClause filters on the surveys table, aliased as "s".
+async function getChannelCounts(whereClause = '', params = []) {
+    const [rows] = await pool.query(`
+        SELECT s.channel, COUNT(*) as count
+        FROM surveys s
+        ${whereClause}
+        GROUP BY s.channel
+        ORDER BY count DESC
+    `, params);
+
+    return rows.map(row => ({
+        channel: row.channel,
+        label: CHANNEL_LABELS[row.channel] || row.channel,
+        count: parseInt(row.count) || 0
+    }));
+}
+
+// Count answers per question and value.
+// whereClause filters on the surveys table, aliased as "s".
+async function getAnswerCounts(whereClause = '', params = []) {
+    const [rows] = await pool.query(`
+        SELECT a.question_id, a.answer_value, COUNT(*) as count
+        FROM survey_answers a
+        JOIN surveys s ON s.id = a.survey_id
+        ${whereClause}
+        GROUP BY a.question_id, a.answer_value
+    `, params);
+
+    const counts = {};
+    rows.forEach(row => {
+        counts[row.question_id] = counts[row.question_id] || {};
+        counts[row.question_id][row.answer_value] = parseInt(row.count) || 0;
+    });
+    return counts;
+}
+
+// Rating distribution of one question from getAnswerCounts() output
+function ratingStats(counts, questionId) {
+    const questionCounts = counts[questionId] || {};
+    return {
+        sangat_baik: questionCounts.sangat_baik || 0,
+        cukup_baik: questionCounts.cukup_baik || 0,
+        kurang_baik: questionCounts.kurang_baik || 0
+    };
+}
+
+// Summary of one question's answers, shaped for its type.
+// Every type has total and distribution [{ value, label, count, tone }].
+function questionStats(question, counts) {
+    const questionCounts = counts[question.id] || {};
+    const countOf = value => questionCounts[value] || 0;
+
+    switch (question.question_type) {
+        case 'likert5': {
+            const distribution = LIKERT_VALUES.map(value => ({
+                value,
+                label: value === '1' ? `1 - ${question.option_negative}` : value === '5' ? `5 - ${question.option_positive}` : value,
+                count: countOf(value),
+                tone: Number(value) <= 2 ? 'red' : Number(value) === 3 ? 'orange' : 'green'
+            }));
+            const total = distribution.reduce((sum, d) => sum + d.count, 0);
+            const weighted = distribution.reduce((sum, d) => sum + Number(d.value) * d.count, 0);
+            return {
+                total,
+                distribution,
+                average: total > 0 ? Math.round((weighted / total) * 100) / 100 : 0
+            };
+        }
+        case 'nps': {
+            const distribution = NPS_VALUES.map(value => ({
+                value,
+                label: value,
+                count: countOf(value),
+                tone: Number(value) >= 9 ? 'green' : Number(value) >= 7 ? 'orange' : 'red'
+            }));
+            const total = distribution.reduce((sum, d) => sum + d.count, 0);
+            const promoters = distribution.filter(d => d.tone === 'green').reduce((sum, d) => sum + d.count, 0);
+            const passives = distribution.filter(d => d.tone === 'orange').reduce((sum, d) => sum + d.count, 0);
+            const detractors = total - promoters - passives;
+            return {
+                total,
+                distribution,
+                promoters,
+                passives,
+                detractors,
+                score: total > 0 ? Math.round(((promoters - detractors) / total) * 100) : 0
+            };
+        }
+        case 'choice': {
+            const distribution = getChoiceOptions(question).map(o => ({
+                value: o.value,
+                label: o.label,
+                count: countOf(o.value),
+                tone: 'blue'
+            }));
+            return {
+                total: distribution.reduce((sum, d) => sum + d.count, 0),
+                distribution
+            };
+        }
+        case 'comment':
+            return { total: countOf('text'), distribution: [], comments: [] };
+        default: {
+            const stats = ratingStats(counts, question.id);
+            return {
+                ...stats,
+                total: stats.sangat_baik + stats.cukup_baik + stats.kurang_baik,
+                distribution: [
+                    { value: 'sangat_baik', label: question.option_positive, count: stats.sangat_baik, tone: 'green' },
+                    { value: 'cukup_baik', label: question.option_neutral, count: stats.cukup_baik, tone: 'orange' },
+                    { value: 'kurang_baik', label: question.option_negative, count: stats.kurang_baik, tone: 'red' }
+                ]
+            };
+        }
+    }
+}
+
+// Latest `limit` comments of each question as { questionId: [{ text, created_at }] },
+// so a busy comment question does not push the others out
+async function getRecentComments(whereClause = '', params = [], limit = 10) {
+    const [rows] = await pool.query(`
+        SELECT question_id, answer_text, created_at
+        FROM (
+            SELECT a.question_id, a.answer_text, s.created_at,
+                   ROW_NUMBER() OVER (PARTITION BY a.question_id ORDER BY s.created_at DESC, s.id DESC) as comment_rank
+            FROM survey_answers a
+            JOIN surveys s ON s.id = a.survey_id
+            ${whereClause ? `${whereClause} AND` : 'WHERE'} a.answer_value = 'text'
+        ) latest
+        WHERE comment_rank <= ?
+        ORDER BY created_at DESC
+    `, [...params, limit]);
+
+    const comments = {};
+    rows.forEach(row => {
+        comments[row.question_id] = comments[row.question_id] || [];
+        comments[row.question_id].push({ text: row.answer_text, created_at: row.created_at });
+    });
+    return comments;
+}
+
+// Follow-up reason counts per question as { questionId: { reason: count } }
+async function getReasonCounts(whereClause = '', params = []) {
+    const [rows] = await pool.query(`
+        SELECT a.question_id, a.reason_value, COUNT(*) as count
+        FROM survey_answers a
+        JOIN surveys s ON s.id = a.survey_id
+        ${whereClause ? `${whereClause} AND` : 'WHERE'} a.reason_value IS NOT NULL
+        GROUP BY a.question_id, a.reason_value
+    `, params);
+
+    const reasonCounts = {};
+    rows.forEach(row => {
+        reasonCounts[row.question_id] = reasonCounts[row.question_id] || {};
+        reasonCounts[row.question_id][row.reason_value] = parseInt(row.count) || 0;
+    });
+    return reasonCounts;
+}
+
+// Follow-up breakdown of one question, or null when it has no follow-up
+function followupStats(question, reasonCounts) {
+    const followup = getFollowup(question);
+    if (!followup) return null;
+
+    const questionCounts = reasonCounts[question.id] || {};
+    const reasons = followup.reasons.map(r => ({
+        value: r.value,
+        label: r.label,
+        count: questionCounts[r.value] || 0
+    }));
+
+    return {
+        text: followup.question_text,
+        total: reasons.reduce((sum, r) => sum + r.count, 0),
+        reasons
+    };
+}
+
+// The question used for "overall satisfaction" figures: the last rating question
+function getOverallQuestion(questions) {
+    const ratingQuestions = questions.filter(q => q.question_type === 'rating');
+    return ratingQuestions[ratingQuestions.length - 1] || null;
+}
+
+// Question entry for dashboard/report responses
+function describeQuestion(question, counts, comments = {}, reasonCounts = {}) {
+    const stats = questionStats(question, counts);
+    if (question.question_type === 'comment') {
+        stats.comments = comments[question.id] || [];
+    }
+
+    return {
+        id: question.id,
+        key: question.question_key,
+        type: question.question_type,
+        name: question.question_text.replace(/\?$/, '').replace(/^Bagaimana /, '').replace(/^Secara keseluruhan, bagaimana /, ''),
+        text: question.question_text,
+        option_positive: question.option_positive,
+        option_neutral: question.option_neutral,
+        option_negative: question.option_negative,
+        options: getChoiceOptions(question),
+        order: question.display_order,
+        stats,
+        followup: followupStats(question, reasonCounts)
+    };
+}
+
+// Answers for a set of surveys as { surveyId: { questionId: value } }.
+// Comment answers are returned as their text.
+async function getAnswersBySurvey(surveyIds) {
+    const answers = {};
+    if (surveyIds.length === 0) return answers;
+
+    const [rows] = await pool.query(
+        'SELECT survey_id, question_id, answer_value, answer_text FROM survey_answers WHERE survey_id IN (?)',
+        [surveyIds]
+    );
+    rows.forEach(row => {
+        answers[row.survey_id] = answers[row.survey_id] || {};
+        answers[row.survey_id][row.question_id] = row.answer_value === 'text' ? row.answer_text : row.answer_value;
+    });
+    return answers;
+}
+
+// =====================================================
+// QUESTIONNAIRE VERSIONS
+// Every change to the questions stores a snapshot of the whole
+// questionnaire; surveys point at the version they were answered
+// under so reports can use the wording in force at the time.
+// =====================================================
+
+// Snapshots never change, so they are cached once read
+const versionCache = new Map();
+
+// Current state of all questions of a survey, read on `db` (the pool or a transaction's connection)
+async function snapshotQuestions(db, questionnaireId) {
+    const [questions] = await db.query(`
+        SELECT q.id, q.question_key, q.question_type, q.question_text, q.question_subtitle,
+               q.option_positive, q.option_neutral, q.option_negative, q.options_json, q.followup_json,
+               q.display_order, q.is_active, ${SCHEDULE_COLUMNS_SQL}
+        FROM questions q
+        WHERE q.questionnaire_id = ? AND q.archived_at IS NULL
+        ORDER BY q.display_order ASC
+    `, [questionnaireId]);
+    return questions;
+}
+
+// Store a new version of a survey after its questions were changed, on the
+// connection of the edit's transaction before it commits, so the edit and its
+// version are saved together. Nothing is stored when the questionnaire is
+// identical to its latest version.
+async function recordQuestionnaireVersion(conn, questionnaireId, note, user) {
+    const questionsJson = JSON.stringify(await snapshotQuestions(conn, questionnaireId));
+
+    const [latest] = await conn.query(
+        'SELECT id, questions_json FROM questionnaire_versions WHERE questionnaire_id = ? ORDER BY id DESC LIMIT 1',
+        [questionnaireId]
+    );
+    if (latest.length > 0 && latest[0].questions_json === questionsJson) {
+        return latest[0].id;
+    }
+
+    const [result] = await conn.query(
+        'INSERT INTO questionnaire_versions (questionnaire_id, questions_json, note, created_by) VALUES (?, ?, ?, ?)',
+        [questionnaireId, questionsJson, note, user ? user.username : null]
+    );
+    console.log(`[AUDIT] Questionnaire ${questionnaireId} version ${result.insertId}: ${note}`);
+    return result.insertId;
+}
+
+async function getCurrentVersionId(questionnaireId) {
+    const [rows] = await pool.query(
+        'SELECT MAX(id) as id FROM questionnaire_versions WHERE questionnaire_id = ?',
+        [questionnaireId]
+    );
+    return rows[0].id || null;
+}
+
+// Version a submission was answered on: the one the kiosk or phone was shown,
+// when it is a version of the survey, otherwise (older clients) the newest one
+async function resolveVersionId(questionnaireId, shownVersion) {
+    const versionId = parseInt(shownVersion);
+    if (versionId) {
+        const [rows] = await pool.query(
+            'SELECT id FROM questionnaire_versions WHERE id = ? AND questionnaire_id = ?',
+            [versionId, questionnaireId]
+        );
+        if (rows.length > 0) return rows[0].id;
+    }
+    return getCurrentVersionId(questionnaireId);
+}
+
+// All questions (active or not) as they were in a version
+async function getVersionQuestions(versionId) {
+    if (versionCache.has(versionId)) return versionCache.get(versionId);
+
+    const [rows] = await pool.query('SELECT questions_json FROM questionnaire_versions WHERE id = ?', [versionId]);
+    const questions = rows.length > 0 ? JSON.parse(rows[0].questions_json) : null;
+    if (questions) versionCache.set(versionId, questions);
+    return questions;
+}
+
+// Questions for a report over a set of surveys (whereClause on surveys aliased "s"):
+// every question active in one of the versions answered in the period, and
+// scheduled on a day that version was answered, with the wording of the latest
+// such version. Falls back to the current questions.
+async function getReportQuestions(whereClause = '', params = [], questionnaireId = null) {
+    const [rows] = await pool.query(`
+        SELECT s.questionnaire_version_id as id, s.questionnaire_id,
+               DATE_FORMAT(MIN(s.created_at), '%Y-%m-%d') as first_day,
+               DATE_FORMAT(MAX(s.created_at), '%Y-%m-%d') as last_day
+        FROM surveys s
+        ${whereClause ? `${whereClause} AND` : 'WHERE'} s.questionnaire_version_id IS NOT NULL
+        GROUP BY s.questionnaire_version_id, s.questionnaire_id
+        ORDER BY id ASC
+    `, params);
+
+    const versions = rows.map(row => row.id);
+    if (versions.length === 0) {
+        return { questions: await getActiveQuestions(questionnaireId), versions };
+    }
+
+    const byId = new Map();
+    for (const row of rows) {
+        const questions = await getVersionQuestions(row.id) || [];
+        questions
+            .filter(q => q.is_active && scheduleOverlaps(q, row.first_day, row.last_day))
+            .forEach(q => byId.set(q.id, { ...q, questionnaire_id: row.questionnaire_id }));
+    }
+
+    // Group by survey, then kiosk order
+    const questions = [...byId.values()].sort((a, b) =>
+        (a.questionnaire_id - b.questionnaire_id) || (a.display_order - b.display_order));
+    return { questions, versions };
+}
+
+// =====================================================
+// IKM (INDEKS KEPUASAN MASYARAKAT)
+// Community satisfaction index per PermenPAN-RB No. 14 Tahun 2017.
+// Questions are mapped onto the regulation's service elements (unsur
+// pelayanan); every answer is scored 1-4, each element's average (NRR)
+// is weighted equally, and the index is converted to 25-100 and graded.
+// =====================================================
+
+const IKM_ELEMENTS = [
+    { code: 'U1', name: 'Persyaratan' },
+    { code: 'U2', name: 'Sistem, Mekanisme, dan Prosedur' },
+    { code: 'U3', name: 'Waktu Penyelesaian' },
+    { code: 'U4', name: 'Biaya/Tarif' },
+    { code: 'U5', name: 'Produk Spesifikasi Jenis Pelayanan' },
+    { code: 'U6', name: 'Kompetensi Pelaksana' },
+    { code: 'U7', name: 'Perilaku Pelaksana' },
+    { code: 'U8', name: 'Penanganan Pengaduan, Saran dan Masukan' },
+    { code: 'U9', name: 'Sarana dan Prasarana' }
+];
+
+// Question types whose answers can be scored
+const IKM_SCORED_TYPES = ['rating', 'likert5', 'nps'];
+
+// Service quality by converted value (IKM x 25), highest first
+const IKM_GRADES = [
+    { min: 88.31, grade: 'A', label: 'Sangat Baik' },
+    { min: 76.61, grade: 'B', label: 'Baik' },
+    { min: 65.00, grade: 'C', label: 'Kurang Baik' },
+    { min: 25.00, grade: 'D', label: 'Tidak Baik' }
+];
+
+const MONTH_NAMES = [
+    'Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
+    'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'
+];
+const QUARTER_NAMES = ['I', 'II', 'III', 'IV'];
+
+// Element code sent by the editor: { element } (null = not scored) or { error }
+function buildIkmElement(questionType, code) {
+    if (!code) return { element: null };
+    if (!IKM_ELEMENTS.some(e => e.code === code)) {
+        return { error: 'Invalid IKM element' };
+    }
+    if (!IKM_SCORED_TYPES.includes(questionType)) {
+        return { error: 'Only rating, likert5 and nps questions can count towards the IKM' };
+    }
+    return { element: code };
+}
+
+// An answer on the regulation's 1-4 scale (1 tidak baik ... 4 sangat baik), or null.
+// The 3-option rating uses its labels' meaning (kurang baik = 2); the 1-5 and
+// 0-10 scales are stretched linearly onto 1-4.
+function ikmScore(questionType, value) {
+    switch (questionType) {
+        case 'rating':
+            return { sangat_baik: 4, cukup_baik: 3, kurang_baik: 2 }[value] || null;
+        case 'likert5':
+            return LIKERT_VALUES.includes(value) ? 1 + (parseInt(value) - 1) * 3 / 4 : null;
+        case 'nps':
+            return NPS_VALUES.includes(value) ? 1 + parseInt(value) * 3 / 10 : null;
+        default:
+            return null;
+    }
+}
+
+function ikmGrade(value) {
+    return IKM_GRADES.find(g => value >= g.min) || IKM_GRADES[IKM_GRADES.length - 1];
+}
+
+// Reporting period from ?period=month|quarter|year&year=&month=&quarter=
+// (current month, quarter or year by default), as a condition on surveys aliased "s"
+function reportPeriod(query) {
+    const now = new Date();
+    const period = ['month', 'quarter', 'year'].includes(query.period) ? query.period : 'month';
+    const year = parseInt(query.year) || now.getFullYear();
+
+    if (period === 'year') {
+        return { period, year, label: `Tahun ${year}`, condition: 'YEAR(s.created_at) = ?', params: [year] };
+    }
+
+    if (period === 'quarter') {
+        const requested = parseInt(query.quarter);
+        const quarter = requested >= 1 && requested <= 4 ? requested : Math.floor(now.getMonth() / 3) + 1;
+        return {
+            period, year, quarter,
+            label: `Triwulan ${QUARTER_NAMES[quarter - 1]} ${year}`,
+            condition: 'YEAR(s.created_at) = ? AND QUARTER(s.created_at) = ?',
+            params: [year, quarter]
+        };
+    }
+
+    const requested = parseInt(query.month);
+    const month = requested >= 1 && requested <= 12 ? requested : now.getMonth() + 1;
+    return {
+        period, year, month,
+        label: `${MONTH_NAMES[month - 1]} ${year}`,
+        condition: 'YEAR(s.created_at) = ? AND MONTH(s.created_at) = ?',
+        params: [year, month]
+    };
+}
+
+// IKM over the surveys matched by whereClause (on surveys aliased "s"), using
+// the questions' current element mapping so a mapping fixed later also applies
+// to earlier answers. Returns null when no mapped question was answered.
+async function getIkm(whereClause = '', params = []) {
+    const mapped = `${whereClause ? `${whereClause} AND` : 'WHERE'} q.ikm_element IS NOT NULL`;
+
+    const [rows] = await pool.query(`
+        SELECT q.ikm_element, q.question_type, a.answer_value, COUNT(*) as count
+        FROM survey_answers a
+        JOIN surveys s ON s.id = a.survey_id
+        JOIN questions q ON q.id = a.question_id
+        ${mapped}
+        GROUP BY q.ikm_element, q.question_type, a.answer_value
+    `, params);
+    if (rows.length === 0) return null;
+
+    const [respondents] = await pool.query(`
+        SELECT COUNT(DISTINCT s.id) as count
+        FROM survey_answers a
+        JOIN surveys s ON s.id = a.survey_id
+        JOIN questions q ON q.id = a.question_id
+        ${mapped}
+    `, params);
+
+    return computeIkm(rows, parseInt(respondents[0].count) || 0);
+}
+
+// Same as getIkm for each value of `column` (on surveys aliased "s") at once,
+// as { value: ikm }; values without a mapped answer are left out
+async function getIkmBy(column, whereClause = '', params = []) {
+    const mapped = `${whereClause ? `${whereClause} AND` : 'WHERE'} q.ikm_element IS NOT NULL AND ${column} IS NOT NULL`;
+
+    const [rows] = await pool.query(`
+        SELECT ${column} as group_id, q.ikm_element, q.question_type, a.answer_value, COUNT(*) as count
+        FROM survey_answers a
+        JOIN surveys s ON s.id = a.survey_id
+        JOIN questions q ON q.id = a.question_id
+        ${mapped}
+        GROUP BY ${column}, q.ikm_element, q.question_type, a.answer_value
+    `, params);
+    const [respondents] = await pool.query(`
+        SELECT ${column} as group_id, COUNT(DISTINCT s.id) as count
+        FROM survey_answers a
+        JOIN surveys s ON s.id = a.survey_id
+        JOIN questions q ON q.id = a.question_id
+        ${mapped}
+        GROUP BY ${column}
+    `, params);
+
+    const ikmBy = {};
+    respondents.forEach(group => {
+        const ikm = computeIkm(rows.filter(row => row.group_id === group.group_id), parseInt(group.count) || 0);
+        if (ikm) ikmBy[group.group_id] = ikm;
+    });
+    return ikmBy;
+}
+
+// IKM from answer counts per element, question type and answer value.
+// Returns null when none of the answers scores.
+function computeIkm(rows, respondents) {
+    const totals = {};
+    rows.forEach(row => {
+        const score = ikmScore(row.question_type, row.answer_value);
+        if (score === null) return;
+        const count = parseInt(row.count) || 0;
+        totals[row.ikm_element] = totals[row.ikm_element] || { answers: 0, sum: 0 };
+        totals[row.ikm_element].answers += count;
+        totals[row.ikm_element].sum += score * count;
+    });
+
+    const scored = IKM_ELEMENTS.filter(e => totals[e.code]);
+    if (scored.length === 0) return null;
+
+    // Every element answered in the period weighs the same (1 / number of elements)
+    const weight = 1 / scored.length;
+    const elements = scored.map(e => {
+        const nrr = totals[e.code].sum / totals[e.code].answers;
+        return {
+            code: e.code,
+            name: e.name,
+            answers: totals[e.code].answers,
+            nrr: Math.round(nrr * 1000) / 1000,
+            weighted: Math.round(nrr * weight * 1000) / 1000
+        };
+    });
+
+    const index = scored.reduce((sum, e) => sum + (totals[e.code].sum / totals[e.code].answers) * weight, 0);
+    const value = Math.round(index * 25 * 100) / 100;
+    const grade = ikmGrade(value);
+
+    return {
+        respondents,
+        element_count: scored.length,
+        weight: Math.round(weight * 1000) / 1000,
+        elements,
+        index: Math.round(index * 1000) / 1000,
+        value,
+        grade: grade.grade,
+        grade_label: grade.label
+    };
+}
+
+// =====================================================
+// VISIT FUNNEL
+// Kiosks report visits that time out before submitting
+// (survey_abandonments), so drop-off per step can be shown
+// next to the completed surveys.
+// =====================================================
+
+const MAX_FUNNEL_STEP = 100; // Sanity bound on the step a kiosk or phone reports
+
+// Visitors per step: started, queue number entered, each question answered,
+// completed. whereClause filters both surveys and survey_abandonments, aliased
+// as "s", so it is built with includeFraud; confirmed fraud is left out of the
+// completed count here. Question labels come from the given (current) questions.
+async function getFunnel(whereClause, params, questions) {
+    const [completedRows] = await pool.query(
+        `SELECT COUNT(*) as count FROM surveys s ${whereClause ? `${whereClause} AND` : 'WHERE'} ${FRAUD_EXCLUSION}`,
+        params
+    );
+    const [abandonedRows] = await pool.query(`
+        SELECT s.last_step, COUNT(*) as count
+        FROM survey_abandonments s
+        ${whereClause}
+        GROUP BY s.last_step
+    `, params);
+
+    const completed = parseInt(completedRows[0].count) || 0;
+    const abandoned = abandonedRows.reduce((sum, row) => sum + (parseInt(row.count) || 0), 0);
+
+    // Completed visits passed every step; abandoned ones the steps before their last
+    const reached = (step) => completed + abandonedRows
+        .filter(row => row.last_step >= step)
+        .reduce((sum, row) => sum + (parseInt(row.count) || 0), 0);
+
+    const steps = [
+        { key: 'started', label: 'Mulai survey', count: completed + abandoned },
+        { key: 'queue', label: 'Nomor antrian diisi', count: reached(1) },
+        // Question n is answered once the visitor reached step n + 1
+        ...questions.map((q, index) => ({
+            key: q.question_key,
+            label: `${index + 1}. ${q.question_text}`,
+            count: reached(index + 2)
+        })),
+        { key: 'completed', label: 'Selesai', count: completed }
+    ];
+
+    return { started: completed + abandoned, completed, abandoned, steps };
+}
+
+// =====================================================
+// KIOSK DEVICES
+// Admins register each kiosk and pair it with a one-time code shown
+// on the kiosk (/?pair=1). The paired kiosk then sends its device token
+// in the X-Device-Token header with every submission.
+// =====================================================
+
+const PAIRING_CODE_TTL = 15 * 60 * 1000; // A pairing code is valid for 15 minutes
+const MAX_PENDING_PAIRINGS = 50; // Unpaired codes allowed at once (the endpoint is public)
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Paired, active device of the request's X-Device-Token, or null.
+// Unknown or revoked tokens are ignored so the kiosk keeps working unpaired.
+async function resolveDevice(req) {
+    const token = req.headers['x-device-token'];
+    if (!token) return null;
+
+    const [rows] = await pool.query(
+        'SELECT id, name, location, service_counter FROM devices WHERE token_hash = ? AND is_active = 1',
+        [hashToken(token)]
+    );
+    if (rows.length === 0) {
+        console.log('[DEVICE] Unknown or revoked device token:', { ip: getClientIp(req) });
+        return null;
+    }
+
+    await pool.query('UPDATE devices SET last_seen_at = NOW() WHERE id = ?', [rows[0].id]);
+    return rows[0];
+}
+
+// Name, location and counter sent by the device form: { device } or { error }
+function buildDevice(input) {
+    const name = String(input.name || '').trim();
+    if (!name) return { error: 'Device name is required' };
+    if (name.length > 100) return { error: 'Device name is too long' };
+
+    return {
+        device: {
+            name,
+            location: String(input.location || '').trim().substring(0, 150) || null,
+            service_counter: String(input.service_counter || '').trim().substring(0, 50) || null
+        }
+    };
+}
+
+// =====================================================
+// KIOSK FLEET MONITORING
+// Paired kiosks send a heartbeat every minute. A kiosk is online while
+// heartbeats arrive, stale after a few missed ones and offline after that.
+// A kiosk silent during operating hours (OPERATING_HOURS on OPERATING_DAYS)
+// raises an alert on the monitor page and in the server log.
+// =====================================================
+
+const APP_VERSION = require('./package.json').version;
+const HEARTBEAT_INTERVAL = 60 * 1000; // Kiosks send a heartbeat every minute
+const HEARTBEAT_STALE_AFTER = 3 * HEARTBEAT_INTERVAL; // A few heartbeats missed
+const HEARTBEAT_OFFLINE_AFTER = 10 * 60 * 1000;
+const SILENCE_ALERT_AFTER = (parseInt(process.env.KIOSK_SILENCE_ALERT_MINUTES) || 15) * 60 * 1000;
+const FLEET_CHECK_INTERVAL = 60 * 1000;
+
+// "08:00-16:00" as minutes since midnight { open, close }; office hours on bad input
+function parseOperatingHours(value) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (match) {
+        const open = Number(match[1]) * 60 + Number(match[2]);
+        const close = Number(match[3]) * 60 + Number(match[4]);
+        if (Number(match[2]) < 60 && Number(match[4]) < 60 && open < close && close <= 24 * 60) {
+            return { open, close };
+        }
+    }
+    return { open: 8 * 60, close: 16 * 60 };
+}
+
+// "1-5" or "1,3,5-6" as a set of ISO weekdays (1 = Monday ... 7 = Sunday); Monday-Friday on bad input
+function parseOperatingDays(value) {
+    const days = new Set();
+    for (const part of String(value || '').split(',')) {
+        const [from, to = from] = part.split('-').map(n => parseInt(n, 10));
+        if (from >= 1 && to <= 7 && from <= to) {
+            for (let day = from; day <= to; day++) days.add(day);
+        }
+    }
+    return days.size > 0 ? days : new Set([1, 2, 3, 4, 5]);
+}
+
+const OPERATING_HOURS = parseOperatingHours(process.env.OPERATING_HOURS);
+const OPERATING_DAYS = parseOperatingDays(process.env.OPERATING_DAYS);
+
+function formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Opening time of today's service when `now` is within operating hours, otherwise null
+function openedAt(now) {
+    const weekday = now.getDay() || 7;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    if (!OPERATING_DAYS.has(weekday) || minutes < OPERATING_HOURS.open || minutes >= OPERATING_HOURS.close) {
+        return null;
+    }
+    const opened = new Date(now);
+    opened.setHours(0, OPERATING_HOURS.open, 0, 0);
+    return opened;
+}
+
+// Kiosk heartbeat as sent by the kiosk, trimmed to what the monitor page shows
+function buildHeartbeat(input) {
+    const lastSubmission = input.last_submission_at ? new Date(input.last_submission_at) : null;
+    const queued = parseInt(input.queued, 10);
+    const rejected = parseInt(input.rejected, 10);
+    return {
+        step: input.step != null ? String(input.step).substring(0, 20) : null,
+        app_version: String(input.app_version || '').substring(0, 20) || null,
+        screen: /^\d{2,5}x\d{2,5}$/.test(String(input.screen)) ? String(input.screen) : null,
+        last_submission_at: lastSubmission && !isNaN(lastSubmission) ? lastSubmission.toISOString() : null,
+        queued: queued > 0 ? Math.min(queued, 100000) : 0,
+        rejected: rejected > 0 ? Math.min(rejected, 100000) : 0 // Refused by the server, kept on the kiosk
+    };
+}
+
+// All kiosks with their heartbeat status:
+// inactive, unpaired, or for paired kiosks online, stale or offline.
+// `alert` is set when a paired kiosk has been silent for SILENCE_ALERT_AFTER
+// within today's operating hours (or since pairing, when that was later).
+async function getFleet(now = new Date()) {
+    const [devices] = await pool.query(`
+        SELECT id, name, location, service_counter, is_active, token_hash IS NOT NULL as is_paired,
+               paired_at, last_seen_at, last_heartbeat_at, heartbeat_json
+        FROM devices
+        ORDER BY name ASC
+    `);
+    const opened = openedAt(now);
+
+    return devices.map(d => {
+        const lastHeartbeat = d.last_heartbeat_at ? new Date(d.last_heartbeat_at).getTime() : 0;
+        let status;
+        if (!d.is_active) status = 'inactive';
+        else if (!d.is_paired) status = 'unpaired';
+        else if (lastHeartbeat && now - lastHeartbeat <= HEARTBEAT_STALE_AFTER) status = 'online';
+        else if (lastHeartbeat && now - lastHeartbeat <= HEARTBEAT_OFFLINE_AFTER) status = 'stale';
+        else status = 'offline';
+
+        let silentMinutes = 0;
+        if (opened && (status === 'stale' || status === 'offline')) {
+            const since = Math.max(opened.getTime(), lastHeartbeat, d.paired_at ? new Date(d.paired_at).getTime() : 0);
+            silentMinutes = Math.max(0, Math.floor((now - since) / 60000));
+        }
+
+        return {
+            id: d.id,
+            name: d.name,
+            location: d.location,
+            service_counter: d.service_counter,
+            status,
+            last_seen_at: d.last_seen_at,
+            last_heartbeat_at: d.last_heartbeat_at,
+            heartbeat: d.heartbeat_json || null,
+            silent_minutes: silentMinutes,
+            alert: silentMinutes * 60000 >= SILENCE_ALERT_AFTER
+        };
+    });
+}
+
+// Kiosks already alerted for their current silence, so each silence is logged once
+const silentDevices = new Set();
+
+async function checkFleet() {
+    try {
+        for (const device of await getFleet()) {
+            if (device.alert && !silentDevices.has(device.id)) {
+                silentDevices.add(device.id);
+                console.log('[ALERT]', JSON.stringify({
+                    event: 'KIOSK_SILENT',
+                    timestamp: new Date().toISOString(),
+                    deviceId: device.id,
+                    name: device.name,
+                    location: device.location,
+                    lastHeartbeatAt: device.last_heartbeat_at,
+                    silentMinutes: device.silent_minutes
+                }));
+            } else if (!device.alert && silentDevices.has(device.id)) {
+                silentDevices.delete(device.id);
+                if (device.status === 'online') {
+                    console.log('[ALERT]', JSON.stringify({
+                        event: 'KIOSK_RECOVERED',
+                        timestamp: new Date().toISOString(),
+                        deviceId: device.id,
+                        name: device.name
+                    }));
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Fleet check error:', error);
+    }
+}
+
+// =====================================================
+// KIOSK SETTINGS
+// Kiosk behaviour and look, edited on the Konfigurasi page. Settings
+// stored for all kiosks (device_id 0) override the defaults below; a
+// paired kiosk's own settings override those. An unset value inherits.
+// =====================================================
+
+const KIOSK_SETTINGS = {
+    fullscreen_delay: { type: 'int', min: 0, max: 60, default: 3 }, // Seconds before the fullscreen prompt
+    idle_timeout: { type: 'int', min: 15, max: 600, default: parseInt(process.env.KIOSK_IDLE_TIMEOUT) || 60 }, // Seconds without a touch before a visit is abandoned
+    countdown_seconds: { type: 'int', min: 1, max: 60, default: 5 }, // Thank-you screen before the next visitor
+    slideshow_interval: { type: 'int', min: 2, max: 60, default: 5 }, // Seconds per welcome slide
+    queue_letters: { type: 'letters', max: 5, default: 'ABCDE' }, // Letter keys of the queue keypad (five slots)
+    queue_max_length: { type: 'int', min: 2, max: 10, default: 5 }, // Characters of a queue number, hyphen included
+    primary_color: { type: 'color', default: '#0F2E5C' },
+    secondary_color: { type: 'color', default: '#1A4A8A' },
+    thank_you_title_id: { type: 'text', max: 100, default: '' }, // Empty: the kiosk's built-in text
+    thank_you_text_id: { type: 'text', max: 300, default: '' },
+    thank_you_title_en: { type: 'text', max: 100, default: '' },
+    thank_you_text_en: { type: 'text', max: 300, default: '' },
+    served_by_step: { type: 'choice', values: ['off', 'counter', 'staff'], default: 'off' }, // Ask the visitor which counter or officer served them
+    submission_limit: { type: 'int', min: 5, max: 1000, default: parseInt(process.env.RATE_LIMIT_KIOSK) || 60 } // Submissions per RATE_LIMIT_SURVEY window of a paired kiosk
+};
+
+const KIOSK_SETTINGS_GLOBAL = 0; // kiosk_settings.device_id of the settings for all kiosks
+
+function kioskSettingDefaults() {
+    const defaults = {};
+    Object.entries(KIOSK_SETTINGS).forEach(([key, field]) => { defaults[key] = field.default; });
+    return defaults;
+}
+
+// Settings sent by the Konfigurasi page: { settings } with only the values
+// that are set (empty values inherit), or { error }
+function buildKioskSettings(input) {
+    const settings = {};
+    for (const [key, field] of Object.entries(KIOSK_SETTINGS)) {
+        const raw = input[key];
+        if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+        const value = String(raw).trim();
+
+        if (field.type === 'int') {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < field.min || number > field.max) {
+                return { error: `${key} must be a whole number from ${field.min} to ${field.max}` };
+            }
+            settings[key] = number;
+        } else if (field.type === 'letters') {
+            const letters = value.toUpperCase();
+            if (!/^[A-Z]+$/.test(letters) || letters.length > field.max || new Set(letters).size !== letters.length) {
+                return { error: `${key} must be up to ${field.max} different letters A-Z` };
+            }
+            settings[key] = letters;
+        } else if (field.type === 'color') {
+            if (!/^#[0-9a-fA-F]{6}$/.test(value)) {
+                return { error: `${key} must be a colour like #0F2E5C` };
+            }
+            settings[key] = value.toUpperCase();
+        } else if (field.type === 'choice') {
+            if (!field.values.includes(value)) {
+                return { error: `${key} must be one of ${field.values.join(', ')}` };
+            }
+            settings[key] = value;
+        } else {
+            if (value.length > field.max) {
+                return { error: `${key} is too long (max ${field.max} characters)` };
+            }
+            settings[key] = value;
+        }
+    }
+    return { settings };
+}
+
+// Stored settings by device_id (KIOSK_SETTINGS_GLOBAL for all kiosks)
+async function getStoredKioskSettings(deviceIds) {
+    const [rows] = await pool.query(
+        'SELECT device_id, settings_json FROM kiosk_settings WHERE device_id IN (?)',
+        [deviceIds]
+    );
+    const stored = {};
+    rows.forEach(row => { stored[row.device_id] = row.settings_json || {}; });
+    return stored;
+}
+
+// Settings in effect on a kiosk: defaults, then all-kiosk settings, then the kiosk's own
+async function getKioskSettings(deviceId = null) {
+    const ids = deviceId ? [KIOSK_SETTINGS_GLOBAL, deviceId] : [KIOSK_SETTINGS_GLOBAL];
+    const stored = await getStoredKioskSettings(ids);
+    return {
+        ...kioskSettingDefaults(),
+        ...stored[KIOSK_SETTINGS_GLOBAL],
+        ...(deviceId ? stored[deviceId] : {})
+    };
+}
+
+// =====================================================
+// KIOSK LIVE UPDATES
+// Kiosks keep a Server-Sent Events stream open (/api/kiosk/events). Admin
+// edits that change what a kiosk shows are pushed as a `change` event
+// naming what to reload; kiosks wait for the welcome screen to apply it.
+// On connecting, a kiosk gets the build of the kiosk files, so a deploy
+// makes it reload the page at its next idle moment.
+// An edit raises its scope's version in kiosk_changes; every instance polls
+// the versions and pushes the changes made through the others to its own
+// kiosks, so kiosks hear of every edit whichever instance they are on.
+// At midnight every instance also has its kiosks reload their questions,
+// for the scheduled ones that start or end that day.
+// =====================================================
+
+const KIOSK_EVENTS_KEEPALIVE = 25 * 1000; // Comment line so proxies keep the stream open
+const KIOSK_EVENTS_RETRY = 10 * 1000; // Reconnect delay the kiosk's EventSource is told to use
+const KIOSK_CHANGES_POLL_INTERVAL = 5 * 1000; // How soon edits made through another instance reach this one's kiosks
+
+// Admin API paths whose successful edits kiosks must reload, by what they reload
+const KIOSK_CHANGE_SCOPES = [
+    { prefix: '/admin/api/questions', scope: 'questions' },
+    { prefix: '/admin/api/questionnaires', scope: 'questions' },
+    { prefix: '/admin/api/kiosk-settings', scope: 'config' },
+    { prefix: '/admin/api/media', scope: 'media' },
+    { prefix: '/admin/api/counters', scope: 'staff' },
+    { prefix: '/admin/api/staff', scope: 'staff' },
+    { prefix: '/admin/api/devices', scope: 'staff' } // A kiosk's counter picks the officers it offers
+];
+
+// Hash of the kiosk page and its scripts and styles, changes with every deploy that touches them
+const KIOSK_BUILD = (() => {
+    const hash = crypto.createHash('sha256').update(APP_VERSION);
+    for (const file of ['index.html', 'js/app.js', 'css/style.css', 'sw.js']) {
+        try {
+            hash.update(fs.readFileSync(path.join(__dirname, 'public', file)));
+        } catch (error) {
+            console.warn(`⚠️ Kiosk build: cannot read ${file}:`, error.message);
+        }
+    }
+    return hash.digest('hex').substring(0, 12);
+})();
+
+// Open kiosk event streams (Express responses)
+const kioskStreams = new Set();
+
+function sendKioskEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Tell the kiosks connected to this instance to reload `scope` (questions, config, media or staff)
+function broadcastKioskChange(scope) {
+    for (const res of kioskStreams) sendKioskEvent(res, 'change', { scope });
+}
+
+// Last version of each scope this instance has pushed; filled by the first poll
+const kioskChangeVersions = new Map();
+
+// Tell every kiosk, on any instance, to reload `scope`
+async function notifyKiosks(scope) {
+    broadcastKioskChange(scope);
+    try {
+        // LAST_INSERT_ID(expr) hands back the new version without a second query
+        const [result] = await pool.query(
+            'INSERT INTO kiosk_changes (scope, version) VALUES (?, LAST_INSERT_ID(1)) ON DUPLICATE KEY UPDATE version = LAST_INSERT_ID(version + 1)',
+            [scope]
+        );
+        kioskChangeVersions.set(scope, result.insertId);
+    } catch (error) {
+        console.error('Kiosk change error:', error);
+    }
+}
+
+// Push the changes other instances recorded since the last poll
+async function pollKioskChanges() {
+    try {
+        const [rows] = await pool.query('SELECT scope, version FROM kiosk_changes');
+        for (const { scope, version } of rows) {
+            const known = kioskChangeVersions.get(scope);
+            kioskChangeVersions.set(scope, version);
+            if (known !== undefined && known !== version) broadcastKioskChange(scope);
+        }
+    } catch (error) {
+        console.error('Kiosk changes poll error:', error);
+    }
+}
+
+// Question schedules (active_from/active_until) are whole days, so scheduled
+// questions start and end when the date changes, without any admin edit
+let scheduleDay = localDate(new Date());
+
+function checkScheduleDay() {
+    const today = localDate(new Date());
+    if (today === scheduleDay) return;
+    scheduleDay = today;
+    broadcastKioskChange('questions');
+}
+
+// Middleware: push successful admin edits to kiosks once the response is sent.
+// Previews change nothing and are skipped.
+function notifyKioskChanges(req, res, next) {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.path.endsWith('/preview')) return next();
+
+    const match = KIOSK_CHANGE_SCOPES.find(({ prefix }) => req.path === prefix || req.path.startsWith(`${prefix}/`));
+    if (match) {
+        res.on('finish', () => {
+            if (res.statusCode < 300) notifyKiosks(match.scope);
+        });
+    }
+    next();
+}
+
+// =====================================================
+// RATE LIMITING
+// Public endpoints are limited per route, in fixed windows. Browsers and
+// phones count by IP. A paired kiosk counts by its device instead, since
+// all its visitors share one IP, with the limit set for it on the
+// Konfigurasi page. Counts live in a pluggable store picked with
+// RATE_LIMIT_STORE: database (the default, shared by every instance and
+// kept across restarts) or memory (a single instance only).
+// =====================================================
+
+const RATE_LIMIT_PURGE_INTERVAL = 5 * 60 * 1000; // Drop ended windows, so old IPs do not pile up
+
+// "5/10" (max requests per minutes) as { max, minutes }; the fallback on bad input
+function parseRateLimit(value, fallback) {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value || ''));
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return fallback;
+    return { max: Number(match[1]), minutes: Number(match[2]) };
+}
+
+// Limits per route for one IP; RATE_LIMIT_<ROUTE> overrides them, e.g. RATE_LIMIT_SURVEY=5/10
+const RATE_LIMITS = {
+    survey: parseRateLimit(process.env.RATE_LIMIT_SURVEY, { max: 5, minutes: 10 }), // Submissions
+    queue: parseRateLimit(process.env.RATE_LIMIT_QUEUE, { max: 20, minutes: 10 }), // Queue ticket checks
+    login: parseRateLimit(process.env.RATE_LIMIT_LOGIN, { max: 10, minutes: 15 }), // Admin sign-ins
+    pairing: parseRateLimit(process.env.RATE_LIMIT_PAIRING, { max: 10, minutes: 60 }) // Pairing codes
+};
+
+// Routes a paired kiosk counts on by device, as a multiple of its submission
+// limit (a visitor may mistype the ticket number a few times)
+const KIOSK_RATE_LIMIT_FACTORS = { survey: 1, queue: 4 };
+
+// A store counts requests per bucket ("<route>|ip:<ip>" or "<route>|device:<id>"):
+//   get(bucket) -> { hits, blocked, resetAt } of the open window, or null
+//   hit(bucket, seconds) -> counts a request, opening a window if none is open, and
+//     returns the window's hits with it in one step, so parallel requests never
+//     all see the same count
+//   block(bucket) -> turns the request just counted into a refused one
+//   release(bucket) -> takes back a request that turned out not to count
+//   list() -> [{ bucket, hits, blocked, resetAt, lastHitAt }] of the open windows
+//   clear(bucket) -> ends the window (lifts the limit)
+//   purge() -> drops the windows that ended
+
+// Shared by every instance through the rate_limits table
+function createDatabaseRateLimitStore() {
+    return {
+        name: 'database',
+        async get(bucket) {
+            const [rows] = await pool.query(
+                'SELECT hits, blocked, reset_at FROM rate_limits WHERE bucket = ? AND reset_at > NOW()',
+                [bucket]
+            );
+            return rows.length > 0 ? { hits: rows[0].hits, blocked: rows[0].blocked, resetAt: rows[0].reset_at } : null;
+        },
+        async hit(bucket, seconds) {
+            // Assignments run in order: the window is tested before reset_at moves.
+            // LAST_INSERT_ID(expr) hands back this request's count without a second query.
+            const [result] = await pool.query(`
+                INSERT INTO rate_limits (bucket, hits, reset_at, last_hit_at)
+                VALUES (?, LAST_INSERT_ID(1), DATE_ADD(NOW(), INTERVAL ? SECOND), NOW())
+                ON DUPLICATE KEY UPDATE
+                    blocked = IF(reset_at <= NOW(), 0, blocked),
+                    hits = LAST_INSERT_ID(IF(reset_at <= NOW(), 1, hits + 1)),
+                    reset_at = IF(reset_at <= NOW(), VALUES(reset_at), reset_at),
+                    last_hit_at = NOW()
+            `, [bucket, seconds]);
+            return result.insertId;
+        },
+        async block(bucket) {
+            await pool.query(
+                'UPDATE rate_limits SET hits = GREATEST(hits - 1, 0), blocked = blocked + 1 WHERE bucket = ? AND reset_at > NOW()',
+                [bucket]
+            );
+        },
+        async release(bucket) {
+            await pool.query(
+                'UPDATE rate_limits SET hits = GREATEST(hits - 1, 0) WHERE bucket = ? AND reset_at > NOW()',
+                [bucket]
+            );
+        },
+        async list() {
+            const [rows] = await pool.query(
+                'SELECT bucket, hits, blocked, reset_at, last_hit_at FROM rate_limits WHERE reset_at > NOW() ORDER BY last_hit_at DESC'
+            );
+            return rows.map(row => ({
+                bucket: row.bucket,
+                hits: row.hits,
+                blocked: row.blocked,
+                resetAt: row.reset_at,
+                lastHitAt: row.last_hit_at
+            }));
+        },
+        async clear(bucket) {
+            await pool.query('DELETE FROM rate_limits WHERE bucket = ?', [bucket]);
+        },
+        async purge() {
+            await pool.query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+        }
+    };
+}
+
+// In this process only: resets on restart and is not shared between instances
+function createMemoryRateLimitStore() {
+    const windows = new Map();
+    const openWindow = bucket => {
+        const window = windows.get(bucket);
+        return window && window.resetAt > new Date() ? window : null;
+    };
+
+    return {
+        name: 'memory',
+        async get(bucket) {
+            const window = openWindow(bucket);
+            return window ? { hits: window.hits, blocked: window.blocked, resetAt: window.resetAt } : null;
+        },
+        async hit(bucket, seconds) {
+            const window = openWindow(bucket) || { hits: 0, blocked: 0, resetAt: new Date(Date.now() + seconds * 1000) };
+            window.hits++;
+            window.lastHitAt = new Date();
+            windows.set(bucket, window);
+            return window.hits;
+        },
+        async block(bucket) {
+            const window = openWindow(bucket);
+            if (!window) return;
+            window.hits = Math.max(window.hits - 1, 0);
+            window.blocked++;
+        },
+        async release(bucket) {
+            const window = openWindow(bucket);
+            if (window) window.hits = Math.max(window.hits - 1, 0);
+        },
+        async list() {
+            return [...windows.keys()]
+                .filter(openWindow)
+                .map(bucket => ({ bucket, ...windows.get(bucket) }))
+                .sort((a, b) => b.lastHitAt - a.lastHitAt);
+        },
+        async clear(bucket) {
+            windows.delete(bucket);
+        },
+        async purge() {
+            for (const bucket of [...windows.keys()]) {
+                if (!openWindow(bucket)) windows.delete(bucket);
+            }
+        }
+    };
+}
+
+const RATE_LIMIT_STORES = {
+    database: createDatabaseRateLimitStore,
+    memory: createMemoryRateLimitStore
+};
+
+function createRateLimitStore(name) {
+    const factory = RATE_LIMIT_STORES[name];
+    if (!factory) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (use ${Object.keys(RATE_LIMIT_STORES).join(', ')})`);
+    }
+    return factory();
+}
+
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || 'database');
+
+// Route and subject of a bucket: { route, kind: 'ip' or 'device', subject }
+function parseRateLimitBucket(bucket) {
+    const split = bucket.indexOf('|');
+    const key = bucket.substring(split + 1);
+    const separator = key.indexOf(':'); // IPv6 addresses contain colons too
+    return { route: bucket.substring(0, split), kind: key.substring(0, separator), subject: key.substring(separator + 1) };
+}
+
+// Limit of a paired kiosk on a route (KIOSK_RATE_LIMIT_FACTORS), from its settings
+async function kioskRateLimit(deviceId, route) {
+    const settings = await getKioskSettings(deviceId);
+    return settings.submission_limit * KIOSK_RATE_LIMIT_FACTORS[route];
+}
+
+// What a request counts against on a route: { bucket, max, seconds }
+async function rateLimitFor(req, route) {
+    const seconds = RATE_LIMITS[route].minutes * 60;
+
+    if (KIOSK_RATE_LIMIT_FACTORS[route] && req.headers['x-device-token']) {
+        const device = await resolveDevice(req);
+        if (device) {
+            return { bucket: `${route}|device:${device.id}`, max: await kioskRateLimit(device.id, route), seconds };
+        }
+    }
+    return { bucket: `${route}|ip:${getClientIp(req)}`, max: RATE_LIMITS[route].max, seconds };
+}
+
+// Count the request, and refuse it with 429 when that takes its window over
+// the limit. Returns the limit it was counted on, or null after sending the response.
+async function checkRateLimit(req, res, route) {
+    const limit = await rateLimitFor(req, route);
+    const hits = await rateLimitStore.hit(limit.bucket, limit.seconds);
+
+    if (hits > limit.max) {
+        await rateLimitStore.block(limit.bucket);
+        const window = await rateLimitStore.get(limit.bucket);
+        const resetAt = window ? new Date(window.resetAt) : new Date(Date.now() + limit.seconds * 1000);
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        console.log('[RATE_LIMIT] Blocked:', limit.bucket, 'Retry after:', retryAfter, 'seconds');
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            success: false,
+            error: `Terlalu banyak request. Coba lagi dalam ${Math.ceil(retryAfter / 60)} menit.`,
+            retryAfter
+        });
+        return null;
+    }
+    return limit;
+}
+
+// Take back a counted request that failed its other checks or was a replay
+// of one already stored. A store that cannot be reached lets requests
+// through rather than taking the service down.
+async function releaseRateLimit(limit) {
+    try {
+        await rateLimitStore.release(limit.bucket);
+    } catch (error) {
+        console.error('Rate limit error:', error);
+    }
+}
+
+// Middleware limiting every request of a route
+function rateLimitMiddleware(route) {
+    return async (req, res, next) => {
+        let limit;
+        try {
+            limit = await checkRateLimit(req, res, route);
+            if (!limit) return;
+        } catch (error) {
+            console.error('Rate limit error:', error);
+            return next();
+        }
+
+        next();
+    };
+}
+
+async function purgeRateLimits() {
+    try {
+        await rateLimitStore.purge();
+    } catch (error) {
+        console.error('Rate limit purge error:', error);
+    }
+}
+
+// =====================================================
+// FRAUD DETECTION
+// Every stored submission is checked against the rules below. A rule
+// that fires flags the submission, and for bursts and repeated answers
+// the earlier submissions involved, for review on the Review page.
+// Confirmed fraud is left out of the dashboard, reports, CSV and IKM,
+// which say how many submissions were left out.
+// =====================================================
+
+const REVIEW_STATUSES = ['clean', 'flagged', 'confirmed', 'dismissed'];
+const REVIEW_DECISIONS = ['confirmed', 'dismissed', 'flagged']; // "flagged" puts a decision back in the queue
+const FRAUD_EXCLUSION = "s.review_status <> 'confirmed'"; // Condition on surveys aliased "s"
+
+// Bursts as "max/minutes", from one IP or from one paired kiosk (shared by its visitors)
+const FRAUD_BURST = parseRateLimit(process.env.FRAUD_BURST, { max: 3, minutes: 10 });
+const FRAUD_KIOSK_BURST = parseRateLimit(process.env.FRAUD_KIOSK_BURST, { max: 4, minutes: 2 });
+// Identical answers this many times in a row; happy kiosk visitors often tap the same faces
+const FRAUD_IDENTICAL_RUN = 3;
+const FRAUD_KIOSK_IDENTICAL_RUN = 5;
+const FRAUD_MIN_ANSWERS = 3; // Shorter surveys repeat too naturally to compare
+const FRAUD_MIN_SECONDS_PER_ANSWER = parseFloat(process.env.FRAUD_MIN_SECONDS_PER_ANSWER) || 1.5;
+const FRAUD_MAX_DURATION = 24 * 60 * 60; // Longer start-to-submit times are a wrong clock
+
+// Fingerprint of a submission's answers ([questionId, value, text, reason] rows)
+function answerHash(answerRows) {
+    const answers = answerRows.map(row => [...row]).sort((a, b) => a[0] - b[0]);
+    return crypto.createHash('sha256').update(JSON.stringify(answers)).digest('hex');
+}
+
+// Seconds from the start time the kiosk or phone sent to when it answered, or null
+function visitDuration(startedAt, answered) {
+    const started = new Date(startedAt);
+    if (!startedAt || isNaN(started.getTime())) return null;
+    const seconds = Math.round((answered - started) / 1000);
+    return seconds >= 0 && seconds <= FRAUD_MAX_DURATION ? seconds : null;
+}
+
+// Submissions from the same source: the paired kiosk, otherwise the IP
+function fraudSource(survey) {
+    return survey.device_id
+        ? { condition: 'device_id = ?', param: survey.device_id }
+        : { condition: 'device_id IS NULL AND ip_address = ?', param: survey.ip_address };
+}
+
+// Each rule returns what it flags for a stored submission: [{ ids, detail }]
+const FRAUD_RULES = {
+    // Many submissions from one source in a short time
+    async burst(survey) {
+        const { max, minutes } = survey.device_id ? FRAUD_KIOSK_BURST : FRAUD_BURST;
+        const source = fraudSource(survey);
+        const [rows] = await pool.query(`
+            SELECT id FROM surveys
+            WHERE ${source.condition} AND created_at BETWEEN DATE_SUB(?, INTERVAL ? MINUTE) AND ?
+        `, [source.param, survey.created_at, minutes, survey.created_at]);
+        return rows.length >= max ? [{ ids: rows.map(r => r.id), detail: { count: rows.length, minutes } }] : [];
+    },
+
+    // The same answers several times in a row from one source
+    async identical(survey) {
+        if (!survey.answer_hash || survey.answer_count < FRAUD_MIN_ANSWERS) return [];
+        const run = survey.device_id ? FRAUD_KIOSK_IDENTICAL_RUN : FRAUD_IDENTICAL_RUN;
+        const source = fraudSource(survey);
+        const [rows] = await pool.query(`
+            SELECT id, answer_hash FROM surveys
+            WHERE ${source.condition} AND questionnaire_id = ? AND id <= ?
+            ORDER BY id DESC
+            LIMIT ?
+        `, [source.param, survey.questionnaire_id, survey.id, run]);
+        return rows.length === run && rows.every(r => r.answer_hash === survey.answer_hash)
+            ? [{ ids: rows.map(r => r.id), detail: { run } }]
+            : [];
+    },
+
+    // Answered faster than the questions can be read
+    async fast(survey) {
+        if (survey.duration_seconds === null) return [];
+        const minimum = Math.ceil(survey.answer_count * FRAUD_MIN_SECONDS_PER_ANSWER);
+        return survey.duration_seconds < minimum
+            ? [{ ids: [survey.id], detail: { seconds: survey.duration_seconds, minimum } }]
+            : [];
+    },
+
+    // Answered on a kiosk outside service hours; phones may answer after the visit
+    async off_hours(survey) {
+        if (survey.channel !== 'kiosk' || openedAt(new Date(survey.created_at))) return [];
+        return [{ ids: [survey.id], detail: { at: new Date(survey.created_at).toISOString() } }];
+    }
+};
+
+// Run the rules on a stored submission and flag what they find.
+// Submissions already reviewed keep their decision.
+async function detectFraud(surveyId) {
+    const [rows] = await pool.query(`
+        SELECT s.id, s.questionnaire_id, s.ip_address, s.device_id, s.channel, s.duration_seconds, s.answer_hash, s.created_at,
+            (SELECT COUNT(*) FROM survey_answers a WHERE a.survey_id = s.id) as answer_count
+        FROM surveys s
+        WHERE s.id = ?
+    `, [surveyId]);
+    if (rows.length === 0) return [];
+    const survey = rows[0];
+
+    const found = [];
+    for (const [rule, check] of Object.entries(FRAUD_RULES)) {
+        (await check(survey)).forEach(({ ids, detail }) => found.push({ rule, ids, detail }));
+    }
+    if (found.length === 0) return found;
+
+    const flags = found.flatMap(f => f.ids.map(id => [id, f.rule, JSON.stringify(f.detail)]));
+    const ids = [...new Set(flags.map(([id]) => id))];
+    await pool.query(
+        'INSERT INTO survey_flags (survey_id, rule, detail_json) VALUES ? ON DUPLICATE KEY UPDATE detail_json = VALUES(detail_json)',
+        [flags]
+    );
+    await pool.query("UPDATE surveys SET review_status = 'flagged' WHERE id IN (?) AND review_status = 'clean'", [ids]);
+
+    console.log('[FRAUD]', JSON.stringify({
+        event: 'SURVEY_FLAGGED',
+        timestamp: new Date().toISOString(),
+        surveyId,
+        rules: found.map(f => f.rule),
+        flagged: ids
+    }));
+    return found;
+}
+
+// Flags of a set of surveys as { surveyId: [{ rule, detail, created_at }] }
+async function getFlagsBySurvey(surveyIds) {
+    if (surveyIds.length === 0) return {};
+    const [rows] = await pool.query(
+        'SELECT survey_id, rule, detail_json, created_at FROM survey_flags WHERE survey_id IN (?) ORDER BY id ASC',
+        [surveyIds]
+    );
+    const flags = {};
+    rows.forEach(row => {
+        (flags[row.survey_id] = flags[row.survey_id] || []).push({
+            rule: row.rule,
+            detail: row.detail_json || {},
+            created_at: row.created_at
+        });
+    });
+    return flags;
+}
+
+// Confirmed fraud a report's conditions (from reportFilters) leave out, for its note
+async function countExcludedFraud(conditions, params) {
+    const excluded = conditions.map(c => c === FRAUD_EXCLUSION ? "s.review_status = 'confirmed'" : c);
+    if (!excluded.includes("s.review_status = 'confirmed'")) return 0;
+    const [rows] = await pool.query(`SELECT COUNT(*) as count FROM surveys s ${whereSql(excluded)}`, params);
+    return parseInt(rows[0].count) || 0;
+}
+
+// =====================================================
+// MEDIA LIBRARY
+// Slideshow images and videos and the rating emojis, uploaded by admins
+// into MEDIA_DIR and served from /media, so kiosks need no internet access.
+// Files are sent as the raw request body; their type is taken from the
+// file's own signature, not from what the browser claims.
+// =====================================================
+
+const MEDIA_KINDS = ['slide', 'emoji'];
+const EMOJI_SLOTS = ['positive', 'neutral', 'negative', 'thanks'];
+
+// Bundled with the kiosk, used until an admin uploads a replacement
+const DEFAULT_EMOJIS = {
+    positive: '/img/emoji/positive.svg',
+    neutral: '/img/emoji/neutral.svg',
+    negative: '/img/emoji/negative.svg',
+    thanks: '/img/emoji/thanks.svg'
+};
+
+// Accepted files by detected MIME type. SVG is left out: it can carry scripts.
+const MEDIA_TYPES = {
+    'image/jpeg': { ext: 'jpg', type: 'image' },
+    'image/png': { ext: 'png', type: 'image' },
+    'image/gif': { ext: 'gif', type: 'image' },
+    'image/webp': { ext: 'webp', type: 'image' },
+    'video/mp4': { ext: 'mp4', type: 'video' },
+    'video/webm': { ext: 'webm', type: 'video' }
+};
+const MEDIA_MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MEDIA_MAX_VIDEO_SIZE = 50 * 1024 * 1024;
+const SLIDE_MAX_DURATION = 300; // Seconds
+
+// ISO media brands browsers play as MP4 (HEIC photos and QuickTime share the container)
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'mmp4'];
+
+// MIME type of an uploaded file from its first bytes, or null
+function detectMediaType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+    if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+    if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+    if (buffer.subarray(4, 8).toString('ascii') === 'ftyp' && MP4_BRANDS.includes(buffer.subarray(8, 12).toString('ascii'))) return 'video/mp4';
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]))) return 'video/webm';
+    return null;
+}
+
+// Media row as returned by the API
+function describeMedia(item) {
+    return {
+        id: item.id,
+        kind: item.kind,
+        slot: item.slot,
+        url: `/media/${item.file_name}`,
+        type: MEDIA_TYPES[item.mime_type] ? MEDIA_TYPES[item.mime_type].type : 'image',
+        mime_type: item.mime_type,
+        original_name: item.original_name,
+        size_bytes: item.size_bytes,
+        caption: item.caption,
+        duration_seconds: item.duration_seconds,
+        sort_order: item.sort_order,
+        is_active: !!item.is_active,
+        created_at: item.created_at
+    };
+}
+
+// Caption, display duration and active state sent by the media page: { details } or { error }
+function buildMediaDetails(input) {
+    const details = {};
+    if (input.caption !== undefined) {
+        const caption = String(input.caption || '').trim();
+        if (caption.length > 200) return { error: 'Caption is too long (max 200 characters)' };
+        details.caption = caption || null;
+    }
+    if (input.duration_seconds !== undefined) {
+        if (input.duration_seconds === null || input.duration_seconds === '') {
+            details.duration_seconds = null; // Slideshow interval, or the video's own length
+        } else {
+            const duration = Number(input.duration_seconds);
+            if (!Number.isInteger(duration) || duration < 1 || duration > SLIDE_MAX_DURATION) {
+                return { error: `duration_seconds must be a whole number from 1 to ${SLIDE_MAX_DURATION}` };
+            }
+            details.duration_seconds = duration;
+        }
+    }
+    if (input.is_active !== undefined) {
+        details.is_active = input.is_active ? 1 : 0;
+    }
+    return { details };
+}
+
+// Active slides in order and the emoji of every slot, for the kiosk
+async function getKioskMedia() {
+    const [rows] = await pool.query(`
+        SELECT * FROM media
+        WHERE (kind = 'slide' AND is_active = 1) OR kind = 'emoji'
+        ORDER BY sort_order ASC, id ASC
+    `);
+
+    const emojis = { ...DEFAULT_EMOJIS };
+    rows.filter(item => item.kind === 'emoji').forEach(item => { emojis[item.slot] = `/media/${item.file_name}`; });
+
+    return {
+        slides: rows.filter(item => item.kind === 'slide').map(item => {
+            const media = describeMedia(item);
+            return { id: media.id, url: media.url, type: media.type, caption: media.caption, duration: media.duration_seconds };
+        }),
+        emojis
+    };
+}
+
+// Remove a stored file; a file that is already gone is fine
+async function removeMediaFile(fileName) {
+    try {
+        await fs.promises.unlink(path.join(MEDIA_DIR, fileName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Media file not removed:', fileName, error.message);
+    }
+}
+
+// Read the raw upload; errors (size limit) are answered as JSON
+const readMediaUpload = express.raw({ type: () => true, limit: MEDIA_MAX_VIDEO_SIZE });
+
+function mediaUploadMiddleware(req, res, next) {
+    readMediaUpload(req, res, (error) => {
+        if (error) {
+            const tooLarge = error.type === 'entity.too.large';
+            return res.status(tooLarge ? 413 : 400).json({ success: false, error: tooLarge ? 'File is too large' : 'Invalid upload' });
+        }
+        next();
+    });
+}
+
+// =====================================================
+// QUEUE TICKETS
+// Visitors rate with the ticket number of the queue management system
+// (QMS). A queue adapter looks the ticket up: it must have been issued
+// on the day of the visit and already been served. Each ticket can be
+// rated once. QUEUE_ADAPTER picks the adapter: rest (the QMS API), mock
+// (local stand-in for development) or none (format and one rating per
+// ticket only, the default).
+// =====================================================
+
+const QUEUE_TICKET_PATTERN = /^(?:[A-Z]-)?\d{1,9}$/; // As typed on the kiosk keypad: A-123 or 123
+
+// Why a ticket cannot be rated; the kiosk shows its own text per reason
+const QUEUE_TICKET_ERRORS = {
+    invalid: 'Invalid queue ticket',
+    not_found: 'Queue ticket not found',
+    not_today: 'Queue ticket was not issued today',
+    not_served: 'Queue ticket has not been served yet',
+    already_rated: 'Queue ticket has already been rated'
+};
+
+// An adapter's lookup(ticket, date) resolves to null for an unknown ticket,
+// or to { issued_at, served_at, counter, officer } (served_at null while
+// the visitor is still waiting). It rejects when the QMS cannot be reached.
+
+// QMS REST API. QUEUE_API_URL contains {ticket} and optionally {date}
+// (YYYY-MM-DD), e.g. https://qms.local/api/tickets/{ticket}?date={date}.
+// 404 means unknown ticket; the ticket may be wrapped in { data }.
+function createRestQueueAdapter({ url, token, timeout }) {
+    if (!url || !url.includes('{ticket}')) {
+        throw new Error('QUEUE_API_URL with a {ticket} placeholder is required for QUEUE_ADAPTER=rest');
+    }
+
+    return {
+        name: 'rest',
+        async lookup(ticket, date) {
+            const headers = { Accept: 'application/json' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+
+            const response = await fetch(
+                url.replace('{ticket}', encodeURIComponent(ticket)).replace('{date}', date),
+                { headers, signal: AbortSignal.timeout(timeout) }
+            );
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`Queue API responded with ${response.status}`);
+
+            const body = await response.json();
+            const found = body && typeof body.data === 'object' ? body.data : body;
+            if (!found || typeof found !== 'object') return null;
+
+            return {
+                issued_at: found.issued_at || null,
+                served_at: found.served_at || null,
+                counter: found.counter != null ? String(found.counter) : null,
+                officer: found.officer != null ? String(found.officer) : null
+            };
+        }
+    };
+}
+
+// Local stand-in for a QMS: every well-formed ticket was issued today and
+// served at "Loket <letter>", except numbers from 900 up, which are still
+// waiting (to try out the kiosk's messages)
+function createMockQueueAdapter() {
+    return {
+        name: 'mock',
+        async lookup(ticket, date) {
+            const [, letter, number] = ticket.match(/^(?:([A-Z])-)?(\d+)$/) || [];
+            if (!number) return null;
+
+            const unit = letter || '1';
+            return {
+                issued_at: `${date}T08:00:00`,
+                served_at: parseInt(number, 10) >= 900 ? null : `${date}T08:15:00`,
+                counter: `Loket ${unit}`,
+                officer: `Petugas ${unit}`
+            };
+        }
+    };
+}
+
+const QUEUE_ADAPTERS = {
+    none: () => ({ name: 'none', lookup: null }),
+    rest: createRestQueueAdapter,
+    mock: createMockQueueAdapter
+};
+
+function createQueueAdapter(name) {
+    const factory = QUEUE_ADAPTERS[name];
+    if (!factory) {
+        throw new Error(`Unknown QUEUE_ADAPTER "${name}" (use ${Object.keys(QUEUE_ADAPTERS).join(', ')})`);
+    }
+    return factory({
+        url: process.env.QUEUE_API_URL,
+        token: process.env.QUEUE_API_TOKEN,
+        timeout: parseInt(process.env.QUEUE_API_TIMEOUT_MS) || 3000
+    });
+}
+
+const queueAdapter = createQueueAdapter(process.env.QUEUE_ADAPTER || 'none');
+
+// YYYY-MM-DD of a time in the server timezone (TZ)
+function localDate(time) {
+    return [
+        time.getFullYear(),
+        String(time.getMonth() + 1).padStart(2, '0'),
+        String(time.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+// Check the ticket of a visit made at visitedAt:
+// { ticket: { number, key, verified, counter, officer } } or { reason }
+// (a key of QUEUE_TICKET_ERRORS). key makes the ticket unique
+// (surveys.queue_ticket_key). When the QMS cannot be reached the ticket
+// is accepted unverified, so an outage does not stop the survey.
+async function checkQueueTicket(queueId, visitedAt) {
+    const number = String(queueId || '').trim().toUpperCase();
+    if (!QUEUE_TICKET_PATTERN.test(number)) return { reason: 'invalid' };
+
+    const date = localDate(visitedAt);
+    const ticket = { number, key: `${date}:${number}`, verified: null, counter: null, officer: null };
+
+    if (queueAdapter.lookup) {
+        try {
+            const found = await queueAdapter.lookup(number, date);
+            if (!found) return { reason: 'not_found' };
+
+            const issuedAt = found.issued_at ? new Date(found.issued_at) : null;
+            if (!issuedAt || isNaN(issuedAt) || localDate(issuedAt) !== date) return { reason: 'not_today' };
+            if (!found.served_at) return { reason: 'not_served' };
+
+            ticket.verified = true;
+            ticket.counter = found.counter ? found.counter.substring(0, 50) : null;
+            ticket.officer = found.officer ? found.officer.substring(0, 100) : null;
+        } catch (error) {
+            console.warn('[QUEUE] Ticket lookup failed, accepted unverified:', {
+                ticket: number,
+                adapter: queueAdapter.name,
+                error: error.message
+            });
+        }
+    }
+
+    const [rated] = await pool.query('SELECT id FROM surveys WHERE queue_ticket_key = ?', [ticket.key]);
+    if (rated.length > 0) return { reason: 'already_rated' };
+
+    return { ticket };
+}
+
+// =====================================================
+// SERVICE COUNTERS AND STAFF
+// Directory of counters (loket) and officers kept on the Petugas page.
+// Each submission is attributed to a counter and an officer: from the
+// queue ticket when the QMS reports them, else as picked by the visitor
+// on the kiosk, else from the officer's usual counter or the kiosk's.
+// Ratings per counter and officer are shown to supervisors only.
+// =====================================================
+
+// Name, QMS code and active state sent by the counter form: { counter } or { error }
+function buildCounter(input) {
+    const name = String(input.name || '').trim();
+    if (!name) return { error: 'Counter name is required' };
+    if (name.length > 50) return { error: 'Counter name is too long' };
+
+    return {
+        counter: {
+            name,
+            qms_code: String(input.qms_code || '').trim().substring(0, 50) || null,
+            is_active: input.is_active === false ? 0 : 1
+        }
+    };
+}
+
+// Officer sent by the staff form: { staff } or { error }. counter_id is checked by the caller.
+function buildStaff(input) {
+    const name = String(input.name || '').trim();
+    if (!name) return { error: 'Officer name is required' };
+    if (name.length > 100) return { error: 'Officer name is too long' };
+
+    const counterId = input.counter_id ? parseInt(input.counter_id) : null;
+    if (input.counter_id && !counterId) return { error: 'Invalid counter' };
+
+    return {
+        staff: {
+            name,
+            employee_number: String(input.employee_number || '').trim().substring(0, 30) || null,
+            qms_code: String(input.qms_code || '').trim().substring(0, 100) || null,
+            counter_id: counterId,
+            is_active: input.is_active === false ? 0 : 1
+        }
+    };
+}
+
+// Active directory entry whose name or QMS code is the given text (the
+// table collation compares case-insensitively), or null
+async function findDirectoryEntry(table, text) {
+    if (!text) return null;
+    const [rows] = await pool.query(
+        `SELECT * FROM ${table} WHERE is_active = 1 AND (name = ? OR qms_code = ?) ORDER BY id LIMIT 1`,
+        [text, text]
+    );
+    return rows[0] || null;
+}
+
+// Counter and officer of a submission: { counterId, staffId, source }.
+// ticket is checkQueueTicket()'s, device resolveDevice()'s, choice the
+// { counterId, staffId } picked on the kiosk (ignored unless active).
+async function resolveServedBy({ ticket = null, device = null, choice = {} }) {
+    let counter = null;
+    let officer = null;
+    let source = null;
+
+    if (ticket && (ticket.counter || ticket.officer)) {
+        counter = await findDirectoryEntry('service_counters', ticket.counter);
+        officer = await findDirectoryEntry('staff', ticket.officer);
+        if (counter || officer) source = 'queue';
+    }
+
+    if (!source) {
+        const staffId = parseInt(choice.staffId);
+        const counterId = parseInt(choice.counterId);
+        if (staffId) {
+            const [rows] = await pool.query('SELECT * FROM staff WHERE id = ? AND is_active = 1', [staffId]);
+            officer = rows[0] || null;
+        }
+        if (counterId) {
+            const [rows] = await pool.query('SELECT * FROM service_counters WHERE id = ? AND is_active = 1', [counterId]);
+            counter = rows[0] || null;
+        }
+        if (counter || officer) source = 'kiosk';
+    }
+
+    if (!counter && officer && officer.counter_id) {
+        const [rows] = await pool.query('SELECT * FROM service_counters WHERE id = ? AND is_active = 1', [officer.counter_id]);
+        counter = rows[0] || null;
+    }
+
+    if (!counter && device && device.service_counter) {
+        counter = await findDirectoryEntry('service_counters', device.service_counter);
+        if (counter && !source) source = 'device';
+    }
+
+    return { counterId: counter ? counter.id : null, staffId: officer ? officer.id : null, source };
+}
+
+// Submissions, satisfaction and IKM per counter or per officer ("by")
+// over the surveys matched by whereClause (on surveys aliased "s").
+// Satisfied = top rating on the overall question. Submissions without
+// a counter or officer are counted in one row with id null.
+async function getServedByBreakdown(by, whereClause, params, overallQuestionId) {
+    const column = by === 'staff' ? 's.staff_id' : 's.counter_id';
+    const table = by === 'staff' ? 'staff' : 'service_counters';
+
+    const [rows] = await pool.query(`
+        SELECT ${column} as id, t.name, COUNT(*) as total,
+            SUM(CASE WHEN a.answer_value IS NOT NULL THEN 1 ELSE 0 END) as rated,
+            SUM(CASE WHEN a.answer_value = 'sangat_baik' THEN 1 ELSE 0 END) as satisfied
+        FROM surveys s
+        LEFT JOIN ${table} t ON t.id = ${column}
+        LEFT JOIN survey_answers a ON a.survey_id = s.id AND a.question_id = ?
+        ${whereClause}
+        GROUP BY ${column}, t.name
+        ORDER BY total DESC
+    `, [overallQuestionId || 0, ...params]);
+
+    const ikmBy = await getIkmBy(column, whereClause, params);
+
+    const breakdown = [];
+    for (const row of rows) {
+        const rated = parseInt(row.rated) || 0;
+        const satisfied = parseInt(row.satisfied) || 0;
+        const ikm = row.id ? ikmBy[row.id] : null;
+
+        breakdown.push({
+            id: row.id,
+            name: row.id ? row.name : null,
+            total: parseInt(row.total) || 0,
+            satisfied,
+            satisfaction: rated > 0 ? Math.round((satisfied / rated) * 100) : null,
+            ikm: ikm ? { value: ikm.value, grade: ikm.grade, respondents: ikm.respondents } : null
+        });
+    }
+    return breakdown;
+}
+
+// =====================================================
+// MOBILE SURVEY
+// Visitors who leave before reaching the kiosk rate on their own phone.
+// A QR code, printed on the queue ticket or shown at the counter, links
+// to /m/<token>. Each token is bound to one ticket number, works once and
+// expires after MOBILE_TOKEN_TTL_MINUTES; it stands in for the kiosk's
+// same-origin and session cookie checks.
+// =====================================================
+
+// Where a submission was answered
+const CHANNELS = ['kiosk', 'mobile'];
+const CHANNEL_LABELS = { kiosk: 'Kiosk', mobile: 'Mobile (QR)' };
+
+const MOBILE_TOKEN_TTL = (parseInt(process.env.MOBILE_TOKEN_TTL_MINUTES) || 480) * 60 * 1000;
+const MOBILE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{22}$/; // 16 random bytes, base64url
+
+// Lets the queue system issue codes for the tickets it prints (X-Issuer-Key).
+// Unset, only logged-in admins can issue codes.
+const MOBILE_ISSUER_KEY = process.env.MOBILE_ISSUER_KEY || '';
+
+// Why a link cannot be used (any more), shown on the visitor's phone
+const MOBILE_TOKEN_ERRORS = {
+    not_found: 'Link survey tidak valid.',
+    used: 'Survey dari link ini sudah diisi. Terima kasih!',
+    expired: 'Link survey sudah kedaluwarsa.'
+};
+
+// Start of the links in the codes: MOBILE_BASE_URL, or the address the request came to
+function mobileBaseUrl(req) {
+    return (process.env.MOBILE_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Admins (login token) or the queue system (X-Issuer-Key) issue the codes
+function mobileIssuerMiddleware(req, res, next) {
+    const key = req.headers['x-issuer-key'];
+    if (!key) return authMiddleware(req, res, next);
+
+    // Hashes have the same length, so they can be compared in constant time
+    const valid = MOBILE_ISSUER_KEY &&
+        crypto.timingSafeEqual(Buffer.from(hashToken(key)), Buffer.from(hashToken(MOBILE_ISSUER_KEY)));
+    if (!valid) {
+        console.log('[SECURITY] Invalid issuer key:', { ip: getClientIp(req) });
+        return res.status(401).json({ success: false, error: 'Invalid issuer key' });
+    }
+
+    req.user = { username: 'queue-system' };
+    next();
+}
+
+// 'active', 'used' or 'expired'
+function mobileTokenStatus(row) {
+    if (row.used_at) return 'used';
+    return new Date(row.expires_at) <= new Date() ? 'expired' : 'active';
+}
+
+// Stored row of a link's token, or null for an unknown token
+async function findMobileToken(token) {
+    if (!MOBILE_TOKEN_PATTERN.test(String(token))) return null;
+
+    const [rows] = await pool.query('SELECT * FROM mobile_tokens WHERE token_hash = ?', [hashToken(token)]);
+    return rows[0] || null;
+}
+
+// Session of a mobile link (X-Mobile-Token), checked instead of the kiosk session.
+// Returns { type: 'mobile_session', tokenId, queueId, questionnaireId, issuedAt },
+// or null after sending the error response.
+async function checkMobileSession(req, res) {
+    try {
+        const row = await findMobileToken(req.headers['x-mobile-token']);
+        const status = row ? mobileTokenStatus(row) : 'not_found';
+        // A phone that lost the response to its submission retries with the same
+        // idempotency key: answer it like any other duplicate, not "link already used"
+        if (status === 'used' && row.survey_id && req.body && req.body.idempotencyKey) {
+            const [surveys] = await pool.query('SELECT id FROM surveys WHERE id = ? AND idempotency_key = ?',
+                [row.survey_id, String(req.body.idempotencyKey)]);
+            if (surveys.length > 0) {
+                console.log('[SURVEY] Duplicate submission ignored:', { idempotencyKey: req.body.idempotencyKey, surveyId: surveys[0].id, ip: getClientIp(req) });
+                res.status(409).json({ success: false, error: 'Duplicate submission', id: surveys[0].id });
+                return null;
+            }
+        }
+        if (status !== 'active') {
+            console.log('[SESSION] Mobile link rejected:', { status, ip: getClientIp(req) });
+            res.status(row ? 410 : 404).json({ success: false, error: MOBILE_TOKEN_ERRORS[status], reason: status });
+            return null;
+        }
+
+        return {
+            type: 'mobile_session',
+            tokenId: row.id,
+            queueId: row.queue_id,
+            questionnaireId: row.questionnaire_id,
+            issuedAt: new Date(row.created_at)
+        };
+    } catch (error) {
+        console.error('Mobile session error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+        return null;
+    }
+}
+
+// Active survey (questionnaire) a mobile link was issued for, or null
+async function getMobileQuestionnaire(questionnaireId) {
+    const [rows] = await pool.query('SELECT * FROM questionnaires WHERE id = ? AND is_active = 1', [questionnaireId]);
+    return rows[0] || null;
+}
+
+// =====================================================
+// QUESTIONNAIRE TEMPLATES
+// A survey's questions as a portable JSON file, exported from one
+// installation and imported into another (or the same) one.
+// =====================================================
+
+const TEMPLATE_FORMAT = 'bit-survey-questionnaire';
+const TEMPLATE_FORMAT_VERSION = 1;
+
+// Fields compared to tell whether an imported question changes anything
+const TEMPLATE_FIELDS = ['question_text', 'question_subtitle', 'option_positive', 'option_neutral', 'option_negative',
+    'options', 'followup', 'translations', 'ikm_element', 'display_order', 'is_active'];
+
+// Export all questions of a survey (active and inactive, not archived) in kiosk order
+async function exportTemplate(questionnaire) {
+    const [questions] = await pool.query(
+        'SELECT * FROM questions WHERE questionnaire_id = ? AND archived_at IS NULL ORDER BY display_order ASC',
+        [questionnaire.id]
+    );
+
+    return {
+        format: TEMPLATE_FORMAT,
+        format_version: TEMPLATE_FORMAT_VERSION,
+        exported_at: new Date().toISOString(),
+        questionnaire_version: await getCurrentVersionId(questionnaire.id),
+        survey: { slug: questionnaire.slug, name: questionnaire.name, description: questionnaire.description },
+        questions: questions.map(q => ({
+            question_key: q.question_key,
+            question_type: q.question_type,
+            question_text: q.question_text,
+            question_subtitle: q.question_subtitle,
+            option_positive: q.option_positive,
+            option_neutral: q.option_neutral,
+            option_negative: q.option_negative,
+            options: getChoiceOptions(q),
+            followup: getFollowup(q),
+            translations: getTranslations(q),
+            ikm_element: q.ikm_element,
+            is_active: !!q.is_active
+        }))
+    };
+}
+
+// Validate a list of { value, label } items (choice options, follow-up reasons)
+function parseTemplateItems(items, label, errors) {
+    if (!Array.isArray(items)) {
+        errors.push(`${label} must be a list`);
+        return [];
+    }
+
+    const values = new Set();
+    return items.map((item, index) => {
+        const value = String((item && item.value) || '').trim();
+        const text = String((item && item.label) || '').trim();
+        if (!/^[A-Za-z0-9_-]{1,50}$/.test(value)) {
+            errors.push(`${label} ${index + 1}: invalid value "${value}"`);
+        } else if (values.has(value)) {
+            errors.push(`${label} ${index + 1}: duplicate value "${value}"`);
+        }
+        if (!text) errors.push(`${label} ${index + 1}: label is required`);
+        values.add(value);
+        return { value, label: text };
+    });
+}
+
+// Check an uploaded template and normalize its questions.
+// Returns { questions } or { errors: [messages] }.
+function parseTemplate(template) {
+    if (!template || typeof template !== 'object' || template.format !== TEMPLATE_FORMAT) {
+        return { errors: ['Not a questionnaire template file'] };
+    }
+    if (!Number.isInteger(template.format_version) || template.format_version > TEMPLATE_FORMAT_VERSION) {
+        return { errors: [`Unsupported template version ${template.format_version}`] };
+    }
+    if (!Array.isArray(template.questions) || template.questions.length === 0) {
+        return { errors: ['Template has no questions'] };
+    }
+
+    const errors = [];
+    const keys = new Set();
+
+    const questions = template.questions.map((q, index) => {
+        const label = `Question ${index + 1}`;
+        if (!q || typeof q !== 'object') {
+            errors.push(`${label}: invalid question`);
+            return null;
+        }
+
+        const type = q.question_type || 'rating';
+        if (!QUESTION_TYPES.includes(type)) {
+            errors.push(`${label}: invalid question type "${type}"`);
+            return null;
+        }
+
+        const key = String(q.question_key || '').trim() || null;
+        if (key && !/^q\d{1,6}$/.test(key)) errors.push(`${label}: invalid question key "${key}"`);
+        if (key && keys.has(key)) errors.push(`${label}: duplicate question key "${key}"`);
+        keys.add(key);
+
+        const text = String(q.question_text || '').trim();
+        if (!text) errors.push(`${label}: question text is required`);
+        if (text.length > 500) errors.push(`${label}: question text is longer than 500 characters`);
+
+        const options = type === 'choice' ? parseTemplateItems(q.options, `${label} option`, errors) : [];
+        if (type === 'choice' && options.length < 2) errors.push(`${label}: choice questions need at least 2 options`);
+
+        let followup = null;
+        if (q.followup) {
+            if (!FOLLOWUP_TYPES.includes(type)) {
+                errors.push(`${label}: follow-up questions are only available for rating, likert5 and nps questions`);
+            } else {
+                const reasons = parseTemplateItems(q.followup.reasons, `${label} reason`, errors);
+                if (reasons.length === 0) errors.push(`${label}: follow-up questions need at least 1 reason`);
+                followup = { question_text: String(q.followup.question_text || '').trim() || FOLLOWUP_DEFAULT_TEXT, reasons };
+            }
+        }
+
+        // Translations are exported as stored, with option and reason labels by value;
+        // they are cleaned like the editor's, which lists the labels in option order
+        const input = {};
+        if (q.translations && typeof q.translations === 'object') {
+            const labels = (items, map) => items.map(item => (map && typeof map === 'object' ? map[item.value] : null));
+            Object.entries(q.translations).forEach(([language, entry]) => {
+                if (!entry || typeof entry !== 'object') return;
+                input[language] = {
+                    ...entry,
+                    options: labels(options, entry.options),
+                    followup: entry.followup && followup
+                        ? { question_text: entry.followup.question_text, reasons: labels(followup.reasons, entry.followup.reasons) }
+                        : null
+                };
+            });
+        }
+        const translations = buildTranslations(input, options, followup) || {};
+
+        const ikmRule = buildIkmElement(type, q.ikm_element);
+        if (ikmRule.error) errors.push(`${label}: ${ikmRule.error}`);
+
+        const defaults = QUESTION_TYPE_DEFAULTS[type];
+        // Missing fields get the type defaults; null stays null
+        const field = (name, fallback) => {
+            if (q[name] === undefined) return fallback;
+            return q[name] === null ? null : String(q[name]).trim();
+        };
+
+        return {
+            question_key: key,
+            question_type: type,
+            question_text: text,
+            question_subtitle: field('question_subtitle', defaults.subtitle),
+            option_positive: field('option_positive', defaults.positive),
+            option_neutral: field('option_neutral', defaults.neutral),
+            option_negative: field('option_negative', defaults.negative),
+            options,
+            followup,
+            translations,
+            ikm_element: ikmRule.element || null,
+            display_order: index + 1,
+            is_active: q.is_active !== false
+        };
+    });
+
+    return errors.length > 0 ? { errors } : { questions };
+}
+
+// JSON with object keys sorted; MySQL returns JSON columns with its own key order
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Compare template questions with a survey's current questions.
+// Questions are matched on key and type; unmatched template questions are
+// added, and current questions missing from the template are deactivated
+// (never deleted, so their answers stay in the reports).
+async function planTemplateImport(conn, questionnaireId, templateQuestions) {
+    const [current] = await conn.query(
+        'SELECT * FROM questions WHERE questionnaire_id = ? AND archived_at IS NULL ORDER BY display_order ASC',
+        [questionnaireId]
+    );
+
+    const plan = { add: [], update: [], unchanged: [], deactivate: [] };
+    const matched = new Set();
+
+    templateQuestions.forEach(tq => {
+        const match = current.find(q => !matched.has(q.id) &&
+            q.question_key === tq.question_key && q.question_type === tq.question_type);
+        if (!match) {
+            plan.add.push(tq);
+            return;
+        }
+
+        matched.add(match.id);
+        const existing = {
+            ...match,
+            options: getChoiceOptions(match),
+            followup: getFollowup(match),
+            translations: getTranslations(match),
+            is_active: !!match.is_active
+        };
+        const changed = TEMPLATE_FIELDS.some(field => stableStringify(existing[field]) !== stableStringify(tq[field]));
+        (changed ? plan.update : plan.unchanged).push({ ...tq, id: match.id });
+    });
+
+    current
+        .filter(q => !matched.has(q.id) && q.is_active)
+        .forEach(q => plan.deactivate.push({ id: q.id, question_key: q.question_key, question_type: q.question_type, question_text: q.question_text }));
+
+    return plan;
+}
+
+// Write an import plan; runs inside the caller's transaction
+async function applyTemplateImport(conn, questionnaireId, plan) {
+    const jsonOrNull = value => (value && Object.keys(value).length > 0 ? JSON.stringify(value) : null);
+
+    for (const q of plan.update) {
+        await conn.query(`
+            UPDATE questions SET
+                question_text = ?, question_subtitle = ?,
+                option_positive = ?, option_neutral = ?, option_negative = ?,
+                options_json = ?, followup_json = ?, translations_json = ?, ikm_element = ?,
+                display_order = ?, is_active = ?
+            WHERE id = ?
+        `, [q.question_text, q.question_subtitle, q.option_positive, q.option_neutral, q.option_negative,
+            jsonOrNull(q.options), jsonOrNull(q.followup), jsonOrNull(q.translations), q.ikm_element,
+            q.display_order, q.is_active ? 1 : 0, q.id]);
+    }
+
+    for (const q of plan.unchanged) {
+        await conn.query('UPDATE questions SET display_order = ? WHERE id = ?', [q.display_order, q.id]);
+    }
+
+    if (plan.deactivate.length > 0) {
+        await conn.query('UPDATE questions SET is_active = 0 WHERE id IN (?)', [plan.deactivate.map(q => q.id)]);
+    }
+
+    // Question keys are unique across surveys; keys already taken get the next free one
+    const [maxKey] = await conn.query('SELECT MAX(CAST(SUBSTRING(question_key, 2) AS UNSIGNED)) as max_num FROM questions');
+    let nextNum = maxKey[0].max_num || 0;
+
+    for (const q of plan.add) {
+        let questionKey = q.question_key;
+        if (questionKey) {
+            const [taken] = await conn.query('SELECT id FROM questions WHERE question_key = ?', [questionKey]);
+            if (taken.length > 0) questionKey = null;
+        }
+        if (!questionKey) {
+            nextNum++;
+            questionKey = `q${nextNum}`;
+        } else {
+            nextNum = Math.max(nextNum, parseInt(questionKey.substring(1)));
+        }
+
+        await conn.query(`
+            INSERT INTO questions (questionnaire_id, question_key, question_type, question_text, question_subtitle,
+                option_positive, option_neutral, option_negative, options_json, followup_json, translations_json,
+                ikm_element, display_order, is_active)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [questionnaireId, questionKey, q.question_type, q.question_text, q.question_subtitle,
+            q.option_positive, q.option_neutral, q.option_negative,
+            jsonOrNull(q.options), jsonOrNull(q.followup), jsonOrNull(q.translations), q.ikm_element,
+            q.display_order, q.is_active ? 1 : 0]);
+    }
+}
+
+// Short description of a plan for the preview screen
+function summarizeTemplatePlan(plan) {
+    const brief = q => ({ question_key: q.question_key, question_type: q.question_type, question_text: q.question_text });
+    return {
+        added: plan.add.map(brief),
+        updated: plan.update.map(brief),
+        deactivated: plan.deactivate.map(brief),
+        unchanged: plan.unchanged.length
+    };
+}
+
+// =====================================================
+// QUESTIONNAIRE LIBRARY
+// Built-in templates, in the template file format, that admins can
+// preview and apply to a survey. Applying archives the survey's current
+// questions and adds the template's questions with new keys.
+// =====================================================
+
+const QUESTIONNAIRE_LIBRARY = [
+    {
+        id: 'standar',
+        name: 'Survey Kepuasan Layanan (standar)',
+        description: 'Empat pertanyaan bawaan aplikasi: kecepatan, keramahan, kejelasan informasi, dan fasilitas.',
+        questions: [
+            { question_text: 'Bagaimana kecepatan pelayanan kami?', option_positive: 'SANGAT CEPAT', option_neutral: 'CUKUP CEPAT', option_negative: 'KURANG CEPAT', ikm_element: 'U3' },
+            { question_text: 'Bagaimana keramahan petugas kami?', option_positive: 'SANGAT RAMAH', option_neutral: 'CUKUP RAMAH', option_negative: 'KURANG RAMAH', ikm_element: 'U7' },
+            { question_text: 'Bagaimana kejelasan informasi yang diberikan?', option_positive: 'SANGAT JELAS', option_neutral: 'CUKUP JELAS', option_negative: 'KURANG JELAS', ikm_element: 'U2' },
+            { question_text: 'Bagaimana kondisi fasilitas kami?', option_positive: 'SANGAT BAIK', option_neutral: 'CUKUP BAIK', option_negative: 'KURANG BAIK', ikm_element: 'U9' }
+        ]
+    },
+    {
+        id: 'skm-9-unsur',
+        name: 'Survey Kepuasan Masyarakat (9 unsur SKM)',
+        description: 'Sembilan unsur pelayanan PermenPAN-RB No. 14 Tahun 2017, masing-masing dipetakan ke unsur IKM, ditambah kolom saran.',
+        questions: [
+            { question_text: 'Bagaimana kesesuaian persyaratan pelayanan dengan jenis pelayanannya?', option_positive: 'SANGAT SESUAI', option_neutral: 'CUKUP SESUAI', option_negative: 'KURANG SESUAI', ikm_element: 'U1' },
+            { question_text: 'Bagaimana kemudahan prosedur pelayanan di unit ini?', option_positive: 'SANGAT MUDAH', option_neutral: 'CUKUP MUDAH', option_negative: 'KURANG MUDAH', ikm_element: 'U2' },
+            { question_text: 'Bagaimana kecepatan waktu dalam memberikan pelayanan?', option_positive: 'SANGAT CEPAT', option_neutral: 'CUKUP CEPAT', option_negative: 'KURANG CEPAT', ikm_element: 'U3' },
+            { question_text: 'Bagaimana kewajaran biaya/tarif dalam pelayanan?', question_subtitle: 'Pilih SANGAT WAJAR jika layanan tidak dipungut biaya', option_positive: 'SANGAT WAJAR', option_neutral: 'CUKUP WAJAR', option_negative: 'KURANG WAJAR', ikm_element: 'U4' },
+            { question_text: 'Bagaimana kesesuaian hasil pelayanan dengan yang tercantum dalam standar pelayanan?', option_positive: 'SANGAT SESUAI', option_neutral: 'CUKUP SESUAI', option_negative: 'KURANG SESUAI', ikm_element: 'U5' },
+            { question_text: 'Bagaimana kompetensi/kemampuan petugas dalam pelayanan?', option_positive: 'SANGAT KOMPETEN', option_neutral: 'CUKUP KOMPETEN', option_negative: 'KURANG KOMPETEN', ikm_element: 'U6' },
+            { question_text: 'Bagaimana kesopanan dan keramahan petugas dalam memberikan pelayanan?', option_positive: 'SANGAT SOPAN', option_neutral: 'CUKUP SOPAN', option_negative: 'KURANG SOPAN', ikm_element: 'U7' },
+            { question_text: 'Bagaimana penanganan pengaduan, saran, dan masukan di unit ini?', option_positive: 'SANGAT BAIK', option_neutral: 'CUKUP BAIK', option_negative: 'KURANG BAIK', ikm_element: 'U8' },
+            { question_text: 'Bagaimana kualitas sarana dan prasarana pelayanan?', option_positive: 'SANGAT BAIK', option_neutral: 'CUKUP BAIK', option_negative: 'KURANG BAIK', ikm_element: 'U9' },
+            { question_type: 'comment', question_text: 'Apa saran Anda untuk perbaikan pelayanan kami?' }
+        ]
+    },
+    {
+        id: 'umpan-balik-singkat',
+        name: 'Umpan Balik Singkat',
+        description: 'Satu penilaian kepuasan keseluruhan, skor rekomendasi (NPS), dan komentar bebas.',
+        questions: [
+            { question_text: 'Secara keseluruhan, bagaimana kepuasan Anda terhadap pelayanan kami?', option_positive: 'SANGAT PUAS', option_neutral: 'CUKUP PUAS', option_negative: 'KURANG PUAS' },
+            { question_type: 'nps', question_text: 'Seberapa mungkin Anda merekomendasikan layanan kami kepada rekan atau kerabat?' },
+            { question_type: 'comment', question_text: 'Apa yang bisa kami tingkatkan?' }
+        ]
+    }
+];
+
+// Questions of a library template, normalized like an uploaded template file; null if unknown
+function getLibraryTemplate(id) {
+    const entry = QUESTIONNAIRE_LIBRARY.find(t => t.id === id);
+    if (!entry) return null;
+
+    const parsed = parseTemplate({ format: TEMPLATE_FORMAT, format_version: TEMPLATE_FORMAT_VERSION, questions: entry.questions });
+    if (parsed.errors) {
+        throw new Error(`Library template ${id} is invalid: ${parsed.errors.join('; ')}`);
+    }
+    return { id: entry.id, name: entry.name, description: entry.description, questions: parsed.questions };
+}
+
+// Archive a survey's questions and add the template's; runs inside the caller's transaction
+async function applyLibraryTemplate(conn, questionnaireId, template) {
+    const [archived] = await conn.query(
+        'UPDATE questions SET archived_at = NOW() WHERE questionnaire_id = ? AND archived_at IS NULL',
+        [questionnaireId]
+    );
+
+    // Template questions carry no keys, so every one gets the next free key
+    await applyTemplateImport(conn, questionnaireId, { add: template.questions, update: [], unchanged: [], deactivate: [] });
+
+    return { archived: archived.affectedRows, added: template.questions.length };
+}
+
+// =====================================================
+// HEALTH CHECK
+// =====================================================
+app.get('/health', async (req, res) => {
+    try {
+        await pool.query('SELECT 1');
+        res.status(200).json({
+            status: 'healthy',
+            database: 'connected',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(503).json({
+            status: 'unhealthy',
+            database: 'disconnected',
+            error: error.message
+        });
+    }
+});
+
+// =====================================================
+// SURVEY ENDPOINTS (Protected with Session Token)
+// =====================================================
+
+// Get session token for survey (called when user starts survey)
+// Sets HttpOnly cookie - token is NOT visible to JavaScript, preventing theft
+app.get('/api/session', (req, res) => {
+    const ipAddress = getClientIp(req);
+
+    const token = jwt.sign(
+        {
+            type: 'survey_session',
+            ip: ipAddress,
+            createdAt: new Date().toISOString()
+        },
+        JWT_SECRET,
+        { expiresIn: '10m' }
+    );
+
+    // Set HttpOnly cookie - secure, not accessible via JS
+    res.cookie('survey_session', token, {
+        httpOnly: true,         // Not accessible via JavaScript
+        secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+        sameSite: 'strict',     // Prevent CSRF
+        maxAge: 10 * 60 * 1000  // 10 minutes
+    });
+
+    console.log('[SESSION] New survey session created:', {
+        ip: ipAddress,
+        timestamp: new Date().toISOString()
+    });
+
+    res.json({
+        success: true,
+        message: 'Session started',
+        expiresIn: '10 minutes'
+    });
+});
+
+// Kiosks queue submissions while the server is unreachable and replay them later,
+// each with a key of their own so a replay is never stored twice
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const SUBMISSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Oldest queued answer time accepted
+const SUBMISSION_CLOCK_SKEW = 5 * 60 * 1000; // Kiosk clocks may run a little ahead
+
+// When the visitor answered: the kiosk's timestamp when it is plausible, otherwise now
+function answeredAt(timestamp, now) {
+    const time = new Date(timestamp);
+    if (!timestamp || isNaN(time.getTime())) return now;
+    if (time > new Date(now.getTime() + SUBMISSION_CLOCK_SKEW)) return now;
+    if (time < new Date(now.getTime() - SUBMISSION_MAX_AGE)) return now;
+    return time > now ? now : time;
+}
+
+// Submit survey (from kiosk, or a phone with a mobile link) - PROTECTED with session token
+app.post('/api/survey', sessionMiddleware, async (req, res) => {
+    const { questions } = req.body;
+    // A mobile link answers for the ticket and survey it was issued for
+    const mobile = req.sessionData.type === 'mobile_session' ? req.sessionData : null;
+    const queueId = mobile ? mobile.queueId : req.body.queueId;
+    const followups = req.body.followups && typeof req.body.followups === 'object' ? req.body.followups : {};
+
+    if (!questions || typeof questions !== 'object') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid survey data'
+        });
+    }
+
+    const idempotencyKey = req.body.idempotencyKey || null;
+    if (idempotencyKey !== null && !IDEMPOTENCY_KEY_PATTERN.test(String(idempotencyKey))) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid idempotency key'
+        });
+    }
+
+    const receivedAt = new Date();
+    const timestamp = receivedAt.toISOString();
+    const createdAt = answeredAt(req.body.timestamp, receivedAt);
+    const ipAddress = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    let conn;
+    try {
+        if (idempotencyKey) {
+            const [existing] = await pool.query('SELECT id FROM surveys WHERE idempotency_key = ?', [idempotencyKey]);
+            if (existing.length > 0) {
+                console.log('[SURVEY] Duplicate submission ignored:', { idempotencyKey, surveyId: existing[0].id, ip: ipAddress });
+                // A replay of a stored submission does not use up the limit
+                if (req.rateLimit) await releaseRateLimit(req.rateLimit);
+                return res.status(409).json({
+                    success: false,
+                    error: 'Duplicate submission',
+                    id: existing[0].id
+                });
+            }
+        }
+
+        const questionnaire = mobile
+            ? await getMobileQuestionnaire(mobile.questionnaireId)
+            : await resolveQuestionnaire(req.body.survey);
+        if (!questionnaire) {
+            return res.status(400).json({
+                success: false,
+                error: 'Survey not found'
+            });
+        }
+
+        // Queue ticket: issued on the day of the visit, served and not rated before.
+        // Required once a queue adapter is configured. A mobile link may be used
+        // after the day it was issued, so its ticket is looked up on that day.
+        let ticket = null;
+        if (queueId || queueAdapter.lookup) {
+            const check = await checkQueueTicket(queueId, mobile ? mobile.issuedAt : createdAt);
+            if (check.reason) {
+                console.log('[QUEUE] Ticket rejected:', { queueId, reason: check.reason, ip: ipAddress });
+                return res.status(400).json({
+                    success: false,
+                    error: QUEUE_TICKET_ERRORS[check.reason],
+                    reason: check.reason
+                });
+            }
+            ticket = check.ticket;
+        }
+
+        const language = LANGUAGES.includes(req.body.language) ? req.body.language : DEFAULT_LANGUAGE;
+        // High contrast, large text and spoken prompts (welcome screen button)
+        const accessibilityMode = req.body.accessibilityMode === true;
+
+        // Map submitted question keys to the survey's question ids, keeping only valid answers
+        const [questionRows] = await pool.query(
+            'SELECT id, question_key, question_type, options_json, followup_json FROM questions WHERE questionnaire_id = ? AND archived_at IS NULL',
+            [questionnaire.id]
+        );
+        const answerRows = [];
+        const acceptedAnswers = {};
+
+        questionRows.forEach(q => {
+            const answer = normalizeAnswer(q, questions[q.question_key]);
+            if (answer) {
+                // A follow-up reason is kept only for a negative answer and a known reason
+                const followup = getFollowup(q);
+                const reason = followup && isNegativeAnswer(q, answer.value) &&
+                    followup.reasons.some(r => r.value === followups[q.question_key])
+                    ? followups[q.question_key]
+                    : null;
+
+                answerRows.push([q.id, answer.value, answer.text, reason]);
+                acceptedAnswers[q.question_key] = reason ? `${answer.value} (${reason})` : (answer.text || answer.value);
+            }
+        });
+
+        if (answerRows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid survey data'
+            });
+        }
+
+        // Replayed and deferred submissions keep the wording the visitor saw
+        const versionId = await resolveVersionId(questionnaire.id, req.body.questionnaireVersion);
+        const device = mobile ? null : await resolveDevice(req);
+        const channel = mobile ? 'mobile' : 'kiosk';
+        // Counter and officer from the ticket, the kiosk's "who served you" step or the kiosk's counter
+        const servedBy = await resolveServedBy({
+            ticket,
+            device,
+            choice: mobile ? {} : { counterId: req.body.counterId, staffId: req.body.staffId }
+        });
+
+        // For fraud detection: how long the visitor took, by the client's own clock, and the answers' fingerprint
+        const durationSeconds = visitDuration(req.body.startedAt, req.body.timestamp ? new Date(req.body.timestamp) : receivedAt);
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [result] = await conn.query(
+            `INSERT INTO surveys (questionnaire_id, user_agent, ip_address, queue_id, queue_ticket_key, queue_verified, queue_counter, queue_officer,
+                counter_id, staff_id, language, channel, accessibility_mode, questionnaire_version_id, device_id, idempotency_key,
+                duration_seconds, answer_hash, created_at, received_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                questionnaire.id, userAgent, ipAddress,
+                ticket ? ticket.number : null, ticket ? ticket.key : null, ticket && ticket.verified ? 1 : null,
+                ticket ? ticket.counter : null, ticket ? ticket.officer : null, servedBy.counterId, servedBy.staffId,
+                language, channel, accessibilityMode ? 1 : 0, versionId, device ? device.id : null, idempotencyKey,
+                durationSeconds, answerHash(answerRows), createdAt, receivedAt
+            ]
+        );
+
+        // The link works once: a second tab of the same link loses here
+        if (mobile) {
+            const [used] = await conn.query(
+                'UPDATE mobile_tokens SET used_at = NOW(), survey_id = ? WHERE id = ? AND used_at IS NULL AND expires_at > NOW()',
+                [result.insertId, mobile.tokenId]
+            );
+            if (used.affectedRows === 0) {
+                await conn.rollback();
+                return res.status(410).json({
+                    success: false,
+                    error: MOBILE_TOKEN_ERRORS.used,
+                    reason: 'used'
+                });
+            }
+            // The visitor left the page before and came back to finish
+            await deleteMobileAbandonment(conn, mobile, questionnaire.id);
+        }
+
+        await conn.query(
+            'INSERT INTO survey_answers (survey_id, question_id, answer_value, answer_text, reason_value) VALUES ?',
+            [answerRows.map(([questionId, value, text, reason]) => [result.insertId, questionId, value, text, reason])]
+        );
+
+        await conn.commit();
+
+        // ========== AUDIT LOG ==========
+        const auditLog = {
+            event: 'SURVEY_SUBMITTED',
+            timestamp: timestamp,
+            surveyId: result.insertId,
+            answeredAt: createdAt.toISOString(),
+            survey: questionnaire.slug,
+            language: language,
+            channel: channel,
+            accessibilityMode: accessibilityMode,
+            queue: ticket ? { ticket: ticket.number, verified: ticket.verified === true, counter: ticket.counter, officer: ticket.officer } : null,
+            servedBy: servedBy.source ? servedBy : null,
+            device: device ? device.name : null,
+            ip: ipAddress,
+            userAgent: userAgent,
+            durationSeconds: durationSeconds,
+            answers: acceptedAnswers
+        };
+        console.log('[AUDIT]', JSON.stringify(auditLog));
+        // ================================
+
+        // The visitor is not kept waiting for the checks, and a failing check never loses a submission
+        detectFraud(result.insertId).catch(error => console.error('Fraud detection error:', error));
+
+        res.status(201).json({
+            success: true,
+            message: 'Terima kasih atas penilaian Anda!',
+            id: result.insertId
+        });
+    } catch (error) {
+        if (conn) await conn.rollback();
+
+        // Two visitors raced past the ticket check with the same ticket
+        if (error.code === 'ER_DUP_ENTRY' && error.message.includes('uq_queue_ticket')) {
+            return res.status(400).json({
+                success: false,
+                error: QUEUE_TICKET_ERRORS.already_rated,
+                reason: 'already_rated'
+            });
+        }
+
+        // Two replays of the same submission raced past the duplicate check
+        if (error.code === 'ER_DUP_ENTRY' && idempotencyKey) {
+            if (req.rateLimit) await releaseRateLimit(req.rateLimit);
+            return res.status(409).json({
+                success: false,
+                error: 'Duplicate submission'
+            });
+        }
+
+        console.error('[ERROR] Survey submission failed:', {
+            timestamp: timestamp,
+            ip: ipAddress,
+            error: error.message
+        });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save survey'
+        });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// Check the queue ticket typed on the kiosk before the questions start.
+// The submission is checked again; this only spares the visitor the questions.
+app.post('/api/queue/validate', rateLimitMiddleware('queue'), sessionEventMiddleware, async (req, res) => {
+    try {
+        const check = await checkQueueTicket(req.body.queueId, new Date());
+        if (check.reason) {
+            return res.json({
+                success: true,
+                valid: false,
+                reason: check.reason,
+                error: QUEUE_TICKET_ERRORS[check.reason]
+            });
+        }
+
+        res.json({
+            success: true,
+            valid: true,
+            verified: check.ticket.verified === true,
+            counter: check.ticket.counter,
+            officer: check.ticket.officer
+        });
+    } catch (error) {
+        console.error('Queue ticket check error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// A mobile link's abandoned visit, recorded while the link was still unused
+async function deleteMobileAbandonment(db, mobile, questionnaireId) {
+    await db.query(
+        "DELETE FROM survey_abandonments WHERE channel = 'mobile' AND questionnaire_id = ? AND queue_id = ? AND created_at >= ?",
+        [questionnaireId, mobile.queueId, mobile.issuedAt]
+    );
+}
+
+// Record a visit that timed out before submitting (from kiosk), or a mobile
+// survey page the visitor left unsent (X-Mobile-Token). A phone reports every
+// time the page is hidden, so a link keeps only its latest report, and loses
+// it once its survey is submitted.
+app.post('/api/survey/abandon', sessionEventMiddleware, async (req, res) => {
+    const mobile = req.sessionData.type === 'mobile_session' ? req.sessionData : null;
+    const lastStep = parseInt(req.body.lastStep);
+    if (isNaN(lastStep) || lastStep < 0 || lastStep > MAX_FUNNEL_STEP) {
+        return res.status(400).json({ success: false, error: 'Invalid step' });
+    }
+
+    try {
+        const questionnaire = mobile
+            ? await getMobileQuestionnaire(mobile.questionnaireId)
+            : await resolveQuestionnaire(req.body.survey);
+        if (!questionnaire) {
+            return res.status(400).json({ success: false, error: 'Survey not found' });
+        }
+
+        const language = LANGUAGES.includes(req.body.language) ? req.body.language : DEFAULT_LANGUAGE;
+        const startedAt = new Date(req.body.startedAt);
+        const lastQuestion = req.body.lastQuestion ? String(req.body.lastQuestion).substring(0, 50) : null;
+        const queueId = mobile ? mobile.queueId : (req.body.queueId ? String(req.body.queueId).substring(0, 50) : null);
+        const device = mobile ? null : await resolveDevice(req);
+        const channel = mobile ? 'mobile' : 'kiosk';
+
+        if (mobile) await deleteMobileAbandonment(pool, mobile, questionnaire.id);
+        const [result] = await pool.query(
+            'INSERT INTO survey_abandonments (questionnaire_id, last_step, last_question_key, queue_id, language, channel, ip_address, device_id, started_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [questionnaire.id, lastStep, lastQuestion, queueId, language, channel, getClientIp(req), device ? device.id : null, isNaN(startedAt.getTime()) ? null : startedAt]
+        );
+
+        console.log('[SURVEY] Visit abandoned:', { survey: questionnaire.slug, channel, lastStep, lastQuestion });
+        res.status(201).json({ success: true, id: result.insertId });
+    } catch (error) {
+        console.error('Abandonment error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Start pairing a kiosk: a code to show on screen and a secret to poll with
+app.post('/api/device/pairing', rateLimitMiddleware('pairing'), async (req, res) => {
+    try {
+        await pool.query('DELETE FROM device_pairings WHERE expires_at < NOW()');
+
+        const [pending] = await pool.query('SELECT COUNT(*) as count FROM device_pairings');
+        if (pending[0].count >= MAX_PENDING_PAIRINGS) {
+            return res.status(429).json({ success: false, error: 'Too many pending pairing codes' });
+        }
+
+        const secret = crypto.randomBytes(24).toString('hex');
+        const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL);
+
+        // Codes are short, so retry the rare clash with a pending one
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+            try {
+                await pool.query(
+                    'INSERT INTO device_pairings (code, secret_hash, expires_at) VALUES (?, ?, ?)',
+                    [code, hashToken(secret), expiresAt]
+                );
+                console.log('[DEVICE] Pairing code issued:', { code, ip: getClientIp(req) });
+                return res.status(201).json({ success: true, code, secret, expires_in: PAIRING_CODE_TTL / 1000 });
+            } catch (error) {
+                if (error.code !== 'ER_DUP_ENTRY') throw error;
+            }
+        }
+        res.status(500).json({ success: false, error: 'Could not issue a pairing code' });
+    } catch (error) {
+        console.error('Pairing error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Kiosk polls until an admin entered its code; the device token is handed out once
+app.post('/api/device/pairing/status', async (req, res) => {
+    const { code, secret } = req.body;
+    if (!code || !secret) {
+        return res.status(400).json({ success: false, error: 'Code and secret are required' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        const [pairings] = await conn.query(
+            'SELECT * FROM device_pairings WHERE code = ? AND secret_hash = ? AND expires_at >= NOW() FOR UPDATE',
+            [String(code), hashToken(secret)]
+        );
+        if (pairings.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, error: 'Pairing code expired' });
+        }
+
+        const pairing = pairings[0];
+        if (!pairing.device_id) {
+            await conn.rollback();
+            return res.json({ success: true, paired: false });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await conn.query(
+            'UPDATE devices SET token_hash = ?, paired_at = NOW(), last_seen_at = NOW() WHERE id = ?',
+            [hashToken(token), pairing.device_id]
+        );
+        await conn.query('DELETE FROM device_pairings WHERE id = ?', [pairing.id]);
+        const [devices] = await conn.query('SELECT id, name, location, service_counter FROM devices WHERE id = ?', [pairing.device_id]);
+        await conn.commit();
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'DEVICE_PAIRED',
+            timestamp: new Date().toISOString(),
+            deviceId: pairing.device_id,
+            ip: getClientIp(req)
+        }));
+
+        res.json({ success: true, paired: true, token, device: devices[0] });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Pairing status error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// The kiosk's own registration, to notice a revoked token (X-Device-Token)
+app.get('/api/device', async (req, res) => {
+    try {
+        const device = await resolveDevice(req);
+        if (!device) {
+            return res.status(401).json({ success: false, error: 'Device not paired' });
+        }
+        res.json({ success: true, device });
+    } catch (error) {
+        console.error('Device error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Heartbeat of a paired kiosk (X-Device-Token): current step, app version,
+// screen size, last accepted submission and offline queue length
+app.post('/api/device/heartbeat', async (req, res) => {
+    try {
+        const device = await resolveDevice(req);
+        if (!device) {
+            return res.status(401).json({ success: false, error: 'Device not paired' });
+        }
+
+        await pool.query(
+            'UPDATE devices SET last_heartbeat_at = NOW(), heartbeat_json = ? WHERE id = ?',
+            [JSON.stringify(buildHeartbeat(req.body || {})), device.id]
+        );
+        res.json({ success: true, interval: HEARTBEAT_INTERVAL / 1000 });
+    } catch (error) {
+        console.error('Heartbeat error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Get survey statistics (public - for real-time counter)
+app.get('/api/survey/stats', async (req, res) => {
+    try {
+        const [rows] = await pool.query(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN DATE(s.created_at) = CURDATE() THEN 1 ELSE 0 END) as today
+            FROM surveys s
+            ${whereSql([FRAUD_EXCLUSION])}
+        `);
+
+        // Overall satisfaction is taken from the default survey's last active rating question
+        const overallQ = getOverallQuestion(await getActiveQuestions(await getDefaultQuestionnaireId()));
+        const overall = overallQ ? ratingStats(await getAnswerCounts(whereSql([FRAUD_EXCLUSION])), overallQ.id) : ratingStats({}, null);
+
+        res.json({
+            success: true,
+            stats: {
+                total: rows[0].total || 0,
+                today: parseInt(rows[0].today) || 0,
+                satisfied: overall.sangat_baik,
+                neutral: overall.cukup_baik,
+                unsatisfied: overall.kurang_baik
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error getting stats:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// =====================================================
+// ADMIN ENDPOINTS
+// =====================================================
+
+// Admin login
+app.post('/admin/login', rateLimitMiddleware('login'), async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({
+            success: false,
+            error: 'Username and password required'
+        });
+    }
+
+    try {
+        const [users] = await pool.query(
+            'SELECT * FROM admin_users WHERE username = ? AND is_active = 1',
             [username]
         );
 
-        if (users.length === 0) {
-            return res.status(401).json({
+        if (users.length === 0) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials'
+            });
+        }
+
+        const user = users[0];
+        const validPassword = await bcrypt.compare(password, user.password_hash);
+
+        if (!validPassword) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials'
+            });
+        }
+
+        // Update last login
+        await pool.query(
+            'UPDATE admin_users SET last_login = NOW() WHERE id = ?',
+            [user.id]
+        );
+
+        // Generate JWT
+        const role = ADMIN_ROLES.includes(user.role) ? user.role : 'admin';
+        const token = jwt.sign(
+            { id: user.id, username: user.username, name: user.name, role },
+            JWT_SECRET,
+            { expiresIn: '24h' }
+        );
+
+        res.json({
+            success: true,
+            token,
+            user: {
+                id: user.id,
+                username: user.username,
+                name: user.name,
+                role
+            }
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// Get dashboard stats (protected)
+app.get('/admin/api/dashboard', authMiddleware, async (req, res) => {
+    const filters = reportFilters(req.query);
+    const where = whereSql(filters.conditions);
+    const and = (condition) => whereSql([...filters.conditions, condition]);
+
+    try {
+        // Total surveys
+        const [totalResult] = await pool.query(`SELECT COUNT(*) as total FROM surveys s ${where}`, filters.params);
+
+        // Today's surveys
+        const [todayResult] = await pool.query(
+            `SELECT COUNT(*) as today FROM surveys s ${and('DATE(s.created_at) = CURDATE()')}`,
+            filters.params
+        );
+
+        // This month's surveys
+        const [monthResult] = await pool.query(
+            `SELECT COUNT(*) as month FROM surveys s ${and('YEAR(s.created_at) = YEAR(CURDATE()) AND MONTH(s.created_at) = MONTH(CURDATE())')}`,
+            filters.params
+        );
+
+        // Get all active questions (of the selected survey), including ended campaigns
+        const questions = await getActiveQuestions(filters.questionnaireId, { includeExpired: true });
+
+        // Per-question breakdown
+        const counts = await getAnswerCounts(where, filters.params);
+        const comments = await getRecentComments(where, filters.params);
+        const reasonCounts = await getReasonCounts(where, filters.params);
+
+        // Last 7 days trend
+        const [trendResult] = await pool.query(`
+            SELECT 
+                DATE(s.created_at) as date,
+                COUNT(*) as count
+            FROM surveys s
+            ${and('s.created_at >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)')}
+            GROUP BY DATE(s.created_at)
+            ORDER BY date ASC
+        `, filters.params);
+
+        // Build dynamic questions stats array
+        const questionsList = questions.map(q => describeQuestion(q, counts, comments, reasonCounts));
+
+        res.json({
+            success: true,
+            data: {
+                total: totalResult[0].total,
+                today: todayResult[0].today,
+                thisMonth: monthResult[0].month,
+                excluded: await countExcludedFraud(filters.conditions, filters.params),
+                questionsList,
+                trend: trendResult
+            }
+        });
+    } catch (error) {
+        console.error('Dashboard error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Get recent submissions with their fraud review status (protected)
+app.get('/admin/api/recent', authMiddleware, async (req, res) => {
+    const filters = reportFilters(req.query, { includeFraud: true });
+
+    try {
+        // Get last 15 submissions
+        const [recent] = await pool.query(`
+            SELECT
+                s.id,
+                s.ip_address,
+                s.review_status,
+                s.created_at
+            FROM surveys s
+            ${whereSql(filters.conditions)}
+            ORDER BY s.created_at DESC
+            LIMIT 15
+        `, filters.params);
+        const answers = await getAnswersBySurvey(recent.map(r => r.id));
+        const flags = await getFlagsBySurvey(recent.map(r => r.id));
+
+        // Flagged submissions waiting for an admin on the Review page
+        const [pending] = await pool.query("SELECT COUNT(*) as count FROM surveys WHERE review_status = 'flagged'");
+
+        // Get unique IPs today
+        const [uniqueIps] = await pool.query(`
+            SELECT COUNT(DISTINCT ip_address) as unique_ips
+            FROM surveys
+            WHERE DATE(created_at) = CURDATE()
+        `);
+
+        res.json({
+            success: true,
+            data: {
+                recent: recent.map(r => ({
+                    ...r,
+                    answers: answers[r.id] || {},
+                    flags: (flags[r.id] || []).map(f => f.rule),
+                    isSuspicious: r.review_status === 'flagged' || r.review_status === 'confirmed'
+                })),
+                pendingReview: parseInt(pending[0].count) || 0,
+                uniqueIpsToday: uniqueIps[0].unique_ips || 0,
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Recent submissions error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Get monthly report data (protected)
+app.get('/admin/api/reports/monthly', authMiddleware, async (req, res) => {
+    const { year, month } = req.query;
+
+    const targetYear = year || new Date().getFullYear();
+    const targetMonth = month || new Date().getMonth() + 1;
+
+    const filters = reportFilters(req.query);
+    const periodWhere = whereSql(['YEAR(s.created_at) = ? AND MONTH(s.created_at) = ?', ...filters.conditions]);
+    const periodParams = [targetYear, targetMonth, ...filters.params];
+
+    try {
+        // Questions as worded in the questionnaire versions answered this month
+        const { questions, versions } = await getReportQuestions(periodWhere, periodParams, filters.questionnaireId);
+        const overallQ = getOverallQuestion(questions);
+
+        // Get monthly stats
+        const [stats] = await pool.query(`
+            SELECT COUNT(*) as total, SUM(s.accessibility_mode) as accessibility
+            FROM surveys s
+            ${periodWhere}
+        `, periodParams);
+
+        const counts = await getAnswerCounts(periodWhere, periodParams);
+        const comments = await getRecentComments(periodWhere, periodParams, 50);
+        const reasonCounts = await getReasonCounts(periodWhere, periodParams);
+        const languages = await getLanguageCounts(periodWhere, periodParams);
+        const channels = await getChannelCounts(periodWhere, periodParams);
+        const ikm = await getIkm(periodWhere, periodParams);
+
+        // Get daily breakdown ("satisfied" = top rating on the overall question)
+        const [dailyStats] = await pool.query(`
+            SELECT
+                DATE(s.created_at) as date,
+                COUNT(*) as total,
+                SUM(CASE WHEN a.answer_value = 'sangat_baik' THEN 1 ELSE 0 END) as satisfied
+            FROM surveys s
+            LEFT JOIN survey_answers a ON a.survey_id = s.id AND a.question_id = ?
+            ${periodWhere}
+            GROUP BY DATE(s.created_at)
+            ORDER BY date ASC
+        `, [overallQ ? overallQ.id : 0, ...periodParams]);
+
+        // Build dynamic questions list for frontend
+        const questionsList = questions.map(q => describeQuestion(q, counts, comments, reasonCounts));
+
+        res.json({
+            success: true,
+            data: {
+                year: parseInt(targetYear),
+                month: parseInt(targetMonth),
+                stats: {
+                    total: stats[0].total,
+                    accessibility: parseInt(stats[0].accessibility) || 0,
+                    excluded: await countExcludedFraud(
+                        ['YEAR(s.created_at) = ? AND MONTH(s.created_at) = ?', ...filters.conditions], periodParams
+                    )
+                },
+                daily: dailyStats.map(day => ({ ...day, satisfied: parseInt(day.satisfied) || 0 })),
+                questionsList: questionsList,
+                languages,
+                channels,
+                ikm,
+                versions
+            }
+        });
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Heatmap API - Hourly submission patterns
+app.get('/admin/api/heatmap', authMiddleware, async (req, res) => {
+    const filters = reportFilters(req.query);
+
+    try {
+        // Get hourly data for the last 30 days grouped by day of week and hour
+        const [heatmapData] = await pool.query(`
+            SELECT 
+                DAYOFWEEK(s.created_at) as day_of_week,
+                HOUR(s.created_at) as hour,
+                COUNT(*) as count
+            FROM surveys s
+            ${whereSql(['s.created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)', ...filters.conditions])}
+            GROUP BY DAYOFWEEK(s.created_at), HOUR(s.created_at)
+            ORDER BY day_of_week, hour
+        `, filters.params);
+
+        // Transform to 7x24 matrix (days x hours)
+        // DAYOFWEEK: 1=Sunday, 2=Monday, ..., 7=Saturday
+        const matrix = Array(7).fill(null).map(() => Array(24).fill(0));
+        let maxCount = 0;
+
+        heatmapData.forEach(row => {
+            const dayIndex = row.day_of_week - 1; // 0-indexed
+            matrix[dayIndex][row.hour] = row.count;
+            if (row.count > maxCount) maxCount = row.count;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                matrix,
+                maxCount,
+                days: ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu']
+            }
+        });
+    } catch (error) {
+        console.error('Heatmap error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Audit Logs API - Paginated submission history
+app.get('/admin/api/logs', authMiddleware, async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const date = req.query.date; // Optional date filter YYYY-MM-DD
+
+    try {
+        // The log lists every submission, confirmed fraud included
+        const filters = reportFilters(req.query, { includeFraud: true });
+        const conditions = [...filters.conditions];
+        const params = [...filters.params];
+
+        if (date) {
+            conditions.push('DATE(s.created_at) = ?');
+            params.push(date);
+        }
+
+        // ?review=clean|flagged|confirmed|dismissed
+        if (REVIEW_STATUSES.includes(req.query.review)) {
+            conditions.push('s.review_status = ?');
+            params.push(req.query.review);
+        }
+
+        const whereClause = whereSql(conditions);
+
+        // Get total count
+        const [countResult] = await pool.query(
+            `SELECT COUNT(*) as total FROM surveys s ${whereClause}`,
+            params
+        );
+        const total = countResult[0].total;
+
+        // Get paginated data
+        const [submissions] = await pool.query(`
+            SELECT
+                s.id,
+                s.questionnaire_id,
+                s.created_at,
+                s.queue_id,
+                s.queue_verified,
+                s.queue_counter,
+                s.queue_officer,
+                c.name as counter_name,
+                st.name as staff_name,
+                s.channel,
+                s.review_status,
+                d.name as device_name
+            FROM surveys s
+            LEFT JOIN devices d ON d.id = s.device_id
+            LEFT JOIN service_counters c ON c.id = s.counter_id
+            LEFT JOIN staff st ON st.id = s.staff_id
+            ${whereClause}
+            ORDER BY s.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        // Who served each visitor is for supervisors only
+        if (req.user.role !== 'supervisor') {
+            submissions.forEach(s => {
+                s.queue_officer = null;
+                s.staff_name = null;
+            });
+        }
+
+        const answers = await getAnswersBySurvey(submissions.map(s => s.id));
+        const questions = await getActiveQuestions(filters.questionnaireId, { includeExpired: true });
+
+        res.json({
+            success: true,
+            data: {
+                questions: questions.map(q => ({ id: q.id, key: q.question_key, type: q.question_type, text: q.question_text, options: getChoiceOptions(q) })),
+                submissions: submissions.map(s => ({ ...s, answers: answers[s.id] || {} })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Logs error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// =====================================================
+// DEVICES API - Kiosk registry and pairing
+// =====================================================
+
+// List registered kiosks with their submission count
+app.get('/admin/api/devices', authMiddleware, async (req, res) => {
+    try {
+        const [devices] = await pool.query(`
+            SELECT d.id, d.name, d.location, d.service_counter, d.is_active, d.paired_at, d.last_seen_at, d.created_at,
+                   d.token_hash IS NOT NULL as is_paired,
+                   (SELECT COUNT(*) FROM surveys s WHERE s.device_id = d.id) as survey_count
+            FROM devices d
+            ORDER BY d.name ASC
+        `);
+
+        res.json({
+            success: true,
+            devices: devices.map(d => ({ ...d, is_paired: !!d.is_paired, is_active: !!d.is_active }))
+        });
+    } catch (error) {
+        console.error('Error getting devices:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Kiosk fleet status from the heartbeats, with the kiosks silent during operating hours
+app.get('/admin/api/fleet', authMiddleware, async (req, res) => {
+    try {
+        const now = new Date();
+        const devices = await getFleet(now);
+        const summary = { online: 0, stale: 0, offline: 0, unpaired: 0, inactive: 0 };
+        devices.forEach(d => { summary[d.status]++; });
+
+        res.json({
+            success: true,
+            devices,
+            summary,
+            alerts: devices.filter(d => d.alert).map(d => ({ id: d.id, name: d.name, location: d.location, silent_minutes: d.silent_minutes })),
+            operating: {
+                hours: `${formatMinutes(OPERATING_HOURS.open)}-${formatMinutes(OPERATING_HOURS.close)}`,
+                days: [...OPERATING_DAYS].sort(),
+                open: openedAt(now) !== null
+            },
+            app_version: APP_VERSION,
+            live_streams: kioskStreams.size,
+            heartbeat_interval: HEARTBEAT_INTERVAL / 1000,
+            silence_alert_minutes: SILENCE_ALERT_AFTER / 60000,
+            server_time: now.toISOString()
+        });
+    } catch (error) {
+        console.error('Error getting fleet:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Open rate limit windows, throttled ones first, with the limit each counts against
+app.get('/admin/api/rate-limits', authMiddleware, async (req, res) => {
+    try {
+        const windows = (await rateLimitStore.list()).map(w => ({ ...w, ...parseRateLimitBucket(w.bucket) }))
+            .filter(w => RATE_LIMITS[w.route]);
+
+        const deviceIds = [...new Set(windows.filter(w => w.kind === 'device').map(w => parseInt(w.subject)))];
+        const deviceNames = {};
+        if (deviceIds.length > 0) {
+            const [rows] = await pool.query('SELECT id, name FROM devices WHERE id IN (?)', [deviceIds]);
+            rows.forEach(row => { deviceNames[row.id] = row.name; });
+        }
+
+        const kioskLimits = {}; // "<device>|<route>", so each kiosk's settings are read once
+        const entries = [];
+        for (const w of windows) {
+            let limit = RATE_LIMITS[w.route].max;
+            if (w.kind === 'device' && KIOSK_RATE_LIMIT_FACTORS[w.route]) {
+                const key = `${w.subject}|${w.route}`;
+                if (!(key in kioskLimits)) kioskLimits[key] = await kioskRateLimit(parseInt(w.subject), w.route);
+                limit = kioskLimits[key];
+            }
+
+            entries.push({
+                bucket: w.bucket,
+                route: w.route,
+                kind: w.kind,
+                subject: w.subject,
+                device_name: w.kind === 'device' ? deviceNames[w.subject] || null : null,
+                hits: w.hits,
+                blocked: w.blocked,
+                limit,
+                throttled: w.hits >= limit,
+                reset_at: w.resetAt,
+                last_hit_at: w.lastHitAt
+            });
+        }
+        entries.sort((a, b) => b.throttled - a.throttled);
+
+        res.json({
+            success: true,
+            store: rateLimitStore.name,
+            limits: RATE_LIMITS,
+            kiosk_factors: KIOSK_RATE_LIMIT_FACTORS,
+            entries
+        });
+    } catch (error) {
+        console.error('Error getting rate limits:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Lift a limit before its window ends (?bucket=<bucket> as listed)
+app.delete('/admin/api/rate-limits', authMiddleware, async (req, res) => {
+    const bucket = String(req.query.bucket || '');
+    if (!bucket.includes('|')) {
+        return res.status(400).json({ success: false, error: 'Invalid bucket' });
+    }
+
+    try {
+        await rateLimitStore.clear(bucket);
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'RATE_LIMIT_CLEARED',
+            timestamp: new Date().toISOString(),
+            bucket,
+            user: req.user.username
+        }));
+        res.json({ success: true, message: 'Rate limit cleared' });
+    } catch (error) {
+        console.error('Error clearing rate limit:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Register a kiosk (paired afterwards with the code shown on it)
+app.post('/admin/api/devices', authMiddleware, async (req, res) => {
+    const { device, error } = buildDevice(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO devices (name, location, service_counter) VALUES (?, ?, ?)',
+            [device.name, device.location, device.service_counter]
+        );
+        res.json({ success: true, message: 'Device registered', id: result.insertId });
+    } catch (error) {
+        console.error('Error creating device:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Update a kiosk's name, location, counter or active state
+app.put('/admin/api/devices/:id', authMiddleware, async (req, res) => {
+    const { device, error } = buildDevice(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [result] = await pool.query(
+            'UPDATE devices SET name = ?, location = ?, service_counter = ?, is_active = ? WHERE id = ?',
+            [device.name, device.location, device.service_counter, req.body.is_active === false ? 0 : 1, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+        res.json({ success: true, message: 'Device updated' });
+    } catch (error) {
+        console.error('Error updating device:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Pair a kiosk with the code shown on its screen
+app.post('/admin/api/devices/:id/pair', authMiddleware, async (req, res) => {
+    const code = String(req.body.code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) {
+        return res.status(400).json({ success: false, error: 'Pairing code must be 6 digits' });
+    }
+
+    try {
+        const [devices] = await pool.query('SELECT id, name FROM devices WHERE id = ?', [req.params.id]);
+        if (devices.length === 0) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+
+        const [result] = await pool.query(
+            'UPDATE device_pairings SET device_id = ? WHERE code = ? AND device_id IS NULL AND expires_at >= NOW()',
+            [devices[0].id, code]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Pairing code not found or expired' });
+        }
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'DEVICE_PAIRING_APPROVED',
+            timestamp: new Date().toISOString(),
+            deviceId: devices[0].id,
+            device: devices[0].name,
+            user: req.user.username
+        }));
+
+        res.json({ success: true, message: 'Pairing approved, the kiosk picks up its token within a few seconds' });
+    } catch (error) {
+        console.error('Error pairing device:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Revoke a kiosk's token; its submissions are stored without device until paired again
+app.post('/admin/api/devices/:id/revoke', authMiddleware, async (req, res) => {
+    try {
+        const [result] = await pool.query('UPDATE devices SET token_hash = NULL, paired_at = NULL WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'DEVICE_REVOKED',
+            timestamp: new Date().toISOString(),
+            deviceId: parseInt(req.params.id),
+            user: req.user.username
+        }));
+
+        res.json({ success: true, message: 'Device token revoked' });
+    } catch (error) {
+        console.error('Error revoking device:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Delete a kiosk that never submitted; others are deactivated instead so reports keep their name
+app.delete('/admin/api/devices/:id', authMiddleware, async (req, res) => {
+    try {
+        const [counts] = await pool.query('SELECT COUNT(*) as count FROM surveys WHERE device_id = ?', [req.params.id]);
+        if (counts[0].count > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Device has submissions, deactivate it instead',
+                survey_count: counts[0].count
+            });
+        }
+
+        const [result] = await pool.query('DELETE FROM devices WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+        await pool.query('DELETE FROM device_pairings WHERE device_id = ?', [req.params.id]);
+        await pool.query('DELETE FROM kiosk_settings WHERE device_id = ?', [req.params.id]);
+
+        res.json({ success: true, message: 'Device deleted' });
+    } catch (error) {
+        console.error('Error deleting device:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// =====================================================
+// STAFF API - Counters and officers directory
+// =====================================================
+
+// Counters and officers with their submission counts
+app.get('/admin/api/staff', authMiddleware, async (req, res) => {
+    try {
+        const [counters] = await pool.query(`
+            SELECT c.id, c.name, c.qms_code, c.is_active, c.created_at,
+                   (SELECT COUNT(*) FROM staff st WHERE st.counter_id = c.id) as staff_count,
+                   (SELECT COUNT(*) FROM surveys s WHERE s.counter_id = c.id) as survey_count
+            FROM service_counters c
+            ORDER BY c.name ASC
+        `);
+        const [staff] = await pool.query(`
+            SELECT st.id, st.name, st.employee_number, st.qms_code, st.counter_id, c.name as counter_name, st.is_active, st.created_at,
+                   (SELECT COUNT(*) FROM surveys s WHERE s.staff_id = st.id) as survey_count
+            FROM staff st
+            LEFT JOIN service_counters c ON c.id = st.counter_id
+            ORDER BY st.name ASC
+        `);
+
+        res.json({
+            success: true,
+            counters: counters.map(c => ({ ...c, is_active: !!c.is_active })),
+            staff: staff.map(s => ({ ...s, is_active: !!s.is_active }))
+        });
+    } catch (error) {
+        console.error('Error getting staff:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+app.post('/admin/api/counters', authMiddleware, async (req, res) => {
+    const { counter, error } = buildCounter(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO service_counters (name, qms_code, is_active) VALUES (?, ?, ?)',
+            [counter.name, counter.qms_code, counter.is_active]
+        );
+        res.json({ success: true, message: 'Counter added', id: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, error: 'Counter name already exists' });
+        }
+        console.error('Error creating counter:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+app.put('/admin/api/counters/:id', authMiddleware, async (req, res) => {
+    const { counter, error } = buildCounter(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [result] = await pool.query(
+            'UPDATE service_counters SET name = ?, qms_code = ?, is_active = ? WHERE id = ?',
+            [counter.name, counter.qms_code, counter.is_active, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Counter not found' });
+        }
+        res.json({ success: true, message: 'Counter updated' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, error: 'Counter name already exists' });
+        }
+        console.error('Error updating counter:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Delete a counter without submissions; others are deactivated instead so reports keep their name
+app.delete('/admin/api/counters/:id', authMiddleware, async (req, res) => {
+    try {
+        const [counts] = await pool.query('SELECT COUNT(*) as count FROM surveys WHERE counter_id = ?', [req.params.id]);
+        if (counts[0].count > 0) {
+            return res.status(409).json({
                 success: false,
-                error: 'Invalid credentials'
+                error: 'Counter has submissions, deactivate it instead',
+                survey_count: counts[0].count
             });
         }
 
-        const user = users[0];
-        const validPassword = await bcrypt.compare(password, user.password_hash);
+        const [result] = await pool.query('DELETE FROM service_counters WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Counter not found' });
+        }
+        await pool.query('UPDATE staff SET counter_id = NULL WHERE counter_id = ?', [req.params.id]);
 
-        if (!validPassword) {
-            return res.status(401).json({
+        res.json({ success: true, message: 'Counter deleted' });
+    } catch (error) {
+        console.error('Error deleting counter:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Officer's usual counter must be in the directory: true, or false after sending 400
+async function checkStaffCounter(staff, res) {
+    if (!staff.counter_id) return true;
+    const [rows] = await pool.query('SELECT id FROM service_counters WHERE id = ?', [staff.counter_id]);
+    if (rows.length > 0) return true;
+    res.status(400).json({ success: false, error: 'Counter not found' });
+    return false;
+}
+
+app.post('/admin/api/staff', authMiddleware, async (req, res) => {
+    const { staff, error } = buildStaff(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        if (!(await checkStaffCounter(staff, res))) return;
+
+        const [result] = await pool.query(
+            'INSERT INTO staff (name, employee_number, qms_code, counter_id, is_active) VALUES (?, ?, ?, ?, ?)',
+            [staff.name, staff.employee_number, staff.qms_code, staff.counter_id, staff.is_active]
+        );
+        res.json({ success: true, message: 'Officer added', id: result.insertId });
+    } catch (error) {
+        console.error('Error creating officer:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+app.put('/admin/api/staff/:id', authMiddleware, async (req, res) => {
+    const { staff, error } = buildStaff(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        if (!(await checkStaffCounter(staff, res))) return;
+
+        const [result] = await pool.query(
+            'UPDATE staff SET name = ?, employee_number = ?, qms_code = ?, counter_id = ?, is_active = ? WHERE id = ?',
+            [staff.name, staff.employee_number, staff.qms_code, staff.counter_id, staff.is_active, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Officer not found' });
+        }
+        res.json({ success: true, message: 'Officer updated' });
+    } catch (error) {
+        console.error('Error updating officer:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Delete an officer without submissions; others are deactivated instead
+app.delete('/admin/api/staff/:id', authMiddleware, async (req, res) => {
+    try {
+        const [counts] = await pool.query('SELECT COUNT(*) as count FROM surveys WHERE staff_id = ?', [req.params.id]);
+        if (counts[0].count > 0) {
+            return res.status(409).json({
                 success: false,
-                error: 'Invalid credentials'
+                error: 'Officer has submissions, deactivate them instead',
+                survey_count: counts[0].count
             });
         }
 
-        // Update last login
-        await pool.query(
-            'UPDATE admin_users SET last_login = NOW() WHERE id = ?',
-            [user.id]
+        const [result] = await pool.query('DELETE FROM staff WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Officer not found' });
+        }
+
+        res.json({ success: true, message: 'Officer deleted' });
+    } catch (error) {
+        console.error('Error deleting officer:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// =====================================================
+// FRAUD REVIEW API - Flagged submissions awaiting a decision
+// =====================================================
+
+const REVIEW_PAGE_SIZE = 20;
+
+// Submissions of one review status (?status=flagged by default, ?rule=) with
+// their flags and answers, and how many submissions have each status
+app.get('/admin/api/fraud', authMiddleware, async (req, res) => {
+    const status = REVIEW_STATUSES.includes(req.query.status) && req.query.status !== 'clean' ? req.query.status : 'flagged';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const conditions = ['s.review_status = ?'];
+    const params = [status];
+    if (Object.keys(FRAUD_RULES).includes(req.query.rule)) {
+        conditions.push('EXISTS (SELECT 1 FROM survey_flags f WHERE f.survey_id = s.id AND f.rule = ?)');
+        params.push(req.query.rule);
+    }
+
+    try {
+        const [statusCounts] = await pool.query('SELECT review_status, COUNT(*) as count FROM surveys GROUP BY review_status');
+        const [totalRows] = await pool.query(`SELECT COUNT(*) as total FROM surveys s ${whereSql(conditions)}`, params);
+        const total = parseInt(totalRows[0].total) || 0;
+
+        const [rows] = await pool.query(`
+            SELECT s.id, s.questionnaire_id, s.questionnaire_version_id, qn.name as survey_name, s.created_at, s.channel, s.ip_address, s.queue_id,
+                   d.name as device_name, s.duration_seconds, s.review_status, s.reviewed_by, s.reviewed_at
+            FROM surveys s
+            LEFT JOIN questionnaires qn ON qn.id = s.questionnaire_id
+            LEFT JOIN devices d ON d.id = s.device_id
+            ${whereSql(conditions)}
+            ORDER BY s.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, REVIEW_PAGE_SIZE, (page - 1) * REVIEW_PAGE_SIZE]);
+
+        const ids = rows.map(r => r.id);
+        const flags = await getFlagsBySurvey(ids);
+        const answers = await getAnswersBySurvey(ids);
+
+        // Answers are labelled with the wording of the version they were given under
+        const versionQuestions = {};
+        for (const versionId of new Set(rows.map(row => row.questionnaire_version_id).filter(Boolean))) {
+            versionQuestions[versionId] = await getVersionQuestions(versionId);
+        }
+        const currentQuestions = await getActiveQuestions(null, { includeExpired: true });
+        const answerList = (row) => (versionQuestions[row.questionnaire_version_id] ||
+            currentQuestions.filter(q => q.questionnaire_id === row.questionnaire_id))
+            .filter(q => (answers[row.id] || {})[q.id] !== undefined)
+            .map(q => ({ question: q.question_text, answer: answerLabel(q, answers[row.id][q.id]) }));
+
+        const counts = {};
+        REVIEW_STATUSES.forEach(s => { counts[s] = 0; });
+        statusCounts.forEach(row => { counts[row.review_status] = parseInt(row.count) || 0; });
+
+        res.json({
+            success: true,
+            data: {
+                status,
+                counts,
+                rules: Object.keys(FRAUD_RULES),
+                submissions: rows.map(row => ({
+                    ...row,
+                    flags: flags[row.id] || [],
+                    answers: answerList(row)
+                })),
+                pagination: { page, limit: REVIEW_PAGE_SIZE, total, totalPages: Math.ceil(total / REVIEW_PAGE_SIZE) }
+            }
+        });
+    } catch (error) {
+        console.error('Error getting fraud review queue:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Decide on flagged submissions: { ids: [], decision: confirmed|dismissed|flagged }.
+// Only flagged or already reviewed submissions can be decided on.
+app.post('/admin/api/fraud/review', authMiddleware, async (req, res) => {
+    const { decision } = req.body;
+    const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.map(id => parseInt(id)).filter(id => id > 0))] : [];
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        return res.status(400).json({ success: false, error: 'Invalid decision' });
+    }
+    if (ids.length === 0 || ids.length > 500) {
+        return res.status(400).json({ success: false, error: 'Select 1 to 500 submissions' });
+    }
+
+    try {
+        const reviewer = decision === 'flagged' ? null : req.user.username;
+        const [result] = await pool.query(`
+            UPDATE surveys
+            SET review_status = ?, reviewed_by = ?, reviewed_at = ${decision === 'flagged' ? 'NULL' : 'NOW()'}
+            WHERE id IN (?) AND review_status <> 'clean'
+        `, [decision, reviewer, ids]);
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'FRAUD_REVIEWED',
+            timestamp: new Date().toISOString(),
+            decision,
+            surveyIds: ids,
+            updated: result.affectedRows,
+            user: req.user.username
+        }));
+        res.json({ success: true, message: 'Review saved', updated: result.affectedRows });
+    } catch (error) {
+        console.error('Error saving fraud review:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// =====================================================
+// MEDIA API - Slideshow and emoji library
+// =====================================================
+
+// All slides (in kiosk order) and the emoji of every slot
+app.get('/admin/api/media', authMiddleware, async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM media ORDER BY sort_order ASC, id ASC');
+        const emojis = {};
+        EMOJI_SLOTS.forEach(slot => {
+            const item = rows.find(row => row.kind === 'emoji' && row.slot === slot);
+            emojis[slot] = item ? describeMedia(item) : null;
+        });
+
+        res.json({
+            success: true,
+            slides: rows.filter(row => row.kind === 'slide').map(describeMedia),
+            emojis,
+            default_emojis: DEFAULT_EMOJIS,
+            limits: {
+                image_bytes: MEDIA_MAX_IMAGE_SIZE,
+                video_bytes: MEDIA_MAX_VIDEO_SIZE,
+                types: Object.keys(MEDIA_TYPES)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting media:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Upload a file as the request body: ?kind=slide (image or video, added last)
+// or ?kind=emoji&slot=<slot> (image, replaces the slot's emoji).
+// The original file name is sent in the X-File-Name header (URI encoded).
+app.post('/admin/api/media', authMiddleware, mediaUploadMiddleware, async (req, res) => {
+    const kind = req.query.kind;
+    const slot = kind === 'emoji' ? req.query.slot : null;
+    if (!MEDIA_KINDS.includes(kind)) {
+        return res.status(400).json({ success: false, error: 'Invalid media kind' });
+    }
+    if (kind === 'emoji' && !EMOJI_SLOTS.includes(slot)) {
+        return res.status(400).json({ success: false, error: 'Invalid emoji slot' });
+    }
+
+    const mimeType = detectMediaType(req.body);
+    const mediaType = MEDIA_TYPES[mimeType];
+    if (!mediaType || (kind === 'emoji' && mediaType.type !== 'image')) {
+        return res.status(400).json({
+            success: false,
+            error: kind === 'emoji' ? 'Emojis must be JPEG, PNG, GIF or WebP images' : 'Unsupported file type'
+        });
+    }
+    if (req.body.length > (mediaType.type === 'video' ? MEDIA_MAX_VIDEO_SIZE : MEDIA_MAX_IMAGE_SIZE)) {
+        return res.status(413).json({ success: false, error: 'File is too large' });
+    }
+
+    let originalName = null;
+    try {
+        originalName = decodeURIComponent(req.headers['x-file-name'] || '').substring(0, 255) || null;
+    } catch (error) {
+        // Badly encoded name: store the file without it
+    }
+
+    const details = buildMediaDetails(req.query);
+    if (details.error) {
+        return res.status(400).json({ success: false, error: details.error });
+    }
+
+    const fileName = `${crypto.randomBytes(16).toString('hex')}.${mediaType.ext}`;
+    try {
+        await fs.promises.writeFile(path.join(MEDIA_DIR, fileName), req.body);
+
+        const [orders] = await pool.query("SELECT COALESCE(MAX(sort_order), 0) as max_order FROM media WHERE kind = 'slide'");
+        const [result] = await pool.query(`
+            INSERT INTO media (kind, slot, file_name, original_name, mime_type, size_bytes, caption, duration_seconds, sort_order, uploaded_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            kind, slot, fileName, originalName, mimeType, req.body.length,
+            kind === 'slide' ? (details.details.caption || null) : null,
+            kind === 'slide' ? (details.details.duration_seconds || null) : null,
+            kind === 'slide' ? orders[0].max_order + 1 : 0,
+            req.user.username
+        ]);
+
+        // One emoji per slot: the previous upload goes
+        if (kind === 'emoji') {
+            const [previous] = await pool.query("SELECT id, file_name FROM media WHERE kind = 'emoji' AND slot = ? AND id <> ?", [slot, result.insertId]);
+            for (const item of previous) {
+                await pool.query('DELETE FROM media WHERE id = ?', [item.id]);
+                await removeMediaFile(item.file_name);
+            }
+        }
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'MEDIA_UPLOADED',
+            timestamp: new Date().toISOString(),
+            mediaId: result.insertId,
+            kind,
+            slot,
+            mimeType,
+            size: req.body.length,
+            user: req.user.username
+        }));
+
+        const [rows] = await pool.query('SELECT * FROM media WHERE id = ?', [result.insertId]);
+        res.status(201).json({ success: true, media: describeMedia(rows[0]) });
+    } catch (error) {
+        await removeMediaFile(fileName);
+        console.error('Error uploading media:', error);
+        res.status(500).json({ success: false, error: 'Upload failed' });
+    }
+});
+
+// Reorder the slides: { ids } with every slide exactly once.
+// Declared before PUT /:id so "reorder" is not taken for a media id.
+app.put('/admin/api/media/reorder', authMiddleware, async (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id)) : null;
+    if (!ids || ids.length === 0 || ids.some(id => !id) || new Set(ids).size !== ids.length) {
+        return res.status(400).json({ success: false, error: 'A list of slide ids is required' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.query("SELECT id FROM media WHERE kind = 'slide' FOR UPDATE");
+        const existing = new Set(rows.map(row => row.id));
+        if (existing.size !== ids.length || ids.some(id => !existing.has(id))) {
+            await conn.rollback();
+            return res.status(400).json({ success: false, error: 'The list must contain every slide exactly once' });
+        }
+
+        for (const [index, id] of ids.entries()) {
+            await conn.query('UPDATE media SET sort_order = ? WHERE id = ?', [index + 1, id]);
+        }
+        await conn.commit();
+
+        res.json({ success: true, message: 'Slides reordered' });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Error reordering slides:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// Update a slide's caption, display duration or active state
+app.put('/admin/api/media/:id', authMiddleware, async (req, res) => {
+    const built = buildMediaDetails(req.body);
+    if (built.error) {
+        return res.status(400).json({ success: false, error: built.error });
+    }
+    const fields = Object.keys(built.details);
+    if (fields.length === 0) {
+        return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    try {
+        const [result] = await pool.query(
+            `UPDATE media SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? AND kind = 'slide'`,
+            [...fields.map(field => built.details[field]), req.params.id]
         );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, error: 'Slide not found' });
+        }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.id, username: user.username, name: user.name },
-            JWT_SECRET,
-            { expiresIn: '24h' }
+        const [rows] = await pool.query('SELECT * FROM media WHERE id = ?', [req.params.id]);
+        res.json({ success: true, media: describeMedia(rows[0]) });
+    } catch (error) {
+        console.error('Error updating media:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Delete a slide, or an uploaded emoji (its slot falls back to the bundled one)
+app.delete('/admin/api/media/:id', authMiddleware, async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM media WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Media not found' });
+        }
+
+        await pool.query('DELETE FROM media WHERE id = ?', [req.params.id]);
+        await removeMediaFile(rows[0].file_name);
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'MEDIA_DELETED',
+            timestamp: new Date().toISOString(),
+            mediaId: rows[0].id,
+            kind: rows[0].kind,
+            slot: rows[0].slot,
+            user: req.user.username
+        }));
+
+        res.json({ success: true, message: 'Media deleted' });
+    } catch (error) {
+        console.error('Error deleting media:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// =====================================================
+// MOBILE SURVEY API - QR codes with one-time links
+// =====================================================
+
+// Issue a link for a ticket: { queue_id, survey (slug, default survey when empty) }.
+// Returns the link and its QR code (SVG) to print on the ticket or show at the counter;
+// only a hash of the token is stored, so the link cannot be shown again later.
+app.post('/admin/api/mobile-tokens', mobileIssuerMiddleware, async (req, res) => {
+    const queueId = String(req.body.queue_id || '').trim().toUpperCase();
+    if (!QUEUE_TICKET_PATTERN.test(queueId)) {
+        return res.status(400).json({ success: false, error: QUEUE_TICKET_ERRORS.invalid });
+    }
+
+    try {
+        const questionnaire = await resolveQuestionnaire(req.body.survey);
+        if (!questionnaire) {
+            return res.status(400).json({ success: false, error: 'Survey not found' });
+        }
+
+        const [rated] = await pool.query('SELECT id FROM surveys WHERE queue_ticket_key = ?', [`${localDate(new Date())}:${queueId}`]);
+        if (rated.length > 0) {
+            return res.status(400).json({ success: false, error: QUEUE_TICKET_ERRORS.already_rated });
+        }
+
+        const token = crypto.randomBytes(16).toString('base64url');
+        const expiresAt = new Date(Date.now() + MOBILE_TOKEN_TTL);
+        await pool.query(
+            'INSERT INTO mobile_tokens (token_hash, queue_id, questionnaire_id, issued_by, expires_at) VALUES (?, ?, ?, ?, ?)',
+            [hashToken(token), queueId, questionnaire.id, req.user.username, expiresAt]
         );
 
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'MOBILE_LINK_ISSUED',
+            timestamp: new Date().toISOString(),
+            queueId,
+            survey: questionnaire.slug,
+            user: req.user.username,
+            ip: getClientIp(req)
+        }));
+
+        const url = `${mobileBaseUrl(req)}/m/${token}`;
+        res.status(201).json({
+            success: true,
+            queue_id: queueId,
+            survey: questionnaire.name,
+            url,
+            expires_at: expiresAt.toISOString(),
+            // Level M, 4-module quiet zone
+            qr_svg: await QRCode.toString(url, { type: 'svg', errorCorrectionLevel: 'M', margin: 4 })
+        });
+    } catch (error) {
+        console.error('Mobile link error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Links issued today, newest first, with their state (active, used, expired)
+app.get('/admin/api/mobile-tokens', authMiddleware, async (req, res) => {
+    try {
+        const [rows] = await pool.query(`
+            SELECT t.id, t.queue_id, t.issued_by, t.expires_at, t.used_at, t.survey_id, t.created_at, qn.name as survey_name
+            FROM mobile_tokens t
+            LEFT JOIN questionnaires qn ON qn.id = t.questionnaire_id
+            WHERE t.created_at >= CURDATE()
+            ORDER BY t.created_at DESC
+        `);
+
+        const tokens = rows.map(row => ({ ...row, status: mobileTokenStatus(row) }));
         res.json({
             success: true,
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                name: user.name
+            data: {
+                tokens,
+                summary: {
+                    issued: tokens.length,
+                    used: tokens.filter(t => t.status === 'used').length,
+                    active: tokens.filter(t => t.status === 'active').length,
+                    expired: tokens.filter(t => t.status === 'expired').length
+                },
+                ttl_minutes: MOBILE_TOKEN_TTL / 60000
             }
         });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, error: 'Server error' });
+        console.error('Mobile links error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
     }
 });
 
-// Get dashboard stats (protected)
-app.get('/admin/api/dashboard', authMiddleware, async (req, res) => {
+// A mobile link's ticket and survey (public - for the mobile survey page)
+app.get('/api/mobile/:token', async (req, res) => {
     try {
-        // Total surveys
-        const [totalResult] = await pool.query('SELECT COUNT(*) as total FROM surveys');
+        const row = await findMobileToken(req.params.token);
+        const status = row ? mobileTokenStatus(row) : 'not_found';
+        if (status !== 'active') {
+            return res.status(row ? 410 : 404).json({ success: false, error: MOBILE_TOKEN_ERRORS[status], reason: status });
+        }
 
-        // Today's surveys
-        const [todayResult] = await pool.query(
-            'SELECT COUNT(*) as today FROM surveys WHERE DATE(created_at) = CURDATE()'
-        );
+        const questionnaire = await getMobileQuestionnaire(row.questionnaire_id);
+        if (!questionnaire) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
 
-        // This month's surveys
-        const [monthResult] = await pool.query(
-            'SELECT COUNT(*) as month FROM surveys WHERE YEAR(created_at) = YEAR(CURDATE()) AND MONTH(created_at) = MONTH(CURDATE())'
-        );
+        res.json({
+            success: true,
+            data: {
+                queueId: row.queue_id,
+                survey: questionnaire.slug,
+                surveyName: questionnaire.name,
+                expiresAt: new Date(row.expires_at).toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Mobile link error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
 
-        // Get all active questions
-        const [questions] = await pool.query(`
-            SELECT id, question_key, question_text, option_positive, option_neutral, option_negative, display_order 
-            FROM questions 
-            WHERE is_active = 1 
-            ORDER BY display_order ASC
-        `);
+// =====================================================
+// QUESTIONS API - CRUD for survey questions
+// =====================================================
 
-        // Per-question breakdown (legacy - for backward compatibility)
-        const [questionsBreakdown] = await pool.query(`
-            SELECT 
-                -- Q1 Kecepatan
-                SUM(CASE WHEN q1_kecepatan = 'sangat_baik' THEN 1 ELSE 0 END) as q1_sangat_baik,
-                SUM(CASE WHEN q1_kecepatan = 'cukup_baik' THEN 1 ELSE 0 END) as q1_cukup_baik,
-                SUM(CASE WHEN q1_kecepatan = 'kurang_baik' THEN 1 ELSE 0 END) as q1_kurang_baik,
-                -- Q2 Keramahan
-                SUM(CASE WHEN q2_keramahan = 'sangat_baik' THEN 1 ELSE 0 END) as q2_sangat_baik,
-                SUM(CASE WHEN q2_keramahan = 'cukup_baik' THEN 1 ELSE 0 END) as q2_cukup_baik,
-                SUM(CASE WHEN q2_keramahan = 'kurang_baik' THEN 1 ELSE 0 END) as q2_kurang_baik,
-                -- Q3 Kejelasan
-                SUM(CASE WHEN q3_kejelasan = 'sangat_baik' THEN 1 ELSE 0 END) as q3_sangat_baik,
-                SUM(CASE WHEN q3_kejelasan = 'cukup_baik' THEN 1 ELSE 0 END) as q3_cukup_baik,
-                SUM(CASE WHEN q3_kejelasan = 'kurang_baik' THEN 1 ELSE 0 END) as q3_kurang_baik,
-                -- Q4 Fasilitas
-                SUM(CASE WHEN q4_fasilitas = 'sangat_baik' THEN 1 ELSE 0 END) as q4_sangat_baik,
-                SUM(CASE WHEN q4_fasilitas = 'cukup_baik' THEN 1 ELSE 0 END) as q4_cukup_baik,
-                SUM(CASE WHEN q4_fasilitas = 'kurang_baik' THEN 1 ELSE 0 END) as q4_kurang_baik,
-                -- Q5 Kepuasan
-                SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as q5_sangat_baik,
-                SUM(CASE WHEN q5_kepuasan = 'cukup_baik' THEN 1 ELSE 0 END) as q5_cukup_baik,
-                SUM(CASE WHEN q5_kepuasan = 'kurang_baik' THEN 1 ELSE 0 END) as q5_kurang_baik
-            FROM surveys
-        `);
+// Get all questions of a survey (public - for kiosk, ?survey=<slug>, default survey otherwise)
+app.get('/api/questions', async (req, res) => {
+    try {
+        const questionnaire = await resolveQuestionnaire(req.query.survey);
+        if (!questionnaire) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
 
-        // Last 7 days trend
-        const [trendResult] = await pool.query(`
-            SELECT 
-                DATE(created_at) as date,
-                COUNT(*) as count
-            FROM surveys 
-            WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
-            GROUP BY DATE(created_at)
-            ORDER BY date ASC
-        `);
+        const [questions] = await pool.query(`
+            SELECT q.id, q.question_key, q.question_type, q.question_text, q.question_subtitle,
+                   q.option_positive, q.option_neutral, q.option_negative, q.options_json, q.followup_json,
+                   q.translations_json, q.display_order
+            FROM questions q
+            WHERE q.is_active = 1 AND q.archived_at IS NULL AND ${SCHEDULE_STARTED_SQL} AND ${SCHEDULE_NOT_EXPIRED_SQL}
+                AND q.questionnaire_id = ?
+            ORDER BY q.display_order ASC
+        `, [questionnaire.id]);
+        res.json({
+            success: true,
+            survey: { slug: questionnaire.slug, name: questionnaire.name },
+            // Sent back with the answers, so they are reported with this wording
+            questionnaireVersion: await getCurrentVersionId(questionnaire.id),
+            languages: LANGUAGES,
+            questions: questions.map(({ options_json, followup_json, translations_json, ...q }) => ({
+                ...q,
+                options: getChoiceOptions({ options_json }),
+                followup: getFollowup({ followup_json }),
+                translations: getTranslations({ translations_json })
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting questions:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
 
-        const breakdown = questionsBreakdown[0];
+// Kiosk configuration (public - for auto-fullscreen and the kiosk settings).
+// A paired kiosk (X-Device-Token) gets its own settings on top of the global ones.
+app.get('/api/kiosk-config', async (req, res) => {
+    try {
+        const device = await resolveDevice(req);
+        const settings = await getKioskSettings(device ? device.id : null);
 
-        // Build dynamic questions stats array
-        const questionStats = questions.map((q, index) => {
-            const qNum = index + 1;
-            const prefix = `q${qNum}`;
-            return {
-                id: q.id,
-                key: q.question_key,
-                text: q.question_text,
-                option_positive: q.option_positive,
-                option_neutral: q.option_neutral,
-                option_negative: q.option_negative,
-                order: q.display_order,
-                stats: {
-                    sangat_baik: parseInt(breakdown[`${prefix}_sangat_baik`]) || 0,
-                    cukup_baik: parseInt(breakdown[`${prefix}_cukup_baik`]) || 0,
-                    kurang_baik: parseInt(breakdown[`${prefix}_kurang_baik`]) || 0
-                }
-            };
+        res.json({
+            success: true,
+            kioskDomain: process.env.KIOSK_DOMAIN || '',
+            fullscreenDelay: settings.fullscreen_delay * 1000,
+            idleTimeout: settings.idle_timeout,
+            countdownSeconds: settings.countdown_seconds,
+            slideshowInterval: settings.slideshow_interval * 1000,
+            queueLetters: settings.queue_letters,
+            queueMaxLength: settings.queue_max_length,
+            theme: {
+                primaryColor: settings.primary_color,
+                secondaryColor: settings.secondary_color
+            },
+            thankYou: {
+                id: { title: settings.thank_you_title_id, text: settings.thank_you_text_id },
+                en: { title: settings.thank_you_title_en, text: settings.thank_you_text_en }
+            },
+            servedByStep: settings.served_by_step
         });
+    } catch (error) {
+        console.error('Kiosk config error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Live updates for kiosks (public - Server-Sent Events): `hello` with the kiosk
+// build on connecting, then a `change` event for every admin edit to reload
+app.get('/api/kiosk/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Nginx: pass events through unbuffered
+    });
+    res.flushHeaders();
+    res.write(`retry: ${KIOSK_EVENTS_RETRY}\n\n`);
+    sendKioskEvent(res, 'hello', { build: KIOSK_BUILD, appVersion: APP_VERSION });
+
+    kioskStreams.add(res);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KIOSK_EVENTS_KEEPALIVE);
+    req.on('close', () => {
+        clearInterval(keepalive);
+        kioskStreams.delete(res);
+    });
+});
+
+// Active counters and officers for the kiosk's "who served you" step (public - for kiosk).
+// counterId is the paired kiosk's own counter, when it is in the directory.
+app.get('/api/staff', async (req, res) => {
+    try {
+        const device = await resolveDevice(req);
+        const [counters] = await pool.query('SELECT id, name FROM service_counters WHERE is_active = 1 ORDER BY name ASC');
+        const [staff] = await pool.query('SELECT id, name, counter_id FROM staff WHERE is_active = 1 ORDER BY name ASC');
+        const kioskCounter = device ? await findDirectoryEntry('service_counters', device.service_counter) : null;
 
         res.json({
             success: true,
-            data: {
-                total: totalResult[0].total,
-                today: todayResult[0].today,
-                thisMonth: monthResult[0].month,
-                questionsList: questionStats, // New dynamic list
-                questions: { // Legacy format for backward compatibility
-                    q1_kecepatan: {
-                        sangat_baik: parseInt(breakdown.q1_sangat_baik) || 0,
-                        cukup_baik: parseInt(breakdown.q1_cukup_baik) || 0,
-                        kurang_baik: parseInt(breakdown.q1_kurang_baik) || 0
-                    },
-                    q2_keramahan: {
-                        sangat_baik: parseInt(breakdown.q2_sangat_baik) || 0,
-                        cukup_baik: parseInt(breakdown.q2_cukup_baik) || 0,
-                        kurang_baik: parseInt(breakdown.q2_kurang_baik) || 0
-                    },
-                    q3_kejelasan: {
-                        sangat_baik: parseInt(breakdown.q3_sangat_baik) || 0,
-                        cukup_baik: parseInt(breakdown.q3_cukup_baik) || 0,
-                        kurang_baik: parseInt(breakdown.q3_kurang_baik) || 0
-                    },
-                    q4_fasilitas: {
-                        sangat_baik: parseInt(breakdown.q4_sangat_baik) || 0,
-                        cukup_baik: parseInt(breakdown.q4_cukup_baik) || 0,
-                        kurang_baik: parseInt(breakdown.q4_kurang_baik) || 0
-                    },
-                    q5_kepuasan: {
-                        sangat_baik: parseInt(breakdown.q5_sangat_baik) || 0,
-                        cukup_baik: parseInt(breakdown.q5_cukup_baik) || 0,
-                        kurang_baik: parseInt(breakdown.q5_kurang_baik) || 0
-                    }
-                },
-                trend: trendResult
-            }
+            counterId: kioskCounter ? kioskCounter.id : null,
+            counters,
+            staff: staff.map(s => ({ id: s.id, name: s.name, counterId: s.counter_id }))
         });
     } catch (error) {
-        console.error('Dashboard error:', error);
+        console.error('Staff directory error:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
 
-// Get recent submissions with suspicious activity detection (protected)
-app.get('/admin/api/recent', authMiddleware, async (req, res) => {
+// Slideshow and emojis of the media library (public - for kiosk)
+app.get('/api/media', async (req, res) => {
     try {
-        // Get last 15 submissions
-        const [recent] = await pool.query(`
-            SELECT 
-                id,
-                q1_kecepatan,
-                q2_keramahan,
-                q3_kejelasan,
-                q4_fasilitas,
-                q5_kepuasan,
-                ip_address,
-                created_at
-            FROM surveys
-            ORDER BY created_at DESC
-            LIMIT 15
-        `);
-
-        // Detect suspicious activity: same IP submitting 3+ times in 10 minutes
-        const [suspicious] = await pool.query(`
-            SELECT 
-                ip_address,
-                COUNT(*) as count,
-                MIN(created_at) as first_submission,
-                MAX(created_at) as last_submission
-            FROM surveys
-            WHERE created_at >= DATE_SUB(NOW(), INTERVAL 10 MINUTE)
-            GROUP BY ip_address
-            HAVING COUNT(*) >= 3
-        `);
+        res.json({ success: true, ...(await getKioskMedia()) });
+    } catch (error) {
+        console.error('Media error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
 
-        // Get unique IPs today
-        const [uniqueIps] = await pool.query(`
-            SELECT COUNT(DISTINCT ip_address) as unique_ips
-            FROM surveys
-            WHERE DATE(created_at) = CURDATE()
-        `);
+// Kiosk settings for the Konfigurasi page: all kiosks, or one kiosk with ?device=<id>
+app.get('/admin/api/kiosk-settings', authMiddleware, async (req, res) => {
+    try {
+        const deviceId = req.query.device ? parseInt(req.query.device) : null;
+        let device = null;
+        if (deviceId) {
+            const [devices] = await pool.query('SELECT id, name, location FROM devices WHERE id = ?', [deviceId]);
+            if (devices.length === 0) {
+                return res.status(404).json({ success: false, error: 'Device not found' });
+            }
+            device = devices[0];
+        }
 
+        const stored = await getStoredKioskSettings(deviceId ? [KIOSK_SETTINGS_GLOBAL, deviceId] : [KIOSK_SETTINGS_GLOBAL]);
         res.json({
             success: true,
-            data: {
-                recent: recent.map(r => ({
-                    ...r,
-                    isSuspicious: suspicious.some(s => s.ip_address === r.ip_address)
-                })),
-                suspicious: suspicious,
-                uniqueIpsToday: uniqueIps[0].unique_ips || 0,
-                timestamp: new Date().toISOString()
-            }
+            fields: KIOSK_SETTINGS,
+            defaults: kioskSettingDefaults(),
+            global: stored[KIOSK_SETTINGS_GLOBAL] || {},
+            device,
+            overrides: device ? (stored[device.id] || {}) : null,
+            effective: await getKioskSettings(deviceId)
         });
     } catch (error) {
-        console.error('Recent submissions error:', error);
+        console.error('Error getting kiosk settings:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
 
-// Get monthly report data (protected)
-app.get('/admin/api/reports/monthly', authMiddleware, async (req, res) => {
-    const { year, month } = req.query;
+// Save the settings of all kiosks, or of one kiosk with { device_id }.
+// Values left empty inherit; saving nothing removes the stored settings.
+app.put('/admin/api/kiosk-settings', authMiddleware, async (req, res) => {
+    const deviceId = req.body.device_id ? parseInt(req.body.device_id) : KIOSK_SETTINGS_GLOBAL;
+    const built = buildKioskSettings(req.body.settings || {});
+    if (built.error) {
+        return res.status(400).json({ success: false, error: built.error });
+    }
 
-    const targetYear = year || new Date().getFullYear();
-    const targetMonth = month || new Date().getMonth() + 1;
+    try {
+        if (deviceId !== KIOSK_SETTINGS_GLOBAL) {
+            const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId]);
+            if (devices.length === 0) {
+                return res.status(404).json({ success: false, error: 'Device not found' });
+            }
+        }
+
+        if (Object.keys(built.settings).length === 0) {
+            await pool.query('DELETE FROM kiosk_settings WHERE device_id = ?', [deviceId]);
+        } else {
+            await pool.query(`
+                INSERT INTO kiosk_settings (device_id, settings_json, updated_by) VALUES (?, ?, ?)
+                ON DUPLICATE KEY UPDATE settings_json = VALUES(settings_json), updated_by = VALUES(updated_by)
+            `, [deviceId, JSON.stringify(built.settings), req.user.username]);
+        }
+
+        console.log('[AUDIT]', JSON.stringify({
+            event: 'KIOSK_SETTINGS_UPDATED',
+            timestamp: new Date().toISOString(),
+            deviceId: deviceId || null,
+            settings: built.settings,
+            user: req.user.username
+        }));
+
+        res.json({ success: true, settings: built.settings, effective: await getKioskSettings(deviceId || null) });
+    } catch (error) {
+        console.error('Error saving kiosk settings:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
 
+// Turn a survey name into a URL slug for kiosk links (?survey=<slug>)
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 50);
+}
+
+// List surveys (questionnaires) of this unit
+app.get('/admin/api/questionnaires', authMiddleware, async (req, res) => {
     try {
-        // Get all active questions
-        const [questions] = await pool.query(`
-            SELECT id, question_key, question_text, option_positive, option_neutral, option_negative, display_order 
-            FROM questions 
-            WHERE is_active = 1 
-            ORDER BY display_order ASC
+        const [questionnaires] = await pool.query(`
+            SELECT qn.*,
+                   (SELECT COUNT(*) FROM questions q WHERE q.questionnaire_id = qn.id AND q.archived_at IS NULL) as question_count,
+                   (SELECT COUNT(*) FROM surveys s WHERE s.questionnaire_id = qn.id) as survey_count
+            FROM questionnaires qn
+            ORDER BY qn.is_default DESC, qn.name ASC
         `);
+        res.json({ success: true, questionnaires });
+    } catch (error) {
+        console.error('Error getting questionnaires:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
 
-        // Get monthly stats
-        const [stats] = await pool.query(`
-            SELECT 
-                COUNT(*) as total,
-                SUM(CASE WHEN q1_kecepatan = 'sangat_baik' THEN 1 ELSE 0 END) as q1_sangat_baik,
-                SUM(CASE WHEN q1_kecepatan = 'cukup_baik' THEN 1 ELSE 0 END) as q1_cukup_baik,
-                SUM(CASE WHEN q1_kecepatan = 'kurang_baik' THEN 1 ELSE 0 END) as q1_kurang_baik,
-                SUM(CASE WHEN q2_keramahan = 'sangat_baik' THEN 1 ELSE 0 END) as q2_sangat_baik,
-                SUM(CASE WHEN q2_keramahan = 'cukup_baik' THEN 1 ELSE 0 END) as q2_cukup_baik,
-                SUM(CASE WHEN q2_keramahan = 'kurang_baik' THEN 1 ELSE 0 END) as q2_kurang_baik,
-                SUM(CASE WHEN q3_kejelasan = 'sangat_baik' THEN 1 ELSE 0 END) as q3_sangat_baik,
-                SUM(CASE WHEN q3_kejelasan = 'cukup_baik' THEN 1 ELSE 0 END) as q3_cukup_baik,
-                SUM(CASE WHEN q3_kejelasan = 'kurang_baik' THEN 1 ELSE 0 END) as q3_kurang_baik,
-                SUM(CASE WHEN q4_fasilitas = 'sangat_baik' THEN 1 ELSE 0 END) as q4_sangat_baik,
-                SUM(CASE WHEN q4_fasilitas = 'cukup_baik' THEN 1 ELSE 0 END) as q4_cukup_baik,
-                SUM(CASE WHEN q4_fasilitas = 'kurang_baik' THEN 1 ELSE 0 END) as q4_kurang_baik,
-                SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as q5_sangat_baik,
-                SUM(CASE WHEN q5_kepuasan = 'cukup_baik' THEN 1 ELSE 0 END) as q5_cukup_baik,
-                SUM(CASE WHEN q5_kepuasan = 'kurang_baik' THEN 1 ELSE 0 END) as q5_kurang_baik
-            FROM surveys
-            WHERE YEAR(created_at) = ? AND MONTH(created_at) = ?
-        `, [targetYear, targetMonth]);
+// CREATE new survey
+app.post('/admin/api/questionnaires', authMiddleware, async (req, res) => {
+    const { name, description } = req.body;
+    const slug = slugify(req.body.slug || name);
 
-        // Get daily breakdown
-        const [dailyStats] = await pool.query(`
-            SELECT 
-                DATE(created_at) as date,
-                COUNT(*) as total,
-                SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as satisfied
-            FROM surveys
-            WHERE YEAR(created_at) = ? AND MONTH(created_at) = ?
-            GROUP BY DATE(created_at)
-            ORDER BY date ASC
-        `, [targetYear, targetMonth]);
+    if (!name || !slug) {
+        return res.status(400).json({ success: false, error: 'Survey name is required' });
+    }
 
-        // Build dynamic questions list for frontend
-        const questionsList = questions.map((q, index) => ({
-            id: q.id,
-            key: q.question_key,
-            name: q.question_text.replace(/\?$/, '').replace(/^Bagaimana /, '').replace(/^Secara keseluruhan, bagaimana /, ''),
-            text: q.question_text,
-            prefix: `q${index + 1}`,
-            option_positive: q.option_positive,
-            option_neutral: q.option_neutral,
-            option_negative: q.option_negative
-        }));
+    try {
+        const [existing] = await pool.query('SELECT id FROM questionnaires WHERE slug = ?', [slug]);
+        if (existing.length > 0) {
+            return res.status(400).json({ success: false, error: 'Slug already used by another survey' });
+        }
 
-        res.json({
-            success: true,
-            data: {
-                year: parseInt(targetYear),
-                month: parseInt(targetMonth),
-                stats: stats[0],
-                daily: dailyStats,
-                questionsList: questionsList // New dynamic questions list
-            }
-        });
+        const [result] = await pool.query(
+            'INSERT INTO questionnaires (slug, name, description) VALUES (?, ?, ?)',
+            [slug, name, description || null]
+        );
+        console.log(`[AUDIT] Survey ${slug} created by ${req.user.username}`);
+
+        res.json({ success: true, message: 'Survey created', questionnaire: { id: result.insertId, slug, name, description: description || null } });
     } catch (error) {
-        console.error('Report error:', error);
+        console.error('Error creating questionnaire:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
 
-// Heatmap API - Hourly submission patterns
-app.get('/admin/api/heatmap', authMiddleware, async (req, res) => {
+// Update survey (the default survey cannot be deactivated)
+app.put('/admin/api/questionnaires/:id', authMiddleware, async (req, res) => {
+    const { name, description, is_active, is_default } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ success: false, error: 'Survey name is required' });
+    }
+
+    let conn;
     try {
-        // Get hourly data for the last 30 days grouped by day of week and hour
-        const [heatmapData] = await pool.query(`
-            SELECT 
-                DAYOFWEEK(created_at) as day_of_week,
-                HOUR(created_at) as hour,
-                COUNT(*) as count
-            FROM surveys
-            WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-            GROUP BY DAYOFWEEK(created_at), HOUR(created_at)
-            ORDER BY day_of_week, hour
-        `);
+        conn = await pool.getConnection();
+        const [existing] = await conn.query('SELECT * FROM questionnaires WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
 
-        // Transform to 7x24 matrix (days x hours)
-        // DAYOFWEEK: 1=Sunday, 2=Monday, ..., 7=Saturday
-        const matrix = Array(7).fill(null).map(() => Array(24).fill(0));
-        let maxCount = 0;
+        const makeDefault = existing[0].is_default || is_default;
+        if (makeDefault && is_active === false) {
+            return res.status(400).json({ success: false, error: 'The default survey cannot be deactivated' });
+        }
 
-        heatmapData.forEach(row => {
-            const dayIndex = row.day_of_week - 1; // 0-indexed
-            matrix[dayIndex][row.hour] = row.count;
-            if (row.count > maxCount) maxCount = row.count;
-        });
+        await conn.beginTransaction();
+        if (makeDefault && !existing[0].is_default) {
+            await conn.query('UPDATE questionnaires SET is_default = 0');
+        }
+        await conn.query(
+            'UPDATE questionnaires SET name = ?, description = ?, is_active = ?, is_default = ? WHERE id = ?',
+            [name, description || null, is_active === false ? 0 : 1, makeDefault ? 1 : 0, req.params.id]
+        );
+        await conn.commit();
+
+        res.json({ success: true, message: 'Survey updated' });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Error updating questionnaire:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// Export a survey's questions as a JSON template file
+app.get('/admin/api/questionnaires/:id/export', authMiddleware, async (req, res) => {
+    try {
+        const [questionnaires] = await pool.query('SELECT * FROM questionnaires WHERE id = ?', [req.params.id]);
+        if (questionnaires.length === 0) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
+
+        const template = await exportTemplate(questionnaires[0]);
+        const date = template.exported_at.substring(0, 10);
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename=kuesioner-${questionnaires[0].slug}-${date}.json`);
+        res.send(JSON.stringify(template, null, 2));
+    } catch (error) {
+        console.error('Template export error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export template' });
+    }
+});
+
+// Validate a template and show what importing it would change (nothing is written)
+app.post('/admin/api/questionnaires/:id/import/preview', authMiddleware, async (req, res) => {
+    const parsed = parseTemplate(req.body.template);
+    if (parsed.errors) {
+        return res.status(400).json({ success: false, error: 'Invalid template', details: parsed.errors });
+    }
+
+    try {
+        const [questionnaires] = await pool.query('SELECT id FROM questionnaires WHERE id = ?', [req.params.id]);
+        if (questionnaires.length === 0) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
 
+        const plan = await planTemplateImport(pool, questionnaires[0].id, parsed.questions);
         res.json({
             success: true,
-            data: {
-                matrix,
-                maxCount,
-                days: ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu']
+            preview: {
+                survey: req.body.template.survey || null,
+                exported_at: req.body.template.exported_at || null,
+                ...summarizeTemplatePlan(plan)
             }
         });
     } catch (error) {
-        console.error('Heatmap error:', error);
+        console.error('Template preview error:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
 
-// Audit Logs API - Paginated submission history
-app.get('/admin/api/logs', authMiddleware, async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const date = req.query.date; // Optional date filter YYYY-MM-DD
+// Import a template into a survey in one transaction
+app.post('/admin/api/questionnaires/:id/import', authMiddleware, async (req, res) => {
+    const parsed = parseTemplate(req.body.template);
+    if (parsed.errors) {
+        return res.status(400).json({ success: false, error: 'Invalid template', details: parsed.errors });
+    }
 
+    let conn;
     try {
-        let whereClause = '';
-        let params = [];
+        conn = await pool.getConnection();
+        const [questionnaires] = await conn.query('SELECT id FROM questionnaires WHERE id = ?', [req.params.id]);
+        if (questionnaires.length === 0) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
+        const questionnaireId = questionnaires[0].id;
 
-        if (date) {
-            whereClause = 'WHERE DATE(created_at) = ?';
-            params.push(date);
+        await conn.beginTransaction();
+        const plan = await planTemplateImport(conn, questionnaireId, parsed.questions);
+        await applyTemplateImport(conn, questionnaireId, plan);
+        const versionId = await recordQuestionnaireVersion(conn, questionnaireId, 'Impor template', req.user);
+        await conn.commit();
+
+        res.json({ success: true, message: 'Template imported', version_id: versionId, result: summarizeTemplatePlan(plan) });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Template import error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// Built-in questionnaire templates
+app.get('/admin/api/templates', authMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        templates: QUESTIONNAIRE_LIBRARY.map(t => ({
+            id: t.id,
+            name: t.name,
+            description: t.description,
+            question_count: t.questions.length
+        }))
+    });
+});
+
+// One library template with its questions, for the preview
+app.get('/admin/api/templates/:templateId', authMiddleware, (req, res) => {
+    try {
+        const template = getLibraryTemplate(req.params.templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
         }
+        res.json({ success: true, template });
+    } catch (error) {
+        console.error('Template library error:', error);
+        res.status(500).json({ success: false, error: 'Invalid template' });
+    }
+});
 
-        // Get total count
-        const [countResult] = await pool.query(
-            `SELECT COUNT(*) as total FROM surveys ${whereClause}`,
-            params
-        );
-        const total = countResult[0].total;
+// Apply a library template ({ template_id }) to a survey, archiving its current questions
+app.post('/admin/api/questionnaires/:id/apply-template', authMiddleware, async (req, res) => {
+    let template;
+    try {
+        template = getLibraryTemplate(req.body.template_id);
+    } catch (error) {
+        console.error('Template library error:', error);
+        return res.status(500).json({ success: false, error: 'Invalid template' });
+    }
+    if (!template) {
+        return res.status(400).json({ success: false, error: 'Template not found' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [questionnaires] = await conn.query('SELECT id FROM questionnaires WHERE id = ?', [req.params.id]);
+        if (questionnaires.length === 0) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
+        }
+        const questionnaireId = questionnaires[0].id;
 
-        // Get paginated data
-        const [submissions] = await pool.query(`
-            SELECT 
-                id,
-                created_at,
-                q1_kecepatan,
-                q2_keramahan,
-                q3_kejelasan,
-                q4_fasilitas,
-                q5_kepuasan
-            FROM surveys
-            ${whereClause}
-            ORDER BY created_at DESC
-            LIMIT ? OFFSET ?
-        `, [...params, limit, offset]);
+        await conn.beginTransaction();
+        const result = await applyLibraryTemplate(conn, questionnaireId, template);
+        const versionId = await recordQuestionnaireVersion(conn, questionnaireId, `Terapkan template ${template.name}`, req.user);
+        await conn.commit();
 
-        res.json({
-            success: true,
-            data: {
-                submissions,
-                pagination: {
-                    page,
-                    limit,
-                    total,
-                    totalPages: Math.ceil(total / limit)
-                }
-            }
-        });
+        res.json({ success: true, message: 'Template applied', version_id: versionId, result });
     } catch (error) {
-        console.error('Logs error:', error);
+        if (conn) await conn.rollback();
+        console.error('Template apply error:', error);
         res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
-// =====================================================
-// QUESTIONS API - CRUD for survey questions
-// =====================================================
-
-// Get all questions (public - for kiosk)
-app.get('/api/questions', async (req, res) => {
+// Get all questions of a survey (admin - includes inactive, ?survey=<id>, default survey otherwise)
+app.get('/admin/api/questions', authMiddleware, async (req, res) => {
     try {
+        const questionnaireId = parseInt(req.query.survey) || await getDefaultQuestionnaireId();
+        // ?archived=1 lists the archive instead, with the answers that keep each question there
+        const archived = req.query.archived === '1';
         const [questions] = await pool.query(`
-            SELECT id, question_key, question_text, question_subtitle,
-                   option_positive, option_neutral, option_negative, display_order
-            FROM questions
-            WHERE is_active = 1
-            ORDER BY display_order ASC
-        `);
-        res.json({ success: true, questions });
+            SELECT q.*, ${SCHEDULE_COLUMNS_SQL}, ${SCHEDULE_STATUS_SQL} as schedule_status
+                ${archived ? ', (SELECT COUNT(*) FROM survey_answers a WHERE a.question_id = q.id) as answer_count' : ''}
+            FROM questions q
+            WHERE q.questionnaire_id = ? AND q.archived_at IS ${archived ? 'NOT NULL' : 'NULL'}
+            ORDER BY ${archived ? 'q.archived_at DESC' : 'q.display_order ASC'}
+        `, [questionnaireId]);
+        res.json({ success: true, questionnaire_id: questionnaireId, questions });
     } catch (error) {
         console.error('Error getting questions:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
 
-// Kiosk configuration (public - for auto-fullscreen)
-app.get('/api/kiosk-config', (req, res) => {
-    res.json({
-        success: true,
-        kioskDomain: process.env.KIOSK_DOMAIN || '',
-        fullscreenDelay: 3000 // 3 seconds
-    });
+// Questionnaire version history of a survey (newest first)
+app.get('/admin/api/questions/versions', authMiddleware, async (req, res) => {
+    try {
+        const questionnaireId = parseInt(req.query.survey) || await getDefaultQuestionnaireId();
+        const [versions] = await pool.query(`
+            SELECT v.id, v.note, v.created_by, v.created_at, v.questions_json,
+                   (SELECT COUNT(*) FROM surveys s WHERE s.questionnaire_version_id = v.id) as survey_count
+            FROM questionnaire_versions v
+            WHERE v.questionnaire_id = ?
+            ORDER BY v.id DESC
+        `, [questionnaireId]);
+        const currentId = versions.length > 0 ? versions[0].id : null;
+
+        res.json({
+            success: true,
+            versions: versions.map(({ questions_json, ...v }) => ({
+                ...v,
+                question_count: JSON.parse(questions_json).filter(q => q.is_active).length,
+                is_current: v.id === currentId
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting questionnaire versions:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
 });
 
-// Get all questions (admin - includes inactive)
-app.get('/admin/api/questions', authMiddleware, async (req, res) => {
+// Questions of one questionnaire version
+app.get('/admin/api/questions/versions/:versionId', authMiddleware, async (req, res) => {
     try {
-        const [questions] = await pool.query(`
-            SELECT * FROM questions ORDER BY display_order ASC
-        `);
-        res.json({ success: true, questions });
+        const [versions] = await pool.query(
+            'SELECT id, note, created_by, created_at FROM questionnaire_versions WHERE id = ?',
+            [req.params.versionId]
+        );
+        if (versions.length === 0) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        const questions = await getVersionQuestions(versions[0].id);
+        res.json({ success: true, version: versions[0], questions });
     } catch (error) {
-        console.error('Error getting questions:', error);
+        console.error('Error getting questionnaire version:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
@@ -853,7 +5652,7 @@ app.get('/admin/api/questions', authMiddleware, async (req, res) => {
 app.get('/admin/api/questions/:id', authMiddleware, async (req, res) => {
     try {
         const [questions] = await pool.query(
-            'SELECT * FROM questions WHERE id = ?',
+            `SELECT q.*, ${SCHEDULE_COLUMNS_SQL}, ${SCHEDULE_STATUS_SQL} as schedule_status FROM questions q WHERE q.id = ?`,
             [req.params.id]
         );
         if (questions.length === 0) {
@@ -866,134 +5665,426 @@ app.get('/admin/api/questions/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// Update question
+// Reorder the questions of a survey: { questionnaire_id, ids } with every
+// question id of that survey in the new kiosk order, saved in one transaction.
+// Declared before PUT /:id so "reorder" is not taken for a question id.
+app.put('/admin/api/questions/reorder', authMiddleware, async (req, res) => {
+    const questionnaireId = parseInt(req.body.questionnaire_id);
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id)) : null;
+
+    if (!questionnaireId || !ids || ids.length === 0 || ids.some(id => !id) || new Set(ids).size !== ids.length) {
+        return res.status(400).json({ success: false, error: 'questionnaire_id and a list of question ids are required' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // Lock the survey's questions so a concurrent add or delete cannot slip in
+        const [rows] = await conn.query('SELECT id FROM questions WHERE questionnaire_id = ? AND archived_at IS NULL FOR UPDATE', [questionnaireId]);
+        const existing = new Set(rows.map(row => row.id));
+        if (existing.size !== ids.length || ids.some(id => !existing.has(id))) {
+            await conn.rollback();
+            return res.status(400).json({ success: false, error: 'The list must contain every question of the survey exactly once' });
+        }
+
+        for (const [index, id] of ids.entries()) {
+            await conn.query('UPDATE questions SET display_order = ? WHERE id = ?', [index + 1, id]);
+        }
+        await recordQuestionnaireVersion(conn, questionnaireId, 'Ubah urutan pertanyaan', req.user);
+        await conn.commit();
+
+        res.json({ success: true, message: 'Questions reordered' });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Error reordering questions:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// Update question (the question type is fixed once created)
 app.put('/admin/api/questions/:id', authMiddleware, async (req, res) => {
-    const { question_text, question_subtitle, option_positive, option_neutral, option_negative, is_active } = req.body;
+    const { question_text, question_subtitle, option_positive, option_neutral, option_negative, options, followup, is_active } = req.body;
 
+    let conn;
     try {
-        await pool.query(`
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        const [existing] = await conn.query(`SELECT q.*, ${SCHEDULE_COLUMNS_SQL} FROM questions q WHERE q.id = ? FOR UPDATE`, [req.params.id]);
+        if (existing.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        // The schedule is left untouched when the editor sends neither date
+        const scheduleRule = buildSchedule(
+            req.body.active_from === undefined && req.body.active_until === undefined ? existing[0] : req.body
+        );
+        if (scheduleRule.error) {
+            await conn.rollback();
+            return res.status(400).json({ success: false, error: scheduleRule.error });
+        }
+
+        let optionsJson = existing[0].options_json;
+        if (existing[0].question_type === 'choice') {
+            const choiceOptions = buildChoiceOptions(Array.isArray(options) ? options : [], getChoiceOptions(existing[0]));
+            if (choiceOptions.length < 2) {
+                await conn.rollback();
+                return res.status(400).json({ success: false, error: 'Choice questions need at least 2 options' });
+            }
+            optionsJson = choiceOptions;
+        }
+
+        const followupRule = buildFollowup(existing[0], followup);
+        if (followupRule.error) {
+            await conn.rollback();
+            return res.status(400).json({ success: false, error: followupRule.error });
+        }
+
+        // The IKM element is left untouched when the editor does not send it
+        const ikmRule = buildIkmElement(existing[0].question_type,
+            req.body.ikm_element === undefined ? existing[0].ikm_element : req.body.ikm_element);
+        if (ikmRule.error) {
+            await conn.rollback();
+            return res.status(400).json({ success: false, error: ikmRule.error });
+        }
+
+        // Translations are left untouched when the editor does not send them
+        const translations = req.body.translations === undefined
+            ? (Object.keys(getTranslations(existing[0])).length > 0 ? getTranslations(existing[0]) : null)
+            : buildTranslations(req.body.translations, getChoiceOptions({ options_json: optionsJson }), followupRule.followup);
+
+        await conn.query(`
             UPDATE questions SET
                 question_text = ?,
                 question_subtitle = ?,
                 option_positive = ?,
                 option_neutral = ?,
                 option_negative = ?,
-                is_active = ?
+                options_json = ?,
+                followup_json = ?,
+                translations_json = ?,
+                ikm_element = ?,
+                is_active = ?,
+                active_from = ?,
+                active_until = ?
             WHERE id = ?
-        `, [question_text, question_subtitle, option_positive, option_neutral, option_negative, is_active ? 1 : 0, req.params.id]);
+        `, [question_text, question_subtitle, option_positive, option_neutral, option_negative,
+            optionsJson ? JSON.stringify(optionsJson) : null,
+            followupRule.followup ? JSON.stringify(followupRule.followup) : null,
+            translations ? JSON.stringify(translations) : null,
+            ikmRule.element, is_active ? 1 : 0, scheduleRule.schedule.active_from, scheduleRule.schedule.active_until, req.params.id]);
+
+        await recordQuestionnaireVersion(conn, existing[0].questionnaire_id, `Edit pertanyaan ${existing[0].question_key}`, req.user);
+        await conn.commit();
 
         res.json({ success: true, message: 'Question updated' });
     } catch (error) {
+        if (conn) await conn.rollback();
         console.error('Error updating question:', error);
         res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
-// Reset questions to defaults
+// Reset a survey (default survey unless questionnaire_id is given) to the
+// standard library template; its current questions are archived
 app.post('/admin/api/questions/reset', authMiddleware, async (req, res) => {
-    const defaults = [
-        { key: 'q1', text: 'Bagaimana kecepatan pelayanan kami?', positive: 'SANGAT CEPAT', neutral: 'CUKUP CEPAT', negative: 'KURANG CEPAT' },
-        { key: 'q2', text: 'Bagaimana keramahan petugas kami?', positive: 'SANGAT RAMAH', neutral: 'CUKUP RAMAH', negative: 'KURANG RAMAH' },
-        { key: 'q3', text: 'Bagaimana kejelasan informasi yang diberikan?', positive: 'SANGAT JELAS', neutral: 'CUKUP JELAS', negative: 'KURANG JELAS' },
-        { key: 'q4', text: 'Bagaimana kondisi fasilitas kami?', positive: 'SANGAT BAIK', neutral: 'CUKUP BAIK', negative: 'KURANG BAIK' }
-    ];
-
+    let conn;
     try {
-        for (const q of defaults) {
-            await pool.query(`
-                UPDATE questions SET
-                    question_text = ?,
-                    option_positive = ?,
-                    option_neutral = ?,
-                    option_negative = ?,
-                    is_active = 1
-                WHERE question_key = ?
-            `, [q.text, q.positive, q.neutral, q.negative, q.key]);
+        conn = await pool.getConnection();
+        const questionnaireId = parseInt(req.body.questionnaire_id) || await getDefaultQuestionnaireId();
+        const [questionnaires] = await conn.query('SELECT id FROM questionnaires WHERE id = ?', [questionnaireId]);
+        if (questionnaires.length === 0) {
+            return res.status(404).json({ success: false, error: 'Survey not found' });
         }
-        res.json({ success: true, message: 'Questions reset to defaults' });
+
+        await conn.beginTransaction();
+        const result = await applyLibraryTemplate(conn, questionnaireId, getLibraryTemplate('standar'));
+        await recordQuestionnaireVersion(conn, questionnaireId, 'Reset ke default', req.user);
+        await conn.commit();
+
+        res.json({ success: true, message: 'Questions reset to defaults', result });
     } catch (error) {
+        if (conn) await conn.rollback();
         console.error('Error resetting questions:', error);
         res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
 // CREATE new question
 app.post('/admin/api/questions', authMiddleware, async (req, res) => {
-    const { question_text, option_positive, option_neutral, option_negative, is_active } = req.body;
+    const { question_text, question_subtitle, option_positive, option_neutral, option_negative, options, followup, is_active } = req.body;
+    const questionType = req.body.question_type || 'rating';
 
     if (!question_text) {
         return res.status(400).json({ success: false, error: 'Question text is required' });
     }
 
+    if (!QUESTION_TYPES.includes(questionType)) {
+        return res.status(400).json({ success: false, error: 'Invalid question type' });
+    }
+
+    const choiceOptions = questionType === 'choice' ? buildChoiceOptions(Array.isArray(options) ? options : []) : null;
+    if (choiceOptions && choiceOptions.length < 2) {
+        return res.status(400).json({ success: false, error: 'Choice questions need at least 2 options' });
+    }
+
+    const followupRule = buildFollowup({ question_type: questionType }, followup);
+    if (followupRule.error) {
+        return res.status(400).json({ success: false, error: followupRule.error });
+    }
+
+    const translations = buildTranslations(req.body.translations, choiceOptions || [], followupRule.followup);
+
+    const scheduleRule = buildSchedule(req.body);
+    if (scheduleRule.error) {
+        return res.status(400).json({ success: false, error: scheduleRule.error });
+    }
+    const { schedule } = scheduleRule;
+
+    const ikmRule = buildIkmElement(questionType, req.body.ikm_element);
+    if (ikmRule.error) {
+        return res.status(400).json({ success: false, error: ikmRule.error });
+    }
+
+    const defaults = QUESTION_TYPE_DEFAULTS[questionType];
+    const subtitle = question_subtitle || defaults.subtitle;
+    const positive = option_positive || defaults.positive;
+    const neutral = option_neutral || defaults.neutral;
+    const negative = option_negative || defaults.negative;
+
+    let conn;
     try {
-        // Get next question key
-        const [maxKey] = await pool.query('SELECT MAX(CAST(SUBSTRING(question_key, 2) AS UNSIGNED)) as max_num FROM questions');
+        conn = await pool.getConnection();
+        const questionnaireId = parseInt(req.body.questionnaire_id) || await getDefaultQuestionnaireId();
+        const [questionnaires] = await conn.query('SELECT id FROM questionnaires WHERE id = ?', [questionnaireId]);
+        if (questionnaires.length === 0) {
+            return res.status(400).json({ success: false, error: 'Survey not found' });
+        }
+
+        await conn.beginTransaction();
+
+        // Get next question key (keys are unique across all surveys)
+        const [maxKey] = await conn.query('SELECT MAX(CAST(SUBSTRING(question_key, 2) AS UNSIGNED)) as max_num FROM questions');
         const nextNum = (maxKey[0].max_num || 0) + 1;
         const questionKey = `q${nextNum}`;
 
-        // Get next order
-        const [maxOrder] = await pool.query('SELECT MAX(display_order) as max_order FROM questions');
+        // Get next order within the survey
+        const [maxOrder] = await conn.query('SELECT MAX(display_order) as max_order FROM questions WHERE questionnaire_id = ?', [questionnaireId]);
         const nextOrder = (maxOrder[0].max_order || 0) + 1;
 
-        const [result] = await pool.query(`
-            INSERT INTO questions (question_key, question_text, option_positive, option_neutral, option_negative, display_order, is_active)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [questionKey, question_text, option_positive || 'SANGAT BAIK', option_neutral || 'CUKUP BAIK', option_negative || 'KURANG BAIK', nextOrder, is_active !== false ? 1 : 0]);
+        const [result] = await conn.query(`
+            INSERT INTO questions (questionnaire_id, question_key, question_type, question_text, question_subtitle, option_positive, option_neutral, option_negative, options_json, followup_json, translations_json, ikm_element, display_order, is_active, active_from, active_until)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [questionnaireId, questionKey, questionType, question_text, subtitle, positive, neutral, negative,
+            choiceOptions ? JSON.stringify(choiceOptions) : null,
+            followupRule.followup ? JSON.stringify(followupRule.followup) : null,
+            translations ? JSON.stringify(translations) : null,
+            ikmRule.element, nextOrder, is_active !== false ? 1 : 0, schedule.active_from, schedule.active_until]);
+
+        await recordQuestionnaireVersion(conn, questionnaireId, `Tambah pertanyaan ${questionKey}`, req.user);
+        await conn.commit();
 
         res.json({
             success: true,
             message: 'Question created',
             question: {
                 id: result.insertId,
+                questionnaire_id: questionnaireId,
                 question_key: questionKey,
+                question_type: questionType,
                 question_text,
-                option_positive: option_positive || 'SANGAT BAIK',
-                option_neutral: option_neutral || 'CUKUP BAIK',
-                option_negative: option_negative || 'KURANG BAIK',
+                question_subtitle: subtitle,
+                option_positive: positive,
+                option_neutral: neutral,
+                option_negative: negative,
+                options: choiceOptions || [],
+                followup: followupRule.followup,
+                translations: translations || {},
+                ikm_element: ikmRule.element,
                 display_order: nextOrder,
-                is_active: is_active !== false
+                is_active: is_active !== false,
+                ...schedule
             }
         });
     } catch (error) {
+        if (conn) await conn.rollback();
         console.error('Error creating question:', error);
         res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
-// DELETE question
+// DELETE question: archives it. Archived questions leave the kiosk and the
+// editor but keep their row, so historical answers keep their labels.
 app.delete('/admin/api/questions/:id', authMiddleware, async (req, res) => {
     const { id } = req.params;
 
+    let conn;
     try {
-        const [result] = await pool.query('DELETE FROM questions WHERE id = ?', [id]);
-
-        if (result.affectedRows === 0) {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        const [existing] = await conn.query('SELECT questionnaire_id, question_key FROM questions WHERE id = ? AND archived_at IS NULL FOR UPDATE', [id]);
+        if (existing.length === 0) {
+            await conn.rollback();
             return res.status(404).json({ success: false, error: 'Question not found' });
         }
 
-        res.json({ success: true, message: 'Question deleted' });
+        await conn.query('UPDATE questions SET archived_at = NOW() WHERE id = ?', [id]);
+
+        await recordQuestionnaireVersion(conn, existing[0].questionnaire_id, `Arsipkan pertanyaan ${existing[0].question_key}`, req.user);
+        await conn.commit();
+
+        res.json({ success: true, message: 'Question archived' });
     } catch (error) {
-        console.error('Error deleting question:', error);
+        if (conn) await conn.rollback();
+        console.error('Error archiving question:', error);
         res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
-// Reorder questions
-app.put('/admin/api/questions/reorder', authMiddleware, async (req, res) => {
-    const { order } = req.body; // Array of { id, order }
+// Restore an archived question at the end of its survey
+app.post('/admin/api/questions/:id/restore', authMiddleware, async (req, res) => {
+    const { id } = req.params;
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        const [existing] = await conn.query('SELECT questionnaire_id, question_key FROM questions WHERE id = ? AND archived_at IS NOT NULL FOR UPDATE', [id]);
+        if (existing.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, error: 'Archived question not found' });
+        }
+
+        const [maxOrder] = await conn.query(
+            'SELECT MAX(display_order) as max_order FROM questions WHERE questionnaire_id = ? AND archived_at IS NULL',
+            [existing[0].questionnaire_id]
+        );
+        await conn.query(
+            'UPDATE questions SET archived_at = NULL, display_order = ? WHERE id = ?',
+            [(maxOrder[0].max_order || 0) + 1, id]
+        );
 
-    if (!Array.isArray(order)) {
-        return res.status(400).json({ success: false, error: 'Order must be an array' });
+        await recordQuestionnaireVersion(conn, existing[0].questionnaire_id, `Pulihkan pertanyaan ${existing[0].question_key}`, req.user);
+        await conn.commit();
+
+        res.json({ success: true, message: 'Question restored' });
+    } catch (error) {
+        if (conn) await conn.rollback();
+        console.error('Error restoring question:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    } finally {
+        if (conn) conn.release();
     }
+});
+
+// Permanently delete an archived question; refused while answers reference it
+app.delete('/admin/api/questions/:id/purge', authMiddleware, async (req, res) => {
+    const { id } = req.params;
 
     try {
-        for (const item of order) {
-            await pool.query('UPDATE questions SET question_order = ? WHERE id = ?', [item.order, item.id]);
+        const [existing] = await pool.query('SELECT question_key FROM questions WHERE id = ? AND archived_at IS NOT NULL', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ success: false, error: 'Archived question not found' });
         }
 
-        res.json({ success: true, message: 'Questions reordered' });
+        const [answers] = await pool.query('SELECT COUNT(*) as count FROM survey_answers WHERE question_id = ?', [id]);
+        if (answers[0].count > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Question has answers and cannot be purged',
+                answer_count: answers[0].count
+            });
+        }
+
+        await pool.query('DELETE FROM questions WHERE id = ? AND archived_at IS NOT NULL', [id]);
+        console.log(`[AUDIT] Question ${existing[0].question_key} purged by ${req.user.username}`);
+
+        res.json({ success: true, message: 'Question purged' });
     } catch (error) {
-        console.error('Error reordering questions:', error);
+        console.error('Error purging question:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// IKM of a month, quarter or year (?period=month|quarter|year&year=&month=&quarter=),
+// with the usual ?survey= and ?language= filters
+app.get('/admin/api/reports/ikm', authMiddleware, async (req, res) => {
+    const period = reportPeriod(req.query);
+    const filters = reportFilters(req.query);
+    const where = whereSql([period.condition, ...filters.conditions]);
+
+    try {
+        const { condition, params, ...info } = period;
+        res.json({
+            success: true,
+            data: {
+                ...info,
+                ikm: await getIkm(where, [...params, ...filters.params]),
+                excluded: await countExcludedFraud([condition, ...filters.conditions], [...params, ...filters.params])
+            }
+        });
+    } catch (error) {
+        console.error('IKM error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Visit funnel of a month, quarter or year (protected)
+app.get('/admin/api/reports/funnel', authMiddleware, async (req, res) => {
+    const period = reportPeriod(req.query);
+    const filters = reportFilters(req.query, { includeFraud: true });
+    const where = whereSql([period.condition, ...filters.conditions]);
+
+    try {
+        // Steps of the survey the kiosk shows now (the default one across all surveys)
+        const questions = await getActiveQuestions(filters.questionnaireId || await getDefaultQuestionnaireId());
+
+        const { condition, params, ...info } = period;
+        res.json({
+            success: true,
+            data: { ...info, funnel: await getFunnel(where, [...params, ...filters.params], questions) }
+        });
+    } catch (error) {
+        console.error('Funnel error:', error);
+        res.status(500).json({ success: false, error: 'Database error' });
+    }
+});
+
+// Ratings per counter and officer of a month, quarter or year, with the
+// usual ?survey=, ?language= and ?device= filters (supervisors only)
+app.get('/admin/api/reports/staff', authMiddleware, supervisorMiddleware, async (req, res) => {
+    const period = reportPeriod(req.query);
+    const filters = reportFilters(req.query);
+    const where = whereSql([period.condition, ...filters.conditions]);
+    const params = [...period.params, ...filters.params];
+
+    try {
+        const { questions } = await getReportQuestions(where, params, filters.questionnaireId);
+        const overallQuestion = getOverallQuestion(questions);
+
+        const { condition, params: periodParams, ...info } = period;
+        res.json({
+            success: true,
+            data: {
+                ...info,
+                counters: await getServedByBreakdown('counter', where, params, overallQuestion ? overallQuestion.id : null),
+                staff: await getServedByBreakdown('staff', where, params, overallQuestion ? overallQuestion.id : null)
+            }
+        });
+    } catch (error) {
+        console.error('Staff report error:', error);
         res.status(500).json({ success: false, error: 'Database error' });
     }
 });
@@ -1026,41 +6117,62 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
     const targetYear = year || new Date().getFullYear();
     const targetMonth = month || new Date().getMonth() + 1;
 
-    const monthNames = [
-        'Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
-        'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'
-    ];
+    const filters = reportFilters(req.query);
+    const periodWhere = whereSql(['YEAR(s.created_at) = ? AND MONTH(s.created_at) = ?', ...filters.conditions]);
+    const periodParams = [targetYear, targetMonth, ...filters.params];
 
     try {
-        // 1. Get Active Questions from DB
-        const [questionsList] = await pool.query(`
-            SELECT * FROM questions 
-            WHERE is_active = 1 
-            ORDER BY display_order ASC
-        `);
+        // 1. Get questions as worded in the versions answered this month
+        const { questions: questionsList, versions } = await getReportQuestions(periodWhere, periodParams, filters.questionnaireId);
+
+        let surveyName = null;
+        if (filters.questionnaireId) {
+            const [questionnaires] = await pool.query('SELECT name FROM questionnaires WHERE id = ?', [filters.questionnaireId]);
+            surveyName = questionnaires.length > 0 ? questionnaires[0].name : null;
+        }
+
+        let deviceName = null;
+        if (filters.deviceId) {
+            const [devices] = await pool.query('SELECT name FROM devices WHERE id = ?', [filters.deviceId]);
+            deviceName = devices.length > 0 ? devices[0].name : null;
+        }
 
         // 2. Get Statistics
         const [stats] = await pool.query(`
-            SELECT 
-                COUNT(*) as total,
-                SUM(CASE WHEN q1_kecepatan = 'sangat_baik' THEN 1 ELSE 0 END) as q1_sangat_baik,
-                SUM(CASE WHEN q1_kecepatan = 'cukup_baik' THEN 1 ELSE 0 END) as q1_cukup_baik,
-                SUM(CASE WHEN q1_kecepatan = 'kurang_baik' THEN 1 ELSE 0 END) as q1_kurang_baik,
-                SUM(CASE WHEN q2_keramahan = 'sangat_baik' THEN 1 ELSE 0 END) as q2_sangat_baik,
-                SUM(CASE WHEN q2_keramahan = 'cukup_baik' THEN 1 ELSE 0 END) as q2_cukup_baik,
-                SUM(CASE WHEN q2_keramahan = 'kurang_baik' THEN 1 ELSE 0 END) as q2_kurang_baik,
-                SUM(CASE WHEN q3_kejelasan = 'sangat_baik' THEN 1 ELSE 0 END) as q3_sangat_baik,
-                SUM(CASE WHEN q3_kejelasan = 'cukup_baik' THEN 1 ELSE 0 END) as q3_cukup_baik,
-                SUM(CASE WHEN q3_kejelasan = 'kurang_baik' THEN 1 ELSE 0 END) as q3_kurang_baik,
-                SUM(CASE WHEN q4_fasilitas = 'sangat_baik' THEN 1 ELSE 0 END) as q4_sangat_baik,
-                SUM(CASE WHEN q4_fasilitas = 'cukup_baik' THEN 1 ELSE 0 END) as q4_cukup_baik,
-                SUM(CASE WHEN q4_fasilitas = 'kurang_baik' THEN 1 ELSE 0 END) as q4_kurang_baik,
-                SUM(CASE WHEN q5_kepuasan = 'sangat_baik' THEN 1 ELSE 0 END) as q5_sangat_baik,
-                SUM(CASE WHEN q5_kepuasan = 'cukup_baik' THEN 1 ELSE 0 END) as q5_cukup_baik,
-                SUM(CASE WHEN q5_kepuasan = 'kurang_baik' THEN 1 ELSE 0 END) as q5_kurang_baik
-            FROM surveys
-            WHERE YEAR(created_at) = ? AND MONTH(created_at) = ?
-        `, [targetYear, targetMonth]);
+            SELECT COUNT(*) as total, SUM(s.accessibility_mode) as accessibility
+            FROM surveys s
+            ${periodWhere}
+        `, periodParams);
+
+        const excluded = await countExcludedFraud(
+            ['YEAR(s.created_at) = ? AND MONTH(s.created_at) = ?', ...filters.conditions], periodParams
+        );
+
+        const counts = await getAnswerCounts(periodWhere, periodParams);
+        const comments = await getRecentComments(periodWhere, periodParams, 20);
+        const reasonCounts = await getReasonCounts(periodWhere, periodParams);
+        const languages = await getLanguageCounts(periodWhere, periodParams);
+        const channels = await getChannelCounts(periodWhere, periodParams);
+
+        // IKM of the month, and of its quarter and year for comparison
+        const ikmPeriods = ['month', 'quarter', 'year'].map(period => reportPeriod({
+            period, year: targetYear, month: targetMonth, quarter: Math.ceil(targetMonth / 3)
+        }));
+        const ikmResults = [];
+        for (const period of ikmPeriods) {
+            const where = whereSql([period.condition, ...filters.conditions]);
+            ikmResults.push({ label: period.label, ikm: await getIkm(where, [...period.params, ...filters.params]) });
+        }
+
+        // Ratings per counter and officer, for supervisors only
+        const satisfactionQuestion = getOverallQuestion(questionsList);
+        const overallId = satisfactionQuestion ? satisfactionQuestion.id : null;
+        const servedBy = req.user.role === 'supervisor'
+            ? {
+                counters: await getServedByBreakdown('counter', periodWhere, periodParams, overallId),
+                staff: await getServedByBreakdown('staff', periodWhere, periodParams, overallId)
+            }
+            : null;
 
         const data = stats[0];
         const total = data.total || 0;
@@ -1111,7 +6223,7 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
             .text('Kementerian Investasi dan Hilirisasi/BKPM', 50, 52, { width: 495, align: 'center' });
 
         doc.fontSize(12).font('Helvetica-Bold')
-            .text(`Periode: ${monthNames[targetMonth - 1]} ${targetYear}`, 50, 70, { width: 495, align: 'center' });
+            .text(`Periode: ${MONTH_NAMES[targetMonth - 1]} ${targetYear}${surveyName ? ` - ${surveyName}` : ''}${deviceName ? ` - Kiosk ${deviceName}` : ''}`, 50, 70, { width: 495, align: 'center' });
 
         doc.fillColor('#000000');
         doc.y = 105;
@@ -1121,14 +6233,12 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
         const cardWidth = 120;
         const cardHeight = 70;
         const startX = 50;
-        // Determine the last question prefix for overall satisfaction summary
-        const numQuestions = questionsList.length;
-        const lastQPrefix = `q${numQuestions}`;
-
-        // Get counts from the last question (overall satisfaction)
-        const sangat = data[`${lastQPrefix}_sangat_baik`] || 0;
-        const cukup = data[`${lastQPrefix}_cukup_baik`] || 0;
-        const kurang = data[`${lastQPrefix}_kurang_baik`] || 0;
+        // Get counts from the overall satisfaction question
+        const overallQuestion = getOverallQuestion(questionsList);
+        const overall = ratingStats(counts, overallQuestion ? overallQuestion.id : null);
+        const sangat = overall.sangat_baik;
+        const cukup = overall.cukup_baik;
+        const kurang = overall.kurang_baik;
         const gap = 15;
 
         // Card backgrounds
@@ -1191,17 +6301,9 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
             .text('HASIL PER PERTANYAAN', 50, doc.y);
         doc.moveDown(0.5);
 
-        const questions = [
-            { name: 'Kecepatan Pelayanan', prefix: 'q1' },
-            { name: 'Keramahan Petugas', prefix: 'q2' },
-            { name: 'Kejelasan Informasi', prefix: 'q3' },
-            { name: 'Kondisi Fasilitas', prefix: 'q4' },
-            { name: 'Kepuasan Keseluruhan', prefix: 'q5' }
-        ];
-
-        // Table header - use dynamic option labels from last question
-        const lastQ = questionsList[questionsList.length - 1];
-        const tableY = doc.y;
+        // Table header - use dynamic option labels from the overall question
+        const lastQ = overallQuestion;
+        let tableY = doc.y;
         // Adjusted column positions for better layout
         const colX = [50, 260, 350, 455];
         const questionColWidth = 200; // Width for question text
@@ -1216,16 +6318,19 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
         doc.fillColor('#000000');
         let rowY = tableY + 25;
 
+        const pct = (count, of) => of > 0 ? Math.round((count / of) * 100) : 0;
+
         // Use questionsList for dynamic rendering
         questionsList.forEach((q, index) => {
-            const sangat = data[`${q.question_key}_sangat_baik`] || 0;
-            const cukup = data[`${q.question_key}_cukup_baik`] || 0;
-            const kurang = data[`${q.question_key}_kurang_baik`] || 0;
-            const qTotal = sangat + cukup + kurang;
-
-            const sangatPct = qTotal > 0 ? Math.round((sangat / qTotal) * 100) : 0;
-            const cukupPct = qTotal > 0 ? Math.round((cukup / qTotal) * 100) : 0;
-            const kurangPct = qTotal > 0 ? Math.round((kurang / qTotal) * 100) : 0;
+            const qStats = questionStats(q, counts);
+
+            // Continue the table on a new page when it runs past the bottom margin
+            if (rowY + 25 > 760) {
+                doc.rect(50, tableY, 495, rowY - tableY).stroke('#DEE2E6');
+                doc.addPage();
+                tableY = 50;
+                rowY = 50;
+            }
 
             // Alternating row background
             if (index % 2 === 0) {
@@ -1235,11 +6340,27 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
             doc.fillColor('#000000').fontSize(9).font('Helvetica');
             // Use question_text from DB with width constraint
             const cleanText = q.question_text.replace(/\?$/, '');
-            doc.text(`${index + 1}. ${cleanText}`, colX[0] + 5, rowY + 7, { width: questionColWidth });
-
-            doc.fillColor(greenColor).text(`${sangat} (${sangatPct}%)`, colX[1], rowY + 7, { width: 85 });
-            doc.fillColor(orangeColor).text(`${cukup} (${cukupPct}%)`, colX[2], rowY + 7, { width: 85 });
-            doc.fillColor(redColor).text(`${kurang} (${kurangPct}%)`, colX[3], rowY + 7, { width: 85 });
+            doc.text(`${index + 1}. ${cleanText}`, colX[0] + 5, rowY + 7, { width: questionColWidth, height: 14, ellipsis: true });
+
+            if (q.question_type === 'rating') {
+                const qTotal = qStats.total;
+                doc.fillColor(greenColor).text(`${qStats.sangat_baik} (${pct(qStats.sangat_baik, qTotal)}%)`, colX[1], rowY + 7, { width: 85 });
+                doc.fillColor(orangeColor).text(`${qStats.cukup_baik} (${pct(qStats.cukup_baik, qTotal)}%)`, colX[2], rowY + 7, { width: 85 });
+                doc.fillColor(redColor).text(`${qStats.kurang_baik} (${pct(qStats.kurang_baik, qTotal)}%)`, colX[3], rowY + 7, { width: 85 });
+            } else {
+                // Other question types get a one-line summary across the option columns
+                let summary;
+                if (q.question_type === 'likert5') {
+                    summary = `Rata-rata ${qStats.average} / 5 dari ${qStats.total} jawaban`;
+                } else if (q.question_type === 'nps') {
+                    summary = `NPS ${qStats.score} - Promoter ${qStats.promoters}, Pasif ${qStats.passives}, Detraktor ${qStats.detractors}`;
+                } else if (q.question_type === 'choice') {
+                    summary = qStats.distribution.map(d => `${d.label}: ${d.count}`).join(', ') || '-';
+                } else {
+                    summary = `${qStats.total} komentar`;
+                }
+                doc.fillColor(primaryColor).text(summary, colX[1], rowY + 7, { width: 545 - colX[1], height: 14, ellipsis: true });
+            }
 
             rowY += 25;
         });
@@ -1247,9 +6368,191 @@ app.get('/admin/api/reports/pdf', authMiddleware, async (req, res) => {
         // Table border
         doc.rect(50, tableY, 495, rowY - tableY).stroke('#DEE2E6');
 
+        // Which questionnaire wording the figures refer to, the kiosk languages,
+        // kiosk against mobile answers, how many visitors used the accessibility mode
+        // and how many submissions were left out as confirmed fraud
+        const footnotes = [];
+        if (versions.length > 0) {
+            footnotes.push(`Versi kuesioner: ${versions.map(v => `v${v}`).join(', ')}`);
+        }
+        if (languages.length > 0) {
+            footnotes.push(`Bahasa: ${languages.map(l => `${l.label} ${l.count}`).join(', ')}`);
+        }
+        if (channels.length > 0) {
+            footnotes.push(`Kanal: ${channels.map(c => `${c.label} ${c.count}`).join(', ')}`);
+        }
+        const accessibilityCount = parseInt(data.accessibility) || 0;
+        if (accessibilityCount > 0) {
+            footnotes.push(`Mode aksesibilitas: ${accessibilityCount} (${Math.round((accessibilityCount / total) * 100)}%)`);
+        }
+        if (excluded > 0) {
+            footnotes.push(`Tidak dihitung: ${excluded} submission terkonfirmasi kecurangan`);
+        }
+        if (footnotes.length > 0) {
+            doc.fontSize(8).font('Helvetica').fillColor(grayColor)
+                .text(footnotes.join('   |   '), 50, rowY + 6, { width: 495 });
+        }
+
         doc.fillColor('#000000');
         doc.y = rowY + 30;
 
+        // ========== IKM ==========
+        const monthIkm = ikmResults[0].ikm;
+        if (monthIkm) {
+            if (doc.y > 520) doc.addPage();
+
+            doc.fontSize(12).font('Helvetica-Bold').fillColor(primaryColor)
+                .text('INDEKS KEPUASAN MASYARAKAT (IKM)', 50, doc.y);
+            doc.fontSize(8).font('Helvetica').fillColor(grayColor)
+                .text('Sesuai PermenPAN-RB No. 14 Tahun 2017', 50, doc.y);
+            doc.moveDown(0.5);
+
+            // Converted value and service quality grade
+            const gradeColors = { A: greenColor, B: primaryColor, C: orangeColor, D: redColor };
+            const boxY = doc.y;
+            doc.rect(50, boxY, 495, 50).fill('#F8F9FA');
+            doc.rect(50, boxY, 5, 50).fill(gradeColors[monthIkm.grade]);
+            doc.fillColor(gradeColors[monthIkm.grade]).fontSize(24).font('Helvetica-Bold')
+                .text(monthIkm.value.toFixed(2), 65, boxY + 13, { width: 110 });
+            doc.fontSize(11)
+                .text(`Mutu ${monthIkm.grade} (${monthIkm.grade_label})`, 180, boxY + 12, { width: 350 });
+            doc.fillColor(grayColor).fontSize(8).font('Helvetica')
+                .text(`Nilai interval ${monthIkm.index.toFixed(3)} x 25  |  ${monthIkm.respondents} responden  |  ${monthIkm.element_count} unsur, bobot ${monthIkm.weight.toFixed(3)}`, 180, boxY + 30, { width: 350 });
+
+            // Element table
+            let ikmY = boxY + 60;
+            const ikmColX = [50, 90, 360, 430, 490];
+            doc.rect(50, ikmY, 495, 20).fill(primaryColor);
+            doc.fillColor('#FFFFFF').fontSize(9).font('Helvetica-Bold');
+            doc.text('Unsur', ikmColX[0] + 5, ikmY + 6);
+            doc.text('Unsur Pelayanan', ikmColX[1], ikmY + 6);
+            doc.text('Jawaban', ikmColX[2], ikmY + 6);
+            doc.text('NRR', ikmColX[3], ikmY + 6);
+            doc.text('Tertimbang', ikmColX[4], ikmY + 6);
+            ikmY += 20;
+
+            monthIkm.elements.forEach((element, index) => {
+                if (index % 2 === 0) doc.rect(50, ikmY, 495, 18).fill('#F8F9FA');
+                doc.fillColor('#000000').fontSize(9).font('Helvetica');
+                doc.text(element.code, ikmColX[0] + 5, ikmY + 5);
+                doc.text(element.name, ikmColX[1], ikmY + 5, { width: 265, height: 12, ellipsis: true });
+                doc.text(String(element.answers), ikmColX[2], ikmY + 5);
+                doc.text(element.nrr.toFixed(3), ikmColX[3], ikmY + 5);
+                doc.text(element.weighted.toFixed(3), ikmColX[4], ikmY + 5);
+                ikmY += 18;
+            });
+            doc.rect(50, boxY + 60, 495, ikmY - boxY - 60).stroke('#DEE2E6');
+
+            // Quarter and year to date
+            const comparison = ikmResults.slice(1)
+                .map(r => `${r.label}: ${r.ikm ? `${r.ikm.value.toFixed(2)} (${r.ikm.grade})` : '-'}`)
+                .join('   |   ');
+            doc.fontSize(8).font('Helvetica').fillColor(grayColor)
+                .text(comparison, 50, ikmY + 6, { width: 495 });
+
+            doc.fillColor('#000000');
+            doc.y = ikmY + 30;
+        }
+
+        // ========== COUNTERS AND OFFICERS (supervisors) ==========
+        if (servedBy && total > 0) {
+            const servedColX = [50, 300, 380, 460];
+            [
+                ['KINERJA PER LOKET', 'Loket', servedBy.counters],
+                ['KINERJA PER PETUGAS', 'Petugas', servedBy.staff]
+            ].forEach(([title, label, rows]) => {
+                if (doc.y > 640) doc.addPage();
+
+                doc.fontSize(12).font('Helvetica-Bold').fillColor(primaryColor)
+                    .text(title, 50, doc.y);
+                doc.moveDown(0.5);
+
+                let servedY = doc.y;
+                doc.rect(50, servedY, 495, 20).fill(primaryColor);
+                doc.fillColor('#FFFFFF').fontSize(9).font('Helvetica-Bold');
+                doc.text(label, servedColX[0] + 5, servedY + 6);
+                doc.text('Responden', servedColX[1], servedY + 6);
+                doc.text('Sangat Puas', servedColX[2], servedY + 6);
+                doc.text('IKM', servedColX[3], servedY + 6);
+                servedY += 20;
+
+                rows.forEach((row, index) => {
+                    if (servedY + 18 > 760) {
+                        doc.addPage();
+                        servedY = 50;
+                    }
+                    if (index % 2 === 0) doc.rect(50, servedY, 495, 18).fill('#F8F9FA');
+                    doc.fillColor(row.id ? '#000000' : grayColor).fontSize(9).font('Helvetica');
+                    doc.text(row.name || 'Tidak tercatat', servedColX[0] + 5, servedY + 5, { width: 240, height: 12, ellipsis: true });
+                    doc.text(String(row.total), servedColX[1], servedY + 5);
+                    doc.text(row.satisfaction !== null ? `${row.satisfaction}%` : '-', servedColX[2], servedY + 5);
+                    doc.text(row.ikm ? `${row.ikm.value.toFixed(2)} (${row.ikm.grade})` : '-', servedColX[3], servedY + 5);
+                    servedY += 18;
+                });
+
+                doc.fillColor('#000000');
+                doc.y = servedY + 20;
+            });
+        }
+
+        // ========== FOLLOW-UP REASONS ==========
+        const followupList = questionsList
+            .map(q => ({ question: q, followup: followupStats(q, reasonCounts) }))
+            .filter(item => item.followup && item.followup.total > 0);
+
+        if (followupList.length > 0) {
+            if (doc.y > 700) doc.addPage();
+
+            doc.fontSize(12).font('Helvetica-Bold').fillColor(primaryColor)
+                .text('ALASAN PENILAIAN KURANG', 50, doc.y);
+            doc.moveDown(0.5);
+
+            followupList.forEach(({ question, followup }) => {
+                if (doc.y > 740) doc.addPage();
+                doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+                    .text(question.question_text, 50, doc.y, { width: 495 });
+                doc.moveDown(0.3);
+
+                followup.reasons.forEach(r => {
+                    if (doc.y > 760) doc.addPage();
+                    doc.fontSize(9).font('Helvetica').fillColor(redColor)
+                        .text(`${r.label}: ${r.count} (${pct(r.count, followup.total)}%)`, 60, doc.y, { width: 485 });
+                });
+                doc.moveDown(0.5);
+            });
+
+            doc.y += 10;
+        }
+
+        // ========== VISITOR COMMENTS ==========
+        const commentQuestions = questionsList.filter(q => (comments[q.id] || []).length > 0);
+        if (commentQuestions.length > 0) {
+            if (doc.y > 700) doc.addPage();
+
+            doc.fontSize(12).font('Helvetica-Bold').fillColor(primaryColor)
+                .text('KOMENTAR PENGUNJUNG', 50, doc.y);
+            doc.moveDown(0.5);
+
+            commentQuestions.forEach(q => {
+                doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+                    .text(q.question_text, 50, doc.y, { width: 495 });
+                doc.moveDown(0.3);
+
+                comments[q.id].forEach(c => {
+                    if (doc.y > 760) doc.addPage();
+                    const date = new Date(c.created_at).toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta' });
+                    doc.fontSize(9).font('Helvetica').fillColor(grayColor)
+                        .text(`${date} - "${c.text}"`, 60, doc.y, { width: 485 });
+                    doc.moveDown(0.3);
+                });
+                doc.moveDown(0.5);
+            });
+
+            doc.y += 10;
+        }
+
+        if (doc.y > 740) doc.addPage();
+
         // ========== FOOTER ==========
         const now = new Date();
         const jakartaTime = now.toLocaleString('id-ID', {
@@ -1281,42 +6584,44 @@ app.get('/admin/api/reports/csv', authMiddleware, async (req, res) => {
     const { year, month } = req.query;
 
     try {
-        // 1. Get Active Questions
-        const [questionsList] = await pool.query(`
-            SELECT * FROM questions 
-            WHERE is_active = 1 
-            ORDER BY display_order ASC
-        `);
-
-        // 2. Build query
-        let query = 'SELECT * FROM surveys';
-        const params = [];
+        // 1. Build query
+        const filters = reportFilters(req.query);
+        const conditions = [...filters.conditions];
+        const params = [...filters.params];
 
         if (year && month) {
-            query += ' WHERE YEAR(created_at) = ? AND MONTH(created_at) = ?';
-            params.push(year, month);
+            conditions.unshift('YEAR(s.created_at) = ? AND MONTH(s.created_at) = ?');
+            params.unshift(year, month);
         }
 
-        query += ' ORDER BY created_at DESC';
+        const periodWhere = whereSql(conditions);
+        const query = `SELECT s.*, qn.name as survey_name, d.name as device_name, c.name as counter_name, st.name as staff_name FROM surveys s
+            LEFT JOIN questionnaires qn ON qn.id = s.questionnaire_id
+            LEFT JOIN devices d ON d.id = s.device_id
+            LEFT JOIN service_counters c ON c.id = s.counter_id
+            LEFT JOIN staff st ON st.id = s.staff_id
+            ${periodWhere} ORDER BY s.created_at DESC`;
 
         const [rows] = await pool.query(query, params);
+        const answers = await getAnswersBySurvey(rows.map(row => row.id));
+
+        // 2. Questions of the versions in the export; each row is labelled
+        // with the wording of the version it was answered under
+        const { questions: questionsList } = await getReportQuestions(periodWhere, params, filters.questionnaireId);
+        const versionQuestions = {};
+        for (const versionId of new Set(rows.map(row => row.questionnaire_version_id).filter(Boolean))) {
+            versionQuestions[versionId] = await getVersionQuestions(versionId) || [];
+        }
 
-        // 3. Generate CSV with dynamic headers
-        let csv = 'ID,Tanggal';
+        // 3. Generate CSV with dynamic headers; the officer column is for supervisors only
+        const withOfficer = req.user.role === 'supervisor';
+        const csvText = (value) => `"${String(value || '-').replace(/"/g, '""')}"`;
+        let csv = `ID,Tanggal,Survey,Kanal,Perangkat,Antrian,Loket,${withOfficer ? 'Petugas,' : ''}Bahasa,Aksesibilitas,Versi`;
         questionsList.forEach(q => {
             csv += `,"${q.question_text.replace(/"/g, '""')}"`;
         });
         csv += '\n';
 
-        // Column mapping for legacy DB columns
-        const colMap = {
-            'q1': 'q1_kecepatan',
-            'q2': 'q2_keramahan',
-            'q3': 'q3_kejelasan',
-            'q4': 'q4_fasilitas',
-            'q5': 'q5_kepuasan'
-        };
-
         rows.forEach(row => {
             // Format date in Jakarta timezone
             const dateFormatted = new Date(row.created_at).toLocaleString('id-ID', {
@@ -1329,22 +6634,25 @@ app.get('/admin/api/reports/csv', authMiddleware, async (req, res) => {
                 second: '2-digit'
             });
 
-            csv += `${row.id},"${dateFormatted}"`;
+            csv += `${row.id},"${dateFormatted}",${csvText(row.survey_name)},${CHANNEL_LABELS[row.channel] || row.channel},${csvText(row.device_name)},"${row.queue_id || '-'}",${csvText(row.counter_name || row.queue_counter)},${withOfficer ? `${csvText(row.staff_name || row.queue_officer)},` : ''}${row.language},${row.accessibility_mode ? 'Ya' : 'Tidak'},${row.questionnaire_version_id ? `v${row.questionnaire_version_id}` : '-'}`;
 
             // Add each question's response with proper label
             questionsList.forEach(q => {
-                const colName = colMap[q.question_key];
-                const rawVal = row[colName];
-                let label = '-';
-                if (rawVal === 'sangat_baik') label = q.option_positive;
-                else if (rawVal === 'cukup_baik') label = q.option_neutral;
-                else if (rawVal === 'kurang_baik') label = q.option_negative;
+                const rawVal = (answers[row.id] || {})[q.id];
+                const rowQuestion = (versionQuestions[row.questionnaire_version_id] || []).find(vq => vq.id === q.id) || q;
+                const label = String(answerLabel(rowQuestion, rawVal)).replace(/"/g, '""');
                 csv += `,"${label}"`;
             });
 
             csv += '\n';
         });
 
+        // Say below the data how many submissions were left out as confirmed fraud
+        const excluded = await countExcludedFraud(conditions, params);
+        if (excluded > 0) {
+            csv += `\n"Tidak dihitung: ${excluded} submission terkonfirmasi kecurangan"\n`;
+        }
+
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', `attachment; filename=survey-data-${year || 'all'}-${month || 'all'}.csv`);
         res.send(csv);
@@ -1368,10 +6676,19 @@ app.get('/admin/api/responses', authMiddleware, async (req, res) => {
             'SELECT * FROM surveys ORDER BY created_at DESC LIMIT ? OFFSET ?',
             [limit, offset]
         );
+        const answers = await getAnswersBySurvey(rows.map(row => row.id));
+
+        // Who served each visitor is for supervisors only
+        if (req.user.role !== 'supervisor') {
+            rows.forEach(row => {
+                row.queue_officer = null;
+                row.staff_id = null;
+            });
+        }
 
         res.json({
             success: true,
-            data: rows,
+            data: rows.map(row => ({ ...row, answers: answers[row.id] || {} })),
             pagination: {
                 page,
                 limit,
@@ -1394,6 +6711,11 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Mobile survey of a QR code link; the page checks the token itself
+app.get('/m/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'mobile.html'));
+});
+
 // Serve admin pages
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin', 'login.html'));
@@ -1419,12 +6741,52 @@ app.get('/admin/konfigurasi', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin', 'konfigurasi.html'));
 });
 
+app.get('/admin/devices', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'devices.html'));
+});
+
+app.get('/admin/media', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'media.html'));
+});
+
+app.get('/admin/qr', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'qr.html'));
+});
+
+app.get('/admin/fleet', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'fleet.html'));
+});
+
+app.get('/admin/staff', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'staff.html'));
+});
+
+app.get('/admin/fraud', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'fraud.html'));
+});
+
 // =====================================================
 // START SERVER
 // =====================================================
 async function start() {
     await initDatabase();
 
+    try {
+        await runMigrations();
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+
+    // Watch kiosk heartbeats for silence during operating hours
+    setInterval(checkFleet, FLEET_CHECK_INTERVAL);
+    setInterval(purgeRateLimits, RATE_LIMIT_PURGE_INTERVAL);
+    await pollKioskChanges(); // Current versions, so only later edits are pushed
+    setInterval(pollKioskChanges, KIOSK_CHANGES_POLL_INTERVAL);
+    setInterval(checkScheduleDay, KIOSK_CHANGES_POLL_INTERVAL);
+
     app.listen(PORT, '0.0.0.0', () => {
         console.log('');
         console.log('╔══════════════════════════════════════════════════════════╗');
@@ -1444,6 +6806,8 @@ async function start() {
         console.log('│ PORT     : ' + String(PORT).padEnd(46) + '│');
         console.log('│ DB_HOST  : ' + dbHost.padEnd(46) + '│');
         console.log('│ TIMEZONE : ' + tz.padEnd(46) + '│');
+        console.log('│ QUEUE    : ' + queueAdapter.name.padEnd(46) + '│');
+        console.log('│ LIMITS   : ' + rateLimitStore.name.padEnd(46) + '│');
         console.log('└──────────────────────────────────────────────────────────┘');
         console.log('');
         console.log('┌──────────────────────────────────────────────────────────┐');
@@ -1454,6 +6818,10 @@ async function start() {
         console.log('│ Reports   : http://0.0.0.0:' + (PORT + '/admin/reports').padEnd(29) + '│');
         console.log('│ Questions : http://0.0.0.0:' + (PORT + '/admin/questions').padEnd(29) + '│');
         console.log('│ Logs      : http://0.0.0.0:' + (PORT + '/admin/logs').padEnd(29) + '│');
+        console.log('│ Review    : http://0.0.0.0:' + (PORT + '/admin/fraud').padEnd(29) + '│');
+        console.log('│ Fleet     : http://0.0.0.0:' + (PORT + '/admin/fleet').padEnd(29) + '│');
+        console.log('│ QR Survey : http://0.0.0.0:' + (PORT + '/admin/qr').padEnd(29) + '│');
+        console.log('│ Staff     : http://0.0.0.0:' + (PORT + '/admin/staff').padEnd(29) + '│');
         console.log('│ Health    : http://0.0.0.0:' + (PORT + '/health').padEnd(29) + '│');
         console.log('└──────────────────────────────────────────────────────────┘');
         console.log('');
@@ -35,7 +35,16 @@ echo ""
 
 # 2. Get Questions (Public)
 echo -e "${GREEN}[2] GET /api/questions${NC}"
-curl -s "$BASE_URL/api/questions" | jq .
+QUESTIONS_RESPONSE=$(curl -s "$BASE_URL/api/questions")
+echo "$QUESTIONS_RESPONSE" | jq .
+# A valid answer to every current question (comments are optional)
+ANSWERS=$(echo "$QUESTIONS_RESPONSE" | jq -c '[.questions[] | select(.question_type != "comment") | {
+  key: .question_key,
+  value: (if .question_type == "likert5" then "5"
+          elif .question_type == "nps" then "10"
+          elif .question_type == "choice" then .options[0].value
+          else "sangat_baik" end)
+}] | from_entries')
 echo ""
 
 # ======================
@@ -48,7 +57,7 @@ echo ""
 echo -e "${RED}[3] POST /api/survey WITHOUT session → Expected: 401${NC}"
 curl -s -X POST "$BASE_URL/api/survey" \
   -H "Content-Type: application/json" \
-  -d '{"questions":{"q1":"sangat_baik","q2":"sangat_baik","q3":"cukup_baik","q4":"sangat_baik","q5":"sangat_baik"}}' | jq .
+  -d "{\"questions\":$ANSWERS}" | jq .
 echo ""
 
 # 4. Submit WITH session but NO Origin header (should fail - 403)
@@ -60,7 +69,7 @@ curl -s -c "$COOKIE_FILE" "$BASE_URL/api/session" > /dev/null
 curl -s -X POST "$BASE_URL/api/survey" \
   -b "$COOKIE_FILE" \
   -H "Content-Type: application/json" \
-  -d '{"questions":{"q1":"sangat_baik","q2":"sangat_baik","q3":"cukup_baik","q4":"sangat_baik","q5":"sangat_baik"}}' | jq .
+  -d "{\"questions\":$ANSWERS}" | jq .
 rm "$COOKIE_FILE"
 echo ""
 
@@ -73,12 +82,12 @@ curl -s -X POST "$BASE_URL/api/survey" \
   -H "Content-Type: application/json" \
   -H "Origin: https://evil-site.com" \
   -H "Referer: https://evil-site.com/attack" \
-  -d '{"questions":{"q1":"sangat_baik","q2":"sangat_baik","q3":"cukup_baik","q4":"sangat_baik","q5":"sangat_baik"}}' | jq .
+  -d "{\"questions\":$ANSWERS}" | jq .
 rm "$COOKIE_FILE"
 echo ""
 
 echo -e "${CYAN}[NOTE] Only browser requests with valid Origin header can submit.${NC}"
-echo -e "${CYAN}       Curl cannot fake browser behavior for this protection.${NC}"
+echo -e "${CYAN}       A script can still send one (see SUBMISSION RULES); rate limits and fraud checks cover that.${NC}"
 echo ""
 
 # ======================
@@ -126,6 +135,100 @@ curl -s "$BASE_URL/admin/api/questions" \
   -H "Authorization: Bearer $ADMIN_TOKEN" | jq .
 echo ""
 
+# 11. Fraud Review Queue
+echo -e "${GREEN}[11] GET /admin/api/fraud?status=flagged${NC}"
+curl -s "$BASE_URL/admin/api/fraud?status=flagged" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" | jq .
+echo ""
+
+# 12. Rate Limits
+echo -e "${GREEN}[12] GET /admin/api/rate-limits${NC}"
+curl -s "$BASE_URL/admin/api/rate-limits" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" | jq .
+echo ""
+
+# ======================
+# SUBMISSION RULES
+# Submits real answers: run against a test server (QUEUE_ADAPTER=none)
+# ======================
+echo -e "${YELLOW}=== SUBMISSION RULES ===${NC}"
+echo ""
+
+# Print the JSON body and the status of a `curl -w '\n%{http_code}'` response
+show_response() {
+  echo "$1" | sed '$d' | jq .
+  echo "HTTP $(echo "$1" | tail -n 1)"
+}
+
+# Submit as the kiosk page does: session cookie and same-origin headers
+kiosk_submit() {
+  curl -s -X POST "$BASE_URL/api/survey" \
+    -b "$COOKIE_FILE" \
+    -H "Content-Type: application/json" \
+    -H "Origin: $BASE_URL" \
+    -H "Referer: $BASE_URL/" \
+    -w '\n%{http_code}' \
+    -d "$1"
+}
+
+# Submit with a mobile link's token instead of the kiosk session
+mobile_submit() {
+  curl -s -X POST "$BASE_URL/api/survey" \
+    -H "Content-Type: application/json" \
+    -H "X-Mobile-Token: $MOBILE_TOKEN" \
+    -w '\n%{http_code}' \
+    -d "$1"
+}
+
+RUN_ID=$(date +%s)
+KIOSK_TICKET="A-${RUN_ID: -8}"
+MOBILE_TICKET="B-${RUN_ID: -8}"
+KIOSK_KEY="api-test-kiosk-$RUN_ID"
+MOBILE_KEY="api-test-mobile-$RUN_ID"
+COOKIE_FILE=$(mktemp)
+curl -s -c "$COOKIE_FILE" "$BASE_URL/api/session" > /dev/null
+
+# 13. Kiosk submission with an idempotency key
+echo -e "${GREEN}[13] POST /api/survey (ticket $KIOSK_TICKET) → Expected: 200${NC}"
+show_response "$(kiosk_submit "{\"questions\":$ANSWERS,\"queueId\":\"$KIOSK_TICKET\",\"idempotencyKey\":\"$KIOSK_KEY\"}")"
+echo ""
+
+# 14. Replay of the same submission (offline queue, lost response)
+echo -e "${RED}[14] POST /api/survey same idempotencyKey → Expected: 409 with the stored id${NC}"
+show_response "$(kiosk_submit "{\"questions\":$ANSWERS,\"queueId\":\"$KIOSK_TICKET\",\"idempotencyKey\":\"$KIOSK_KEY\"}")"
+echo ""
+
+# 15. Another visitor rating the same ticket
+echo -e "${RED}[15] POST /api/survey same ticket, new key → Expected: 400 already_rated${NC}"
+show_response "$(kiosk_submit "{\"questions\":$ANSWERS,\"queueId\":\"$KIOSK_TICKET\",\"idempotencyKey\":\"$KIOSK_KEY-2\"}")"
+rm "$COOKIE_FILE"
+echo ""
+
+# 16. One-time mobile link for another ticket
+echo -e "${GREEN}[16] POST /admin/api/mobile-tokens (ticket $MOBILE_TICKET) → Expected: 201${NC}"
+LINK_RESPONSE=$(curl -s -X POST "$BASE_URL/admin/api/mobile-tokens" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -H "Content-Type: application/json" \
+  -d "{\"queue_id\":\"$MOBILE_TICKET\"}")
+echo "$LINK_RESPONSE" | jq 'del(.qr_svg)'
+MOBILE_TOKEN=$(echo "$LINK_RESPONSE" | jq -r '.url' | sed 's|.*/m/||')
+echo ""
+
+# 17. Mobile submission
+echo -e "${GREEN}[17] POST /api/survey with X-Mobile-Token → Expected: 200${NC}"
+show_response "$(mobile_submit "{\"questions\":$ANSWERS,\"idempotencyKey\":\"$MOBILE_KEY\"}")"
+echo ""
+
+# 18. The phone retries after losing the response
+echo -e "${RED}[18] POST /api/survey used link, same key → Expected: 409${NC}"
+show_response "$(mobile_submit "{\"questions\":$ANSWERS,\"idempotencyKey\":\"$MOBILE_KEY\"}")"
+echo ""
+
+# 19. The link used again for a new submission
+echo -e "${RED}[19] POST /api/survey used link, new key → Expected: 410 used${NC}"
+show_response "$(mobile_submit "{\"questions\":$ANSWERS,\"idempotencyKey\":\"$MOBILE_KEY-2\"}")"
+echo ""
+
 # ======================
 # SUMMARY
 # ======================
@@ -137,9 +240,12 @@ echo -e "${GREEN}✓${NC} Public endpoints work"
 echo -e "${GREEN}✓${NC} Admin endpoints work (with token)"
 echo -e "${RED}✗${NC} Direct API submit blocked (no Origin)"
 echo -e "${RED}✗${NC} Fake Origin submit blocked"
+echo -e "${RED}✗${NC} Replays answered with 409, second rating of a ticket refused"
+echo -e "${RED}✗${NC} Used mobile link refused (410), same-key retry answered with 409"
 echo ""
 echo "Protection layers:"
 echo "  1. HttpOnly Cookie - Token not visible to JS"
 echo "  2. Origin/Referer  - Must come from browser"
-echo "  3. Rate Limiting   - Max 5 per 10 minutes/IP"
+echo "  3. Rate Limiting   - Per route and IP, RATE_LIMIT_<ROUTE> (survey default 5/10 min)"
+echo "                       Paired kiosks: per device, submission_limit x KIOSK_RATE_LIMIT_FACTORS"
 echo ""